@@ -0,0 +1,170 @@
+'use strict';
+
+/**
+ * Registry of the channels notifying the temperature alerts (see alerts-engine).
+ * A definition lists its channels as configurations, e.g., [{ "type": "webhook", "url": "https://..." }, { "type": "log" }],
+ * and each notification is sent through all of them. The available channels are:
+ *  - webhook: POST of the notification as JSON to the url of the configuration (a 2xx response is a delivery); the url
+ *    cannot reach the loopback, private and link-local addresses (e.g., the server itself or its network), unless the
+ *    server configuration allows them (alerts.allowPrivateWebhooks, e.g., for webhook-stub)
+ *  - log: a line appended to the log file of the server configuration (alerts.logFile), which is not chosen by the users
+ * A new channel is added with register({ name, check, send }).
+ *
+ * A notification is { event, date, message, alert, definition: { id, name }, sensor: { id, name } },
+ * where event is "opened", "resolved" or "test" (see POST /api/alerts/definitions/<id>/test).
+ */
+
+const fs = require('fs');
+const net = require('net');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+
+const CHANNELS = [];
+
+// Options of the channels, see configure
+let options = { logFile: 'alerts.log', webhookTimeout: 5, allowPrivateWebhooks: false };
+
+// This function sets the options of the channels: { logFile, webhookTimeout (seconds), allowPrivateWebhooks }.
+exports.configure = (o) => {
+  options = Object.assign({}, options, o);
+};
+
+/**
+ * This function adds a channel:
+ *  - name: the type in the configurations (e.g., "webhook")
+ *  - check(config): the error message if a configuration is not valid, or null
+ *  - send(config, notification): an async function delivering a notification, which throws an error on failures
+ *    (its message is returned to the users, thus the details that are only for the logs go in its cause)
+ */
+exports.register = (channel) => {
+  CHANNELS.push(channel);
+};
+
+// This function returns a channel given its name, or undefined if it does not exist.
+exports.get = (name) => CHANNELS.find((c) => c.name === name);
+
+// This function returns the names of the channels.
+exports.names = () => CHANNELS.map((c) => c.name);
+
+// This function checks the configuration of a channel, it returns the error message or null if it is valid.
+exports.check = (config) => {
+  if (config === null || typeof config !== 'object' || Array.isArray(config))
+    return 'Must be an object { type, ... }';
+  const channel = exports.get(config.type);
+  if (!channel)
+    return `The type must be one of ${exports.names().join(', ')}`;
+  return channel.check(config);
+};
+
+// This function sends a notification through a channel, given its (valid) configuration.
+exports.send = (config, notification) => {
+  return exports.get(config.type).send(config, notification);
+};
+
+
+/*** Channels ***/
+
+// The addresses the webhooks cannot reach: unspecified, loopback, private (also the shared ones of the carriers) and link-local
+// NOTE: the IPv4-mapped IPv6 addresses (e.g., ::ffff:127.0.0.1) are checked as IPv4 ones
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16]])
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]])
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+
+// This function returns whether a webhook can reach an IP address (see PRIVATE_ADDRESSES).
+const isAllowedAddress = (address) => {
+  const family = net.isIP(address);
+  return options.allowPrivateWebhooks || !PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// This function returns the IP address of a url, if its host is one (e.g., http://[::1]/), or null.
+const urlAddress = (url) => {
+  const host = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  return net.isIP(host) ? host : null;
+};
+
+/**
+ * This function resolves the host of a webhook as dns.lookup does, failing if an address is not allowed (see isAllowedAddress).
+ * NOTE: it is the lookup of the request itself, so the checked address is the one the request connects to.
+ */
+const lookup = (hostname, opts, callback) => {
+  dns.lookup(hostname, Object.assign({}, opts, { all: true }), (err, addresses) => {
+    if (err)
+      return callback(err);
+    const denied = addresses.find((a) => !isAllowedAddress(a.address));
+    if (denied)
+      return callback(Object.assign(new Error(`${hostname} resolves to the private address ${denied.address}`), { code: 'EPRIVATE' }));
+    if (opts.all)
+      callback(null, addresses);
+    else
+      callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+exports.register({
+  name: 'webhook',
+  check: (config) => {
+    let url;
+    try {
+      url = new URL(config.url);
+    } catch (err) {
+      return 'The url of a webhook must be a valid URL';
+    }
+    if (!['http:', 'https:'].includes(url.protocol))
+      return 'The url of a webhook must be http or https';
+    if (urlAddress(url) !== null && !isAllowedAddress(urlAddress(url)))
+      return 'The url of a webhook cannot be a private address';
+    if (config.headers !== undefined && (config.headers === null || typeof config.headers !== 'object'
+      || Object.values(config.headers).some((v) => typeof v !== 'string')))
+      return 'The headers of a webhook must be an object of strings';
+    return null;
+  },
+  send: (config, notification) => {
+    const url = new URL(config.url);
+    const body = JSON.stringify(notification);
+    return new Promise((resolve, reject) => {
+      // NOTE: the addresses in the url are not resolved (thus they are checked here), and the redirects are not followed
+      if (urlAddress(url) !== null && !isAllowedAddress(urlAddress(url))) {
+        reject(new Error('The url of the webhook is a private address'));
+        return;
+      }
+      const request = (url.protocol === 'https:' ? https : http).request(url, {
+        method: 'POST',
+        headers: Object.assign({}, config.headers, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }),
+        lookup: lookup,
+        signal: AbortSignal.timeout(options.webhookTimeout * 1000),
+      }, (response) => {
+        response.resume();  // the body of the response is not used
+        if (response.statusCode >= 200 && response.statusCode < 300)
+          resolve(null);
+        else
+          reject(new Error(`The webhook answered ${response.statusCode}`));
+      });
+      request.on('error', (err) => {
+        if (err.code === 'EPRIVATE')
+          reject(new Error('The host of the webhook resolves to a private address', { cause: err }));
+        else if (err.name === 'AbortError')
+          reject(new Error(`The webhook did not answer in ${options.webhookTimeout}s`, { cause: err }));
+        else
+          reject(new Error('The webhook cannot be reached', { cause: err }));
+      });
+      request.end(body);
+    });
+  },
+});
+
+exports.register({
+  name: 'log',
+  check: (config) => (Object.keys(config).length === 1 ? null : 'A log has no settings but its type, the file is the one of the server'),
+  send: async (config, notification) => {
+    const line = `${notification.date} [${notification.event}] user ${notification.alert.user} alert ${notification.alert.id}: ${notification.message}\n`;
+    try {
+      await fs.promises.appendFile(options.logFile, line);
+    } catch (err) {
+      throw new Error('The log of the server cannot be written', { cause: err });
+    }
+  },
+});
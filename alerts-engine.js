@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+ * Module evaluating the temperature alerts: each new reading (see device-events), also each one of a batch, is checked against the enabled
+ * alert definitions of its sensor, which open, and later resolve, the alerts (see dao-alerts).
+ * The conditions of the definitions are:
+ *  - above / below: the reading is above (below) the threshold
+ *  - change: the reading differs by more than threshold degrees from a reading of the previous within seconds
+ *
+ * A definition has at most one alert not resolved: it is opened when the condition becomes true, then it can be
+ * acknowledged by the user, and it is resolved by the first reading for which the condition is false (or by the user).
+ * After a resolution, no new alert is opened for cooldown seconds, so a temperature around the threshold does not flap.
+ * The openings and the resolutions are notified through the channels of the definition (see alert-channels).
+ */
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+dayjs.extend(utc);
+
+const alertDao = require('./dao-alerts');
+const sensorDao = require('./dao-sensors');
+const temperatureDao = require('./dao-temperatures');
+const alertChannels = require('./alert-channels');
+const deviceEvents = require('./device-events');
+
+exports.OPERATORS = ['above', 'below', 'change'];
+
+
+/**
+ * This function evaluates the condition of a definition against a reading ({ date, value }) of a sensor,
+ * given the previous readings of the sensor in the window of the condition (only for "change").
+ * It returns the message describing the alert, or null if the condition is false.
+ */
+exports.evaluate = (definition, sensor, reading, previous = []) => {
+  const c = definition.condition;
+  const unit = sensor.unit || '°C';
+  const name = `Sensor ${sensor.name} (${sensor.id})`;
+  if (c.operator === 'above')
+    return reading.value > c.threshold ? `${name}: ${reading.value} ${unit} is above ${c.threshold} ${unit}` : null;
+  if (c.operator === 'below')
+    return reading.value < c.threshold ? `${name}: ${reading.value} ${unit} is below ${c.threshold} ${unit}` : null;
+
+  const changes = previous.map((p) => Math.abs(reading.value - p.value));
+  const change = changes.length > 0 ? Math.max(...changes) : 0;
+  if (change <= c.threshold)
+    return null;
+  return `${name}: ${reading.value} ${unit} changed by ${Math.round(change * 100) / 100} ${unit} in ${c.within}s (more than ${c.threshold} ${unit})`;
+};
+
+/**
+ * This function notifies an event of an alert ("opened", "resolved" or "test") through the channels of its definition.
+ * The failures are logged and returned, the result is the list { channel, delivered, error }
+ * (the errors are the messages of the channels, without their causes, which are only logged: see alertChannels.register).
+ */
+exports.notify = async (event, alert, definition, sensor) => {
+  const notification = {
+    event: event,
+    date: dayjs.utc().format(),
+    message: event === 'resolved' ? `Resolved: ${alert.message}` : alert.message,
+    alert: alert,
+    definition: { id: definition.id, name: definition.name },
+    sensor: { id: sensor.id, name: sensor.name },
+  };
+
+  return Promise.all(definition.channels.map(async (channel) => {
+    try {
+      await alertChannels.send(channel, notification);
+      return { channel: channel.type, delivered: true };
+    } catch (err) {
+      console.error(`Alert ${alert.id}: cannot notify through ${channel.type}: ${err.message}${err.cause ? ` (${err.cause.message})` : ''}`);
+      return { channel: channel.type, delivered: false, error: err.message };
+    }
+  }));
+};
+
+
+// This function evaluates the alert definitions of a sensor for a new reading, opening and resolving the alerts.
+const handleReading = async (user, sensorId, reading) => {
+  const definitions = await alertDao.listSensorDefinitions(user, sensorId);
+  if (definitions.length === 0)
+    return;
+  const sensor = await sensorDao.getSensor(user, sensorId);
+  if (sensor.error)
+    return;
+
+  const date = dayjs.utc(reading.date);
+  for (const d of definitions) {
+    let previous = [];
+    if (d.condition.operator === 'change') {
+      const filter = { sensor: sensorId, from: date.subtract(d.condition.within, 'second').format(), to: date.format() };
+      previous = (await temperatureDao.listTemperatures(user, filter)).filter((t) => t.id !== reading.id);
+    }
+    const message = exports.evaluate(d, sensor, reading, previous);
+
+    const last = await alertDao.getLastAlert(user, d.id);
+    const active = last !== null && last.state !== 'resolved';
+    if (message !== null && !active) {
+      if (last !== null && date.diff(dayjs.utc(last.resolved), 'second') < d.cooldown)
+        continue;  // cooling down
+      const alert = await alertDao.createAlert({ definition: d.id, sensor: sensorId, value: reading.value, message: message, opened: date.format(), user: user });
+      exports.notify('opened', alert, d, sensor);  // the channels (e.g., a slow webhook) do not delay the next readings
+    } else if (message === null && active) {
+      const alert = await alertDao.resolveAlert(user, last.id, date.format());
+      exports.notify('resolved', alert, d, sensor);
+    }
+  }
+};
+
+let queue = Promise.resolve();  // readings are evaluated one at a time, so each definition has at most one alert not resolved
+
+// This function starts evaluating the alert definitions for each new temperature reading, also the ones in a batch (see deviceEvents.publishReadings).
+exports.start = () => {
+  return deviceEvents.subscribeReadings((e) => {
+    for (const reading of e.readings) {
+      queue = queue
+        .then(() => handleReading(e.user, e.sensor, reading))
+        .catch((err) => console.error(`Alerts engine: ${err}`));
+    }
+  });
+};
@@ -0,0 +1,494 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Command-line tool for the administration of the server: users, devices, API tokens and maintenance of the database.
+ * It works directly on the database of the configuration (see config, e.g., DB_PATH=other.db node cli.js users list),
+ * through the same DAO modules of the server, so the changes follow the same rules (e.g., the deletion of the data of a user).
+ * The pending migrations are applied before any command, as the server does at startup.
+ *
+ * Usage: node cli.js <command> [<arguments>] [<options>], see "node cli.js help" for the list of the commands.
+ * NOTE: it can be used while the server is running, SQLite serializes the writes of the two processes.
+ */
+
+// Loading the configuration first, so that an invalid one stops the tool with a clear error (see config)
+const config = require('./config');
+let settings;
+try {
+  settings = config.get();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+dayjs.extend(utc);
+
+const db = require('./db');
+const migrate = require('./migrate');
+const userDao = require('./dao-users');
+const tokenDao = require('./dao-tokens');
+const deviceDao = require('./dao-devices');
+const deviceTypes = require('./device-types');
+const sensorDao = require('./dao-sensors');
+const temperatureDao = require('./dao-temperatures');
+const sceneDao = require('./dao-scenes');
+const groupDao = require('./dao-groups');
+const dbBackup = require('./db-backup');
+const retention = require('./retention');
+const rateLimits = require('./rate-limits');
+
+// Sample data of "db seed": the users (all with password "password"), their devices and readings of the baseline hass-test.db
+const SAMPLE = {
+  users: [
+    { email: 'john.doe@polito.it', name: 'John', admin: true },
+    { email: 'mario.rossi@polito.it', name: 'Mario' },
+    { email: 'testuser@polito.it', name: 'Testuser' },
+  ],
+  devices: [
+    { type: 'switch', user: 1, value: 0, date: '2022-11-30T13:56:19Z' },
+    { type: 'light', user: 1, value: 233, date: '2023-04-07T14:01:04Z' },
+  ],
+  temperatures: [  // [user, date, value]
+    [1, '2022-03-11T12:12:12Z', 22.1], [1, '2022-02-03T12:13:14Z', 25.2], [1, '2022-02-03T12:14:15Z', 20.3],
+    [2, '2022-02-07T12:15:16Z', 20.4], [2, '2022-03-21T12:16:17Z', 23.5], [3, '2022-04-14T12:17:18Z', 25.6],
+    [3, '2022-06-10T12:18:20Z', 22.7], [3, '2022-06-11T12:49:00Z', 20.8], [2, '2022-06-13T12:50:00Z', 23.9],
+    [1, '2022-06-17T12:51:00Z', 25.1], [1, '2022-11-22T12:52:00Z', 33.3], [1, '2022-11-22T18:14:52Z', 22.8],
+    [1, '2022-11-23T18:24:33Z', 23.3], [1, '2022-11-23T19:19:28Z', 24.8], [1, '2022-11-24T12:23:49Z', 24.8],
+    [1, '2022-11-24T17:16:47Z', 17.9], [1, '2022-11-25T14:24:57Z', 17.9], [1, '2022-11-25T17:25:57Z', 17.9],
+    [1, '2022-11-30T13:56:01Z', 16.9], [1, '2022-11-30T14:16:01Z', 16.9], [1, '2022-12-20T14:53:44Z', 49.82],
+    [1, '2022-12-20T15:04:10Z', 49.82],
+  ],
+};
+
+// The options of all the commands (each command uses some of them)
+const OPTIONS = {
+  user: { type: 'string' },
+  name: { type: 'string' },
+  password: { type: 'string' },
+  admin: { type: 'boolean' },
+  revoke: { type: 'boolean' },
+  yes: { type: 'boolean' },
+  value: { type: 'string' },
+  attributes: { type: 'string' },
+  location: { type: 'string' },
+  unit: { type: 'string' },
+  'read-only': { type: 'boolean' },
+  devices: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+const UNITS = ['°C', '°F', 'K'];  // same of POST /api/sensors
+
+
+// This function runs a query on the database, as a Promise
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) reject(err);
+    else resolve(rows);
+  });
+});
+
+// This function retrieves a user given its id or its email, it throws an error if the user does not exist.
+const findUser = async (reference) => {
+  if (reference === undefined)
+    throw new Error('The user is missing (--user <id or email>)');
+  const user = /^\d+$/.test(reference) ? await userDao.getUserById(Number(reference)) : await userDao.getUserByEmail(reference);
+  if (user.error)
+    throw new Error(`User ${reference} not found`);
+  return user;
+};
+
+// This function checks a password, or it generates a random one if it is missing. It returns { password, generated }.
+const newPassword = (password) => {
+  if (password === undefined)
+    return { password: crypto.randomBytes(12).toString('base64url'), generated: true };
+  if (password.length < 8)
+    throw new Error('The password must be at least 8 characters long');
+  return { password: password, generated: false };
+};
+
+// This function checks a type of device, i.e., a type of the registry (see device-types) or "sensor".
+const checkType = (type) => {
+  if (type !== 'sensor' && !deviceTypes.get(type))
+    throw new Error(`Unknown type ${type}, it must be one of ${[...deviceTypes.NAMES, 'sensor'].join(', ')}`);
+  return type;
+};
+
+// This function checks the id of a device, given as an argument.
+const checkId = (id) => {
+  if (!/^\d+$/.test(id || ''))
+    throw new Error(`Invalid id ${id}, it must be an integer`);
+  return Number(id);
+};
+
+// This function parses a JSON option (e.g., --value true or --attributes '{"name": "Door"}').
+const parseJson = (option, text) => {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid --${option}, it must be JSON: ${err.message}`);
+  }
+};
+
+// This function describes the state of a device (e.g., "on true, brightness 80"), i.e., its properties but the common ones and the capabilities.
+const describeState = (device) => {
+  const { id, user, date, value, revision, capabilities, ...state } = device;
+  const properties = Object.entries(state).filter(([, v]) => v !== null && v !== undefined);
+  if (properties.length === 0)
+    return String(value);
+  return properties.map(([k, v]) => `${k} ${typeof v === 'object' ? JSON.stringify(v) : v}`).join(', ');
+};
+
+
+/**
+ * The commands: usage, description and the async function running them with the positional arguments and the options.
+ * The functions print their results on the standard output, and they throw an error on failures.
+ */
+const COMMANDS = {
+
+  /*** Users ***/
+
+  'users list': {
+    usage: 'users list',
+    description: 'List the users',
+    run: async () => {
+      console.table(await userDao.listUsers());
+    },
+  },
+
+  'users add': {
+    usage: 'users add <email> [--name <name>] [--password <password>] [--admin]',
+    description: 'Register a user, with a random password if it is not given',
+    run: async ([email], options) => {
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email || ''))
+        throw new Error(`Invalid email ${email}`);
+      if (options.name !== undefined && (options.name.trim() === '' || options.name.length > 100))
+        throw new Error('The name must be between 1 and 100 characters long');
+      const { password, generated } = newPassword(options.password);
+
+      const existing = await userDao.getUserByEmail(email);
+      if (!existing.error)
+        throw new Error('Email already registered.');
+
+      let user = await userDao.createUser(email, options.name ? options.name.trim() : null, password);
+      if (options.admin) {
+        await userDao.setAdmin(user.id, true);
+        user = await userDao.getUserById(user.id);
+      }
+      console.log(`User ${user.id} (${user.username}) registered${user.admin ? ' as an administrator' : ''}`);
+      if (generated)
+        console.log(`Password: ${password}`);
+    },
+  },
+
+  'users remove': {
+    usage: 'users remove <id or email> --yes',
+    description: 'Delete a user together with all its data (devices, temperatures, schedules, rules, tokens, ...)',
+    run: async ([reference], options) => {
+      const user = await findUser(reference);
+      if (!options.yes)
+        throw new Error(`All the data of user ${user.id} (${user.username}) would be deleted, add --yes to confirm`);
+      await userDao.deleteUser(user.id);
+      console.log(`User ${user.id} (${user.username}) deleted`);
+    },
+  },
+
+  'users passwd': {
+    usage: 'users passwd <id or email> [--password <password>]',
+    description: 'Reset the password of a user, to a random one if it is not given',
+    run: async ([reference], options) => {
+      const user = await findUser(reference);
+      const { password, generated } = newPassword(options.password);
+      await userDao.updatePassword(user.id, password);
+      console.log(`Password of user ${user.id} (${user.username}) changed`);
+      if (generated)
+        console.log(`Password: ${password}`);
+    },
+  },
+
+  'users admin': {
+    usage: 'users admin <id or email> [--revoke]',
+    description: 'Grant (or revoke) the administration rights of a user',
+    run: async ([reference], options) => {
+      const user = await findUser(reference);
+      await userDao.setAdmin(user.id, !options.revoke);
+      console.log(`User ${user.id} (${user.username}) is ${options.revoke ? 'no longer' : 'now'} an administrator`);
+    },
+  },
+
+  'users unlock': {
+    usage: 'users unlock <id or email>',
+    description: 'Unlock the logins of a user locked after too many failures (see rate-limits)',
+    run: async ([reference]) => {
+      const user = await findUser(reference);
+      const locked = await rateLimits.unlockAccount(user.username);
+      console.log(locked ? `Logins of user ${user.id} (${user.username}) unlocked` : `User ${user.id} (${user.username}) has no failed logins`);
+    },
+  },
+
+  /*** Devices ***/
+
+  'devices list': {
+    usage: 'devices list [--user <id or email>]',
+    description: 'List the devices and their current state (the last temperature for the sensors), of a user or of all of them',
+    run: async (args, options) => {
+      const users = options.user !== undefined ? [await findUser(options.user)] : await userDao.listUsers();
+      const rows = [];
+      for (const user of users) {
+        for (const t of deviceTypes.list())
+          for (const d of await deviceDao.listDevices(t.name, user.id))
+            rows.push({ user: user.username, type: t.name, id: d.id, state: describeState(d), date: d.date.utc().format() });
+
+        for (const s of await sensorDao.listSensors(user.id)) {
+          const last = await temperatureDao.getLastTemperature(user.id, s.id);
+          rows.push({
+            user: user.username, type: 'sensor', id: s.id,
+            state: last.error ? '-' : `${last.value} ${s.unit} (${s.name})`,
+            date: last.error ? '-' : last.date,
+          });
+        }
+      }
+      if (rows.length === 0)
+        console.log('No devices');
+      else
+        console.table(rows);
+    },
+  },
+
+  'devices add': {
+    usage: `devices add <${[...deviceTypes.NAMES, 'sensor'].join('|')}> --user <id or email> [--value <json>] [--attributes <json>]\n` +
+      '      (for a sensor: --name <name> [--location <location>] [--unit <°C|°F|K>])',
+    description: 'Create a device of a user, with its initial value and the attributes of its type (e.g., \'{"capabilities": {"colorModes": ["hs"]}}\' for a light)',
+    run: async ([type], options) => {
+      checkType(type);
+      const user = await findUser(options.user);
+
+      if (type === 'sensor') {
+        if (options.name === undefined || options.name.trim() === '' || options.name.length > 64)
+          throw new Error('The name of the sensor must be between 1 and 64 characters long (--name <name>)');
+        if (options.unit !== undefined && !UNITS.includes(options.unit))
+          throw new Error(`The unit must be one of ${UNITS.join(', ')}`);
+        const sensor = await sensorDao.createSensor({ name: options.name.trim(), location: options.location, unit: options.unit, user: user.id });
+        console.log(`Sensor ${sensor.id} of user ${user.id} created`);
+        return;
+      }
+
+      const t = deviceTypes.get(type);
+      const properties = options.attributes !== undefined ? parseJson('attributes', options.attributes) : {};
+      if (properties === null || typeof properties !== 'object' || Array.isArray(properties))
+        throw new Error('Invalid --attributes, it must be a JSON object');
+      const unknown = Object.keys(properties).filter((a) => !t.attributes[a]);
+      if (unknown.length > 0)
+        throw new Error(`Unknown attributes ${unknown.join(', ')} for the ${t.path}`);
+      if (options.value !== undefined)
+        properties.value = parseJson('value', options.value);
+
+      const invalid = deviceTypes.schemaErrors(Object.assign({ value: t.commands.value }, t.attributes), properties, null);
+      if (invalid.length > 0)
+        throw new Error(invalid.join(', '));
+
+      const device = Object.assign({}, properties, { date: dayjs.utc().format(), user: user.id });
+      const result = await deviceDao.createDevice(t.name, device);
+      console.log(`${t.label} ${result.id} of user ${user.id} created: ${describeState(result)}`);
+    },
+  },
+
+  'devices assign': {
+    usage: 'devices assign <type> <id> --user <id or email>',
+    description: 'Assign a device to another user: its history (or its temperatures) follows it, its schedules, rules and alerts are deleted',
+    run: async ([type, id], options) => {
+      checkType(type);
+      id = checkId(id);
+      const user = await findUser(options.user);
+
+      if (type === 'sensor') {
+        const owner = await sensorDao.getSensorOwner(id);
+        if (owner.error)
+          throw new Error(owner.error);
+        if (owner.user === user.id)
+          throw new Error(`Sensor ${id} already belongs to user ${user.id}`);
+        await sensorDao.assignSensor(owner.user, id, user.id);
+        console.log(`Sensor ${id} assigned to user ${user.id} (it belonged to user ${owner.user})`);
+        return;
+      }
+
+      const t = deviceTypes.get(type);
+      const owner = await deviceDao.getDeviceOwner(t.name, id);
+      if (owner.error)
+        throw new Error(owner.error);
+      if (owner.user === user.id)
+        throw new Error(`${t.label} ${id} already belongs to user ${user.id}`);
+
+      // same checks of DELETE /api/<devices>/<id>: the scenes and the groups are not changed behind their owner
+      const scene = (await sceneDao.listScenes(owner.user)).find((s) => s.states.some((st) => st.type === t.name && st.device === id));
+      if (scene)
+        throw new Error(`${t.label} ${id} is used by scene ${scene.id}`);
+      const group = (await groupDao.listGroups(owner.user)).find((g) => g.type === t.name && g.devices.includes(id));
+      if (group)
+        throw new Error(`${t.label} ${id} is used by group ${group.id}`);
+
+      await deviceDao.assignDevice(t.name, owner.user, id, user.id);
+      console.log(`${t.label} ${id} assigned to user ${user.id} (it belonged to user ${owner.user})`);
+    },
+  },
+
+  /*** API tokens ***/
+
+  'tokens issue': {
+    usage: 'tokens issue --user <id or email> --name <name> [--read-only] [--devices <type:id>,...]',
+    description: 'Issue an API token for a user, optionally read-only or restricted to some devices (e.g., switch:1,sensor:2)',
+    run: async (args, options) => {
+      const user = await findUser(options.user);
+      if (options.name === undefined || options.name.trim() === '' || options.name.length > 64)
+        throw new Error('The name of the token must be between 1 and 64 characters long (--name <name>)');
+
+      let devices = null;
+      if (options.devices !== undefined) {
+        devices = options.devices.split(',').map((d) => d.trim()).filter((d) => d !== '');
+        const pattern = new RegExp(`^(${[...deviceTypes.NAMES, 'sensor'].join('|')}):\\d+$`);
+        for (const d of devices) {
+          if (!pattern.test(d))
+            throw new Error(`Invalid device ${d}, it must be <type>:<id>`);
+          const [type, id] = d.split(':');
+          const device = type === 'sensor' ? await sensorDao.getSensor(user.id, id) : await deviceDao.getDevice(type, user.id, id);
+          if (device.error)
+            throw new Error(`Device ${d} not found.`);
+        }
+        if (devices.length === 0)
+          throw new Error('The list of the devices is empty');
+      }
+
+      const token = await tokenDao.createToken({ name: options.name.trim(), readOnly: options['read-only'] || false, devices: devices, user: user.id });
+      console.log(`Token ${token.id} issued to user ${user.id}${token.readOnly ? ' (read-only)' : ''}`);
+      console.log(`Token: ${token.token}`);
+    },
+  },
+
+  /*** Maintenance of the database ***/
+
+  'db seed': {
+    usage: 'db seed',
+    description: 'Fill an empty database with the sample users, devices and temperatures (e.g., for the development)',
+    run: async () => {
+      if ((await userDao.listUsers()).length > 0)
+        throw new Error('The database is not empty');
+      const users = [];
+      for (const u of SAMPLE.users) {
+        const user = await userDao.createUser(u.email, u.name, 'password');
+        if (u.admin)
+          await userDao.setAdmin(user.id, true);
+        users.push(user);
+      }
+      for (const d of SAMPLE.devices)
+        await deviceDao.createDevice(d.type, { value: d.value, date: d.date, user: users[d.user - 1].id });
+      for (const [u, date, value] of SAMPLE.temperatures) {
+        const user = users[u - 1].id;
+        const sensor = await sensorDao.getDefaultSensor(user);
+        await temperatureDao.createTemperature({ date: date, value: value, sensor: sensor.id, user: user });
+      }
+      console.log(`Database seeded with ${users.length} users (password "password"), ${SAMPLE.devices.length} devices and ${SAMPLE.temperatures.length} temperatures`);
+    },
+  },
+
+  'db status': {
+    usage: 'db status',
+    description: 'Show the database, its schema version and the applied migrations',
+    run: async () => {
+      console.log(`Database: ${settings.database}`);
+      console.log(`Schema version: ${await migrate.currentVersion()}`);
+      console.table(await all('SELECT version, name, applied FROM schema_version ORDER BY version'));
+    },
+  },
+
+  'db check': {
+    usage: 'db check',
+    description: 'Check the integrity of the database and its foreign keys',
+    run: async () => {
+      const integrity = await all('PRAGMA integrity_check');
+      const foreignKeys = await all('PRAGMA foreign_key_check');
+      if (integrity.length === 1 && integrity[0].integrity_check === 'ok' && foreignKeys.length === 0) {
+        console.log('The database is ok');
+        return;
+      }
+      for (const row of integrity.filter((r) => r.integrity_check !== 'ok'))
+        console.log(row.integrity_check);
+      for (const row of foreignKeys)
+        console.log(`Row ${row.rowid} of table ${row.table} references a missing row of table ${row.parent}`);
+      throw new Error('The database has some problems');
+    },
+  },
+
+  'db vacuum': {
+    usage: 'db vacuum',
+    description: 'Rebuild the database file, reclaiming the unused space',
+    run: async () => {
+      const size = fs.statSync(settings.database).size;
+      await all('VACUUM');
+      console.log(`Database vacuumed: ${size} -> ${fs.statSync(settings.database).size} bytes`);
+    },
+  },
+
+  'db backup': {
+    usage: 'db backup <file>',
+    description: 'Save a consistent snapshot of the database in a new file (the same of GET /api/admin/backup)',
+    run: async ([file]) => {
+      if (file === undefined)
+        throw new Error('The file is missing');
+      if (fs.existsSync(file))
+        throw new Error(`The file ${file} already exists`);
+      const snapshot = await dbBackup.backup();
+      try {
+        fs.copyFileSync(snapshot, file);
+      } finally {
+        fs.unlinkSync(snapshot);
+      }
+      console.log(`Database saved in ${file}`);
+    },
+  },
+
+  'db prune': {
+    usage: 'db prune',
+    description: 'Roll up and prune the temperatures now, according to the retention policy of the configuration (see retention)',
+    run: async () => {
+      retention.configure(settings.retention);
+      const pruned = await retention.run();
+      console.log(`Pruned ${pruned.raw} readings, ${pruned.hour} hourly and ${pruned.day} daily summaries`);
+    },
+  },
+};
+
+// This function prints the usage of the commands.
+const help = () => {
+  console.log('Usage: node cli.js <command> [<arguments>] [<options>]\n');
+  for (const c of Object.values(COMMANDS))
+    console.log(`  ${c.usage}\n      ${c.description}\n`);
+};
+
+
+const main = async () => {
+  const { values: options, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+  const command = COMMANDS[positionals.slice(0, 2).join(' ')];
+  if (options.help || positionals[0] === 'help' || positionals.length === 0) {
+    help();
+    return;
+  }
+  if (!command)
+    throw new Error(`Unknown command ${positionals.slice(0, 2).join(' ')}, see "node cli.js help"`);
+
+  const applied = await migrate.migrate();
+  for (const m of applied)
+    console.error(`Applied migration ${m.version} (${m.name})`);
+  await command.run(positionals.slice(2), options);
+};
+
+main()
+  .catch((err) => {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
@@ -0,0 +1,201 @@
+'use strict';
+
+/**
+ * Module loading the configuration of the server, from (in order of precedence):
+ *  - the environment variables (e.g., PORT=3002)
+ *  - an optional JSON or YAML file, whose path is given by CONFIG_FILE (e.g., CONFIG_FILE=config.yaml)
+ *  - the defaults, i.e., the development setup
+ * The file contains the settings as nested objects, e.g., { "port": 3002, "cors": { "origins": ["http://localhost:3000"] } }.
+ * The configuration is validated when it is loaded, and all the invalid settings are reported together.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// NOTE: this secret is fine only for the development, it is refused in production (NODE_ENV=production)
+const DEFAULT_SECRET = "shhhhh... it's a secret!";
+
+exports.AUTH_MODES = ['both', 'session'];  // both: sessions and API tokens, session: API tokens are disabled
+
+/**
+ * The settings: key in the file, name of the environment variable, type and default value.
+ * The types are: string, port, integer (>= 0), positive (integer > 0), boolean, origins (list of origins, comma-separated in the environment)
+ * or the list of the allowed values.
+ */
+const SETTINGS = [
+  { key: 'port', env: 'PORT', type: 'port', default: 3001 },
+  { key: 'database', env: 'DB_PATH', type: 'string', default: 'hass-test.db' },  // ":memory:" for an in-memory database (e.g., for tests)
+  { key: 'cors.origins', env: 'CORS_ORIGINS', type: 'origins', default: ['http://localhost:3000'] },
+  { key: 'session.secret', env: 'SESSION_SECRET', type: 'string', default: DEFAULT_SECRET },
+  { key: 'auth.mode', env: 'AUTH_MODE', type: exports.AUTH_MODES, default: 'both' },
+  { key: 'debug.delay', env: 'DEBUG_DELAY', type: 'integer', default: 0 },  // delay of the responses in milliseconds, 0 to disable it
+  { key: 'log.requests', env: 'REQUEST_LOG', type: 'boolean', default: true },
+  { key: 'mqtt.url', env: 'MQTT_URL', type: 'string', default: null },  // the MQTT bridge is started only if it is set
+  { key: 'mqtt.username', env: 'MQTT_USERNAME', type: 'string', default: null },
+  { key: 'mqtt.password', env: 'MQTT_PASSWORD', type: 'string', default: null },
+  { key: 'mqtt.prefix', env: 'MQTT_PREFIX', type: 'string', default: null },
+  { key: 'mqtt.discoveryPrefix', env: 'MQTT_DISCOVERY_PREFIX', type: 'string', default: null },
+  { key: 'mqtt.user', env: 'MQTT_USER', type: 'integer', default: null },
+  { key: 'retention.raw', env: 'RETENTION_RAW_DAYS', type: 'integer', default: null },  // days, null means forever (see retention)
+  { key: 'retention.hour', env: 'RETENTION_HOURLY_DAYS', type: 'integer', default: null },
+  { key: 'retention.day', env: 'RETENTION_DAILY_DAYS', type: 'integer', default: null },
+  { key: 'alerts.logFile', env: 'ALERTS_LOG_FILE', type: 'string', default: 'alerts.log' },  // file of the "log" channel of the alerts
+  { key: 'alerts.webhookTimeout', env: 'ALERTS_WEBHOOK_TIMEOUT_SECONDS', type: 'positive', default: 5 },
+  { key: 'alerts.allowPrivateWebhooks', env: 'ALERTS_ALLOW_PRIVATE_WEBHOOKS', type: 'boolean', default: false },  // webhooks to loopback/private addresses
+  { key: 'simulator.enabled', env: 'SIMULATOR_ENABLED', type: 'boolean', default: false },  // virtual devices for the development (see /api/simulator)
+  { key: 'metrics.staleMinutes', env: 'METRICS_STALE_MINUTES', type: 'positive', default: 30 },  // a sensor without readings for longer is stale
+  { key: 'trustProxy', env: 'TRUST_PROXY', type: 'boolean', default: false },  // true behind a reverse proxy, to get the IP addresses of the clients
+  { key: 'login.maxFailures', env: 'LOGIN_MAX_FAILURES', type: 'integer', default: 5 },  // failed logins of an account before the lockout, 0 to disable it
+  { key: 'login.maxFailuresPerIp', env: 'LOGIN_MAX_FAILURES_PER_IP', type: 'integer', default: 20 },  // same, from an IP address (also the invalid API tokens)
+  { key: 'login.lockout', env: 'LOGIN_LOCKOUT_SECONDS', type: 'positive', default: 60 },  // first lockout, doubled at each further failure
+  { key: 'login.maxLockout', env: 'LOGIN_MAX_LOCKOUT_SECONDS', type: 'positive', default: 3600 },
+  { key: 'rateLimit.window', env: 'RATE_LIMIT_WINDOW_SECONDS', type: 'positive', default: 60 },
+  { key: 'rateLimit.auth', env: 'RATE_LIMIT_AUTH', type: 'integer', default: 30 },  // requests per window of each route group (see rate-limits), 0 to disable it
+  { key: 'rateLimit.temperatures', env: 'RATE_LIMIT_TEMPERATURES', type: 'integer', default: 120 },
+  { key: 'rateLimit.write', env: 'RATE_LIMIT_WRITE', type: 'integer', default: 120 },
+  { key: 'rateLimit.read', env: 'RATE_LIMIT_READ', type: 'integer', default: 600 },
+];
+
+
+// This function reads the configuration file, according to its extension (.json, .yaml or .yml).
+const readFile = (file) => {
+  const text = fs.readFileSync(file, 'utf8');
+  const extension = path.extname(file).toLowerCase();
+  if (extension === '.json')
+    return JSON.parse(text);
+  if (extension === '.yaml' || extension === '.yml')
+    return yaml.load(text);
+  throw new Error('the extension must be .json, .yaml or .yml');
+};
+
+// This function returns the value of a key (e.g., "cors.origins") of the file, or undefined if it is missing.
+const lookup = (object, key) => key.split('.').reduce((o, k) => (o !== null && typeof o === 'object' ? o[k] : undefined), object);
+
+// This function lists the keys of the file that are not settings (e.g., typos), as "cors.origin".
+const unknownKeys = (object, prefix = '') => {
+  const keys = [];
+  for (const [k, v] of Object.entries(object)) {
+    const key = prefix + k;
+    if (SETTINGS.some((s) => s.key === key))
+      continue;
+    if (v !== null && typeof v === 'object' && !Array.isArray(v) && SETTINGS.some((s) => s.key.startsWith(`${key}.`)))
+      keys.push(...unknownKeys(v, `${key}.`));
+    else
+      keys.push(key);
+  }
+  return keys;
+};
+
+// This function converts the value of an environment variable to the type of a setting.
+const fromEnv = (type, value) => {
+  if (type === 'port' || type === 'integer' || type === 'positive')
+    return /^\d+$/.test(value.trim()) ? Number(value) : value;
+  if (type === 'boolean') {
+    if (['true', '1', 'yes'].includes(value.toLowerCase()))
+      return true;
+    if (['false', '0', 'no'].includes(value.toLowerCase()))
+      return false;
+    return value;  // invalid, reported by checkValue
+  }
+  if (type === 'origins')
+    return value.split(',').map((o) => o.trim()).filter((o) => o !== '');
+  return value;
+};
+
+// This function checks the value of a setting, it returns the error message or null if it is valid.
+const checkValue = (type, value) => {
+  if (value === null)
+    return null;
+  if (Array.isArray(type))
+    return type.includes(value) ? null : `must be one of ${type.join(', ')}`;
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' && value !== '' ? null : 'must be a non-empty string';
+    case 'port':
+      return Number.isInteger(value) && value >= 1 && value <= 65535 ? null : 'must be an integer between 1 and 65535';
+    case 'integer':
+      return Number.isInteger(value) && value >= 0 ? null : 'must be a non-negative integer';
+    case 'positive':
+      return Number.isInteger(value) && value > 0 ? null : 'must be a positive integer';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'origins': {
+      if (!Array.isArray(value) || value.length === 0)
+        return 'must be a non-empty list of origins';
+      const invalid = value.filter((o) => {
+        try {
+          const url = new URL(o);
+          return !['http:', 'https:'].includes(url.protocol) || url.origin !== o;
+        } catch (err) {
+          return true;
+        }
+      });
+      return invalid.length === 0 ? null : `invalid origins ${invalid.join(', ')} (e.g., http://localhost:3000, without a trailing slash)`;
+    }
+  }
+};
+
+// This function sets the value of a key (e.g., "cors.origins") in the configuration.
+const assign = (object, key, value) => {
+  const keys = key.split('.');
+  const last = keys.pop();
+  for (const k of keys)
+    object = object[k] = object[k] || {};
+  object[last] = value;
+};
+
+
+/**
+ * This function loads and validates the configuration from the given environment (see the top of the module).
+ * It returns the configuration, or it throws an error listing all the invalid settings.
+ */
+exports.load = (env = process.env) => {
+  const errors = [];
+
+  let file = {};
+  if (env.CONFIG_FILE) {
+    try {
+      file = readFile(env.CONFIG_FILE);
+      if (file === null || typeof file !== 'object' || Array.isArray(file))
+        throw new Error('it must contain an object');
+      errors.push(...unknownKeys(file).map((key) => `${key} (${env.CONFIG_FILE}): unknown setting`));
+    } catch (err) {
+      throw new Error(`Invalid configuration: cannot read ${env.CONFIG_FILE}: ${err.message}`);
+    }
+  }
+
+  const config = {};
+  for (const s of SETTINGS) {
+    let value = s.default;
+    let source = 'default';
+    if (env[s.env] !== undefined && env[s.env] !== '') {
+      value = fromEnv(s.type, env[s.env]);
+      source = s.env;
+    } else if (lookup(file, s.key) !== undefined) {
+      value = lookup(file, s.key);
+      source = env.CONFIG_FILE;
+    }
+
+    const error = checkValue(s.type, value);
+    if (error)
+      errors.push(`${s.key} (${source}): ${error}`);
+    assign(config, s.key, value);
+  }
+
+  if (env.NODE_ENV === 'production' && config.session.secret === DEFAULT_SECRET)
+    errors.push('session.secret (SESSION_SECRET): the default secret cannot be used in production');
+
+  if (errors.length > 0)
+    throw new Error(`Invalid configuration:\n${errors.map((e) => ` - ${e}`).join('\n')}`);
+  return config;
+};
+
+let current = null;
+
+// This function returns the configuration of the server, which is loaded (from process.env) the first time.
+exports.get = () => {
+  if (current === null)
+    current = exports.load();
+  return current;
+};
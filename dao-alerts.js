@@ -0,0 +1,230 @@
+'use strict';
+
+/* Data Access Object (DAO) module for accessing the temperature alerts data: the alert definitions and the alerts they opened */
+
+const db = require('./db');
+
+/** WARNING:
+ * all DB operations must check that the definitions and the alerts belong to the loggedIn user,
+ * thus include a WHERE user=? check !!!
+ */
+
+/** NOTE
+ * return error messages as json object { error: <string> }
+ * an alert is 'open', then possibly 'acknowledged' by the user, and finally 'resolved' (see alerts-engine)
+ */
+
+// States of the alerts
+exports.STATES = ['open', 'acknowledged', 'resolved'];
+
+/**
+ * Converting the row of the DB in the definition returned to the client:
+ * { id, name, enabled, trigger: { sensor }, condition: { operator, threshold, within }, cooldown, channels: [{ type, ... }] }
+ */
+const toDefinition = (row) => ({
+  id: row.id,
+  name: row.name,
+  enabled: row.enabled === 1,
+  trigger: { sensor: row.sensor },
+  condition: { operator: row.operator, threshold: row.threshold, within: row.within },
+  cooldown: row.cooldown,
+  channels: JSON.parse(row.channels),
+  user: row.user,
+});
+
+// Converting a definition in the parameters of the INSERT and UPDATE queries (name, sensor, ..., enabled)
+const toParams = (a) => [a.name || null, a.trigger.sensor, a.condition.operator, a.condition.threshold, a.condition.within || 0,
+  a.cooldown || 0, JSON.stringify(a.channels), a.enabled ? 1 : 0];
+
+// This function runs a statement, as a Promise
+const run = (sql, params) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => {
+    if (err) reject(err);
+    else resolve(null);
+  });
+});
+
+
+/*** Alert definitions ***/
+
+// This function retrieves the whole list of alert definitions of a user from the database.
+exports.listDefinitions = (user) => {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT * FROM alertDefinitions WHERE user=? ORDER BY id';
+    db.all(sql, [user], (err, rows) => {
+      if (err) { reject(err); return; }
+      resolve(rows.map(toDefinition));
+    });
+  });
+};
+
+// This function retrieves the enabled alert definitions of a sensor of a user.
+exports.listSensorDefinitions = (user, sensor) => {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT * FROM alertDefinitions WHERE user=? AND sensor=? AND enabled=1 ORDER BY id';
+    db.all(sql, [user, sensor], (err, rows) => {
+      if (err) { reject(err); return; }
+      resolve(rows.map(toDefinition));
+    });
+  });
+};
+
+// This function retrieves an alert definition given its id and the associated user id.
+exports.getDefinition = (user, id) => {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT * FROM alertDefinitions WHERE id=? and user=?';
+    db.get(sql, [id, user], (err, row) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      if (row == undefined)
+        resolve({ error: 'Alert definition not found.' });
+      else
+        resolve(toDefinition(row));
+    });
+  });
+};
+
+/**
+ * This function adds a new alert definition in the database.
+ * The definition id is added automatically by the DB, and it is returned as this.lastID.
+ */
+exports.createDefinition = (a) => {
+  return new Promise((resolve, reject) => {
+    const sql = 'INSERT INTO alertDefinitions (name, sensor, operator, threshold, within, cooldown, channels, enabled, user) VALUES(?, ?, ?, ?, ?, ?, ?, ?, ?)';
+    db.run(sql, [...toParams(a), a.user], function (err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(exports.getDefinition(a.user, this.lastID));
+    });
+  });
+};
+
+/*
+ * This function updates an existing alert definition given its id and user.
+ * NOTE: the alerts already opened by the definition are kept, and they are resolved by the new condition.
+ */
+exports.updateDefinition = (user, id, a) => {
+  return new Promise((resolve, reject) => {
+    const sql = 'UPDATE alertDefinitions SET name = ?, sensor = ?, operator = ?, threshold = ?, within = ?, cooldown = ?, channels = ?, enabled = ? WHERE id = ? and user = ?';
+    db.run(sql, [...toParams(a), id, user], function (err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(exports.getDefinition(user, id));
+    });
+  });
+};
+
+// This function deletes an existing alert definition given its id, together with its alerts, in a single transaction.
+exports.deleteDefinition = (user, id) => {
+  return db.transaction(async () => {
+    await run('DELETE FROM alerts WHERE definition = ? and user = ?', [id, user]);
+    await run('DELETE FROM alertDefinitions WHERE id = ? and user = ?', [id, user]);
+    return null;
+  });
+};
+
+
+/*** Alerts ***/
+
+/**
+ * This function retrieves the alerts of a user, most recent first.
+ * The optional filter narrows the result down: state, sensor, definition.
+ */
+exports.listAlerts = (user, filter = {}) => {
+  return new Promise((resolve, reject) => {
+    let sql = 'SELECT * FROM alerts WHERE user=?';
+    const params = [user];
+    for (const column of ['state', 'sensor', 'definition']) {
+      if (filter[column] !== undefined) {
+        sql += ` AND ${column} = ?`;
+        params.push(filter[column]);
+      }
+    }
+    sql += ' ORDER BY opened DESC, id DESC';
+    db.all(sql, params, (err, rows) => {
+      if (err) { reject(err); return; }
+      resolve(rows);
+    });
+  });
+};
+
+// This function retrieves an alert given its id and the associated user id.
+exports.getAlert = (user, id) => {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT * FROM alerts WHERE id=? and user=?';
+    db.get(sql, [id, user], (err, row) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      if (row == undefined)
+        resolve({ error: 'Alert not found.' });
+      else
+        resolve(row);
+    });
+  });
+};
+
+// This function retrieves the last alert opened by a definition of a user, or null if there is none.
+exports.getLastAlert = (user, definition) => {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT * FROM alerts WHERE user=? AND definition=? ORDER BY opened DESC, id DESC LIMIT 1';
+    db.get(sql, [user, definition], (err, row) => {
+      if (err)
+        reject(err);
+      else
+        resolve(row === undefined ? null : row);
+    });
+  });
+};
+
+/**
+ * This function opens a new alert (a contains definition, sensor, value, message, opened and user).
+ * The alert id is added automatically by the DB, and it is returned as this.lastID.
+ */
+exports.createAlert = (a) => {
+  return new Promise((resolve, reject) => {
+    const sql = "INSERT INTO alerts (definition, sensor, state, value, message, opened, user) VALUES(?, ?, 'open', ?, ?, ?, ?)";
+    db.run(sql, [a.definition, a.sensor, a.value, a.message, a.opened, a.user], function (err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(exports.getAlert(a.user, this.lastID));
+    });
+  });
+};
+
+// This function acknowledges an open alert of a user, by a user at a date.
+exports.acknowledgeAlert = (user, id, by, date) => {
+  return new Promise((resolve, reject) => {
+    const sql = "UPDATE alerts SET state = 'acknowledged', acknowledged = ?, acknowledgedBy = ? WHERE id = ? and user = ? and state = 'open'";
+    db.run(sql, [date, by, id, user], (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(exports.getAlert(user, id));
+    });
+  });
+};
+
+// This function resolves an alert of a user (open or acknowledged) at a date.
+exports.resolveAlert = (user, id, date) => {
+  return new Promise((resolve, reject) => {
+    const sql = "UPDATE alerts SET state = 'resolved', resolved = ? WHERE id = ? and user = ? and state != 'resolved'";
+    db.run(sql, [date, id, user], (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(exports.getAlert(user, id));
+    });
+  });
+};
@@ -0,0 +1,204 @@
+'use strict';
+
+/* Data Access Object (DAO) module for accessing the devices data, for all the types of devices (see device-types) */
+
+const db = require('./db');
+const dayjs = require("dayjs");
+const deviceTypes = require('./device-types');
+const deviceEvents = require('./device-events');
+const historyDao = require('./dao-history');
+
+/** WARNING:
+ * all DB operations must check that the devices belong to the loggedIn user,
+ * thus include a WHERE user=? check !!!
+ */
+
+/** NOTE
+ * return error messages as json object { error: <string> }
+ * the type of the device is always the name of a type of the registry (e.g., "switch"), which gives the table
+ */
+
+
+// This function retrieves the whole list of devices of a type from the database.
+exports.listDevices = (type, user) => {
+    return new Promise((resolve, reject) => {
+      const t = deviceTypes.get(type);
+      const sql = `SELECT * FROM ${t.table} WHERE user=? ORDER BY id`;
+      db.all(sql, [user], (err, rows) => {
+        if (err) { reject(err); return; }
+
+        const devices = rows.map((e) => {
+          const d = Object.assign(t.toDevice(e), { date: dayjs(e.date) });  // creating a dayjs object for each date
+          return d;
+        });
+        resolve(devices);
+      });
+    });
+};
+
+// This function retrieves a device of a type given its id and the associated user id.
+exports.getDevice = (type, user, id) => {
+    return new Promise((resolve, reject) => {
+      const t = deviceTypes.get(type);
+      const sql = `SELECT * FROM ${t.table} WHERE id=? and user=?`;
+      db.get(sql, [id, user], (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        if (row == undefined)
+          resolve({ error: `${t.label} not found.` });
+        else
+          resolve(t.toDevice(row));
+      });
+    });
+};
+
+
+/**
+ * This function adds a new device of a type in the database.
+ * The device contains user, date, the initial value (optional) and the attributes of its type (e.g., the capabilities of a light).
+ * The device id is added automatically by the DB, and it is returned as this.lastID.
+ */
+exports.createDevice = (type, d) => {
+    return new Promise((resolve, reject) => {
+      const t = deviceTypes.get(type);
+      const columns = Object.assign(t.create(d, d.value), { date: d.date, user: d.user });
+      const names = Object.keys(columns);
+      const sql = `INSERT INTO ${t.table} (${names.join(', ')}) VALUES(${names.map(() => '?').join(', ')})`;
+      db.run(sql, Object.values(columns), function (err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        // Returning the newly created object with the DB additional properties to the client.
+        resolve(exports.getDevice(type, d.user, this.lastID));
+      });
+    });
+};
+
+/*
+ * This function updates the state of an existing device of a type given its id and user (see the toRow of its type),
+ * incrementing its revision. If d has a revision (i.e., the one of the device the new state was computed from),
+ * the update is done only if the device still has it, in the same statement: otherwise the device has been changed
+ * meanwhile, and { error: <string>, conflict: true } is returned.
+ * The optional context ({ actor, source }) tells who performed the change, and it is recorded in the state history.
+ * The new state is published to the subscribers of the device events, or pushed as a function in context.deferred
+ * (if any) to be published later (e.g., when the transaction is committed).
+ */
+exports.updateDevice = (type, user, id, d, context = {}) => {
+  return new Promise((resolve, reject) => {
+    const t = deviceTypes.get(type);
+    db.get(`SELECT value FROM ${t.table} WHERE id = ? and user = ?`, [id, user], (err, old) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      const columns = Object.assign(t.toRow(d), { date: d.date });
+      const params = [...Object.values(columns), id, user];
+      let sql = `UPDATE ${t.table} SET ${Object.keys(columns).map((c) => `${c} = ?`).join(', ')}, revision = revision + 1 WHERE id = ? and user = ?`;
+      if (d.revision !== undefined) {
+        sql += ' and revision = ?';
+        params.push(d.revision);
+      }
+      db.run(sql, params, function (err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        if (this.changes === 0 && old !== undefined) {
+          resolve({ error: `${t.label} ${id} has been changed by another request.`, conflict: true });
+          return;
+        }
+
+        // NOTE: only actual transitions are recorded in the history
+        const transition = old !== undefined && old.value !== Number(columns.value);
+        const recorded = !transition ? Promise.resolve() : historyDao.addHistory({
+          type: type, device: id, previous: old.value, value: columns.value, date: d.date,
+          user: user, actor: context.actor, source: context.source,
+        });
+
+        recorded
+          .then(() => exports.getDevice(type, user, id))
+          .then((result) => {
+            if (!result.error) {
+              // notifying the subscribers of the new state (after the commit, inside a transaction)
+              const notify = () => deviceEvents.publish(user, type, id, result);
+              if (context.deferred)
+                context.deferred.push(notify);
+              else
+                notify();
+            }
+            resolve(result);
+          })
+          .catch(reject);
+      });
+    });
+  });
+};
+
+
+/**
+ * This function deletes an existing device of a type given its id, together with its state history
+ * and the schedules and the rules acting on it, in a single transaction.
+ */
+exports.deleteDevice = (type, user, id) => {
+  const t = deviceTypes.get(type);
+  const run = (sql, params) => new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => {
+      if (err) reject(err);
+      else resolve(null);
+    });
+  });
+
+  return db.transaction(async () => {
+    await run('DELETE FROM history WHERE type = ? and device = ? and user = ?', [type, id, user]);
+    await run('DELETE FROM schedules WHERE type = ? and device = ? and user = ?', [type, id, user]);
+    await run('DELETE FROM rules WHERE actionType = ? and actionDevice = ? and user = ?', [type, id, user]);
+    await run(`DELETE FROM ${t.table} WHERE id = ? and user = ?`, [id, user]);
+    return null;
+  });
+};
+
+/**
+ * This function returns the id of the user owning a device of a type, whatever the user is.
+ * NOTE: it is meant for the administration only (see cli.js), as it does not check the user.
+ */
+exports.getDeviceOwner = (type, id) => {
+  return new Promise((resolve, reject) => {
+    const t = deviceTypes.get(type);
+    db.get(`SELECT user FROM ${t.table} WHERE id=?`, [id], (err, row) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      if (row == undefined)
+        resolve({ error: `${t.label} not found.` });
+      else
+        resolve({ user: row.user });
+    });
+  });
+};
+
+/**
+ * This function assigns a device of a type, given its id and current user, to another user, in a single transaction.
+ * The state history follows the device, while the schedules and the rules acting on it are deleted,
+ * as they belong to the previous user. The device must not be used by the scenes or the groups of the previous user.
+ */
+exports.assignDevice = (type, user, id, newUser) => {
+  const t = deviceTypes.get(type);
+  const run = (sql, params) => new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => {
+      if (err) reject(err);
+      else resolve(null);
+    });
+  });
+
+  return db.transaction(async () => {
+    await run('UPDATE history SET user = ? WHERE type = ? and device = ? and user = ?', [newUser, type, id, user]);
+    await run('DELETE FROM schedules WHERE type = ? and device = ? and user = ?', [type, id, user]);
+    await run('DELETE FROM rules WHERE actionType = ? and actionDevice = ? and user = ?', [type, id, user]);
+    await run(`UPDATE ${t.table} SET user = ? WHERE id = ? and user = ?`, [newUser, id, user]);
+    return exports.getDevice(type, newUser, id);
+  });
+};
@@ -0,0 +1,107 @@
+'use strict';
+
+/* Data Access Object (DAO) module for accessing device groups data */
+
+const db = require('./db');
+
+/** WARNING:
+ * all DB operations must check that the groups belong to the loggedIn user,
+ * thus include a WHERE user=? check !!!
+ */
+
+/** NOTE
+ * return error messages as json object { error: <string> }
+ */
+
+/**
+ * Converting the row of the DB in the object returned to the client: { id, name, type, devices, user },
+ * where devices is the list of the ids of the devices of the group, all of the same type (see deviceControl.TYPES).
+ */
+const toGroup = (row) => ({
+  id: row.id,
+  name: row.name,
+  type: row.type,
+  devices: JSON.parse(row.devices),
+  user: row.user,
+});
+
+
+// This function retrieves the whole list of groups of a user from the database.
+exports.listGroups = (user) => {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM groups WHERE user=? ORDER BY id';
+      db.all(sql, [user], (err, rows) => {
+        if (err) { reject(err); return; }
+        resolve(rows.map(toGroup));
+      });
+    });
+};
+
+// This function retrieves a group given its id and the associated user id.
+exports.getGroup = (user, id) => {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM groups WHERE id=? and user=?';
+      db.get(sql, [id, user], (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        if (row == undefined)
+          resolve({ error: 'Group not found.' });
+        else
+          resolve(toGroup(row));
+      });
+    });
+};
+
+
+/**
+ * This function adds a new group in the database.
+ * The group id is added automatically by the DB, and it is returned as this.lastID.
+ */
+exports.createGroup = (g) => {
+    return new Promise((resolve, reject) => {
+      const sql = 'INSERT INTO groups (name, type, devices, user) VALUES(?, ?, ?, ?)';
+      db.run(sql, [g.name, g.type, JSON.stringify(g.devices), g.user], function (err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        // Returning the newly created object with the DB additional properties to the client.
+        resolve(exports.getGroup(g.user, this.lastID));
+      });
+    });
+};
+
+/*
+ * This function updates an existing group given its id and user.
+ */
+exports.updateGroup = (user, id, g) => {
+  return new Promise((resolve, reject) => {
+    const sql = 'UPDATE groups SET name = ?, type = ?, devices = ? WHERE id = ? and user = ?';
+    db.run(sql, [g.name, g.type, JSON.stringify(g.devices), id, user], function (err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(exports.getGroup(user, id));
+    });
+  });
+};
+
+
+/**
+ * This function deletes an existing group given its id.
+ */
+exports.deleteGroup = (user, id) => {
+    return new Promise((resolve, reject) => {
+      const sql = 'DELETE FROM groups WHERE id = ? and user = ?';
+      db.run(sql, [id, user], (err) => {
+        if (err) {
+          reject(err);
+          return;
+        } else
+          resolve(null);
+      });
+    });
+}
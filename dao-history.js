@@ -0,0 +1,100 @@
+'use strict';
+
+/* Data Access Object (DAO) module for accessing the state history of the devices (see device-types) */
+
+const db = require('./db');
+const dayjs = require("dayjs");
+const utc = require('dayjs/plugin/utc');
+dayjs.extend(utc);
+
+/** WARNING:
+ * all DB operations must check that the devices belong to the loggedIn user,
+ * thus include a WHERE user=? check !!!
+ */
+
+// Sources of a state change
+exports.SOURCES = ['api', 'schedule', 'automation', 'mqtt', 'scene', 'group', 'simulator'];
+
+
+/**
+ * This function retrieves the state history of a device, most recent changes first.
+ * - type: the type of the device (e.g., 'switch')
+ * - filter: optional from, to (ISO 8601 timestamps, both inclusive), limit and offset
+ */
+exports.listHistory = (user, type, device, filter = {}) => {
+    return new Promise((resolve, reject) => {
+      let sql = 'SELECT * FROM history WHERE user=? AND type=? AND device=?';
+      const params = [user, type, device];
+      if (filter.from) {
+        sql += ' AND date >= ?';
+        params.push(dayjs.utc(filter.from).format());
+      }
+      if (filter.to) {
+        sql += ' AND date <= ?';
+        params.push(dayjs.utc(filter.to).format());
+      }
+      sql += ' ORDER BY date DESC, id DESC';
+      if (filter.limit !== undefined) {
+        sql += ' LIMIT ? OFFSET ?';
+        params.push(filter.limit, filter.offset || 0);
+      } else if (filter.offset) {
+        sql += ' LIMIT -1 OFFSET ?';  // SQLite does not support OFFSET without LIMIT
+        params.push(filter.offset);
+      }
+
+      db.all(sql, params, (err, rows) => {
+        if (err) { reject(err); return; }
+        resolve(rows);
+      });
+    });
+};
+
+
+/**
+ * This function records a state transition of a device.
+ * The entry contains type, device, previous, value, date, user (the owner of the device),
+ * actor (the user that performed the change, if any) and source (one of SOURCES).
+ */
+exports.addHistory = (entry) => {
+    return new Promise((resolve, reject) => {
+      const sql = 'INSERT INTO history (type, device, previous, value, date, user, actor, source) VALUES(?, ?, ?, ?, ?, ?, ?, ?)';
+      const params = [entry.type, entry.device, entry.previous, entry.value, entry.date, entry.user,
+        entry.actor === undefined ? null : entry.actor, entry.source || 'api'];
+      db.run(sql, params, function (err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(this.lastID);
+      });
+    });
+};
+
+/**
+ * This function retrieves the state history of all the devices of a user, oldest changes first (e.g., for the exports).
+ * - filter: optional type (of the devices, e.g., 'switch'), from and to (ISO 8601 timestamps, both inclusive)
+ */
+exports.listUserHistory = (user, filter = {}) => {
+    return new Promise((resolve, reject) => {
+      let sql = 'SELECT * FROM history WHERE user=?';
+      const params = [user];
+      if (filter.type) {
+        sql += ' AND type = ?';
+        params.push(filter.type);
+      }
+      if (filter.from) {
+        sql += ' AND date >= ?';
+        params.push(dayjs.utc(filter.from).format());
+      }
+      if (filter.to) {
+        sql += ' AND date <= ?';
+        params.push(dayjs.utc(filter.to).format());
+      }
+      sql += ' ORDER BY date, id';
+
+      db.all(sql, params, (err, rows) => {
+        if (err) { reject(err); return; }
+        resolve(rows);
+      });
+    });
+};
@@ -0,0 +1,115 @@
+'use strict';
+
+/* Data Access Object (DAO) module for accessing the counters of the failed logins and of the rate limits (see rate-limits) */
+
+const db = require('./db');
+
+/** NOTE
+ * the counters are identified by a key, e.g., "account:john.doe@polito.it" or "ip:127.0.0.1" for the failed logins,
+ * and "<group>:token:<id>", "<group>:user:<id>" or "<group>:ip:<address>" for the rate limits.
+ * The dates are UTC strings in the same format, thus they are compared as strings.
+ */
+
+
+// This function retrieves the failed logins of a key ({ key, failures, lastFailure, lockedUntil }), or null if there is none.
+exports.getLoginFailures = (key) => {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT * FROM loginFailures WHERE key = ?';
+    db.get(sql, [key], (err, row) => {
+      if (err)
+        reject(err);
+      else
+        resolve(row === undefined ? null : row);
+    });
+  });
+};
+
+// This function returns the date lockout seconds after date ($date), given the number of failures of a key (see addLoginAttempt).
+const lockedUntil = (failures) => `CASE WHEN ${failures} >= $max THEN strftime('%Y-%m-%dT%H:%M:%SZ', $date,
+  '+' || min($lockout << min(${failures} - $max, 30), $maxLockout) || ' seconds') END`;
+
+/**
+ * This function records a login attempt of a key at a date as a failure (until it succeeds, see releaseLoginAttempt), atomically:
+ * the attempts issued meanwhile see its failure. The previous failures are forgotten if the last one is older than staleBefore.
+ * When the failures reach max, the logins of the key are locked for lockout seconds, doubled at each further failure up to maxLockout.
+ * It returns the number of failures, or null if the logins of the key are locked (thus the attempt is not recorded).
+ */
+exports.addLoginAttempt = (key, date, staleBefore, { max, lockout, maxLockout }) => {
+  return new Promise((resolve, reject) => {
+    const failures = 'CASE WHEN lastFailure < $staleBefore THEN 1 ELSE failures + 1 END';
+    const sql = `INSERT INTO loginFailures (key, failures, lastFailure, lockedUntil) VALUES($key, 1, $date, ${lockedUntil('1')})
+      ON CONFLICT(key) DO UPDATE SET failures = ${failures}, lastFailure = excluded.lastFailure, lockedUntil = ${lockedUntil(failures)}
+      WHERE lockedUntil IS NULL OR lockedUntil <= $date
+      RETURNING failures`;
+    const params = { $key: key, $date: date, $staleBefore: staleBefore, $max: max, $lockout: lockout, $maxLockout: maxLockout };
+    db.get(sql, params, (err, row) => {
+      if (err)
+        reject(err);
+      else
+        resolve(row === undefined ? null : row.failures);
+    });
+  });
+};
+
+/**
+ * This function takes back a login attempt of a key that has not failed (e.g., it succeeded, or it was refused anyway):
+ * the logins are unlocked if the failures are below max without it.
+ */
+exports.releaseLoginAttempt = (key, max) => {
+  return new Promise((resolve, reject) => {
+    const sql = `UPDATE loginFailures SET failures = failures - 1, lockedUntil = CASE WHEN failures - 1 < ? THEN NULL ELSE lockedUntil END
+      WHERE key = ? AND failures > 0`;
+    db.run(sql, [max, key], (err) => {
+      if (err) reject(err);
+      else resolve(null);
+    });
+  });
+};
+
+// This function forgets the failed logins of a key (e.g., after a successful login), it returns whether there were some.
+exports.clearLoginFailures = (key) => {
+  return new Promise((resolve, reject) => {
+    const sql = 'DELETE FROM loginFailures WHERE key = ?';
+    db.run(sql, [key], function (err) {
+      if (err) reject(err);
+      else resolve(this.changes > 0);
+    });
+  });
+};
+
+/**
+ * This function counts a request of a key in the window starting at windowStart, atomically:
+ * the count starts again from 1 when the window changes. It returns the number of requests in the window.
+ */
+exports.countRequest = (key, windowStart) => {
+  return new Promise((resolve, reject) => {
+    const sql = `INSERT INTO rateLimits (key, windowStart, count) VALUES(?, ?, 1)
+      ON CONFLICT(key) DO UPDATE SET count = CASE WHEN windowStart = excluded.windowStart THEN count + 1 ELSE 1 END, windowStart = excluded.windowStart
+      RETURNING count`;
+    db.get(sql, [key, windowStart], (err, row) => {
+      if (err)
+        reject(err);
+      else
+        resolve(row.count);
+    });
+  });
+};
+
+/**
+ * This function deletes the expired counters: the rate limits of the windows started before windowsBefore,
+ * and the failed logins older than failuresBefore that are not locked anymore at the date now.
+ */
+exports.pruneLimits = (windowsBefore, failuresBefore, now) => {
+  const run = (sql, params) => new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => {
+      if (err) reject(err);
+      else resolve(null);
+    });
+  });
+
+  return db.transaction(async () => {
+    await run('DELETE FROM rateLimits WHERE windowStart < ?', [windowsBefore]);
+    await run('DELETE FROM loginFailures WHERE lastFailure < ? AND (lockedUntil IS NULL OR lockedUntil < ?)', [failuresBefore, now]);
+    return null;
+  });
+};
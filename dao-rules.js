@@ -0,0 +1,143 @@
+'use strict';
+
+/* Data Access Object (DAO) module for accessing automation rules data */
+
+const db = require('./db');
+
+/** WARNING:
+ * all DB operations must check that the rules belong to the loggedIn user,
+ * thus include a WHERE user=? check !!!
+ */
+
+/** NOTE
+ * return error messages as json object { error: <string> }
+ */
+
+/**
+ * Converting the row of the DB in the object returned to the client:
+ * { id, name, enabled, trigger: { sensor }, condition: { operator, threshold, for, hysteresis },
+ *   action: { type, device, value }, state: { since, fired, lastFired } }
+ */
+const toRule = (row) => ({
+  id: row.id,
+  name: row.name,
+  enabled: row.enabled === 1,
+  trigger: { sensor: row.sensor },
+  condition: { operator: row.operator, threshold: row.threshold, for: row.duration, hysteresis: row.hysteresis },
+  action: { type: row.actionType, device: row.actionDevice, value: row.actionValue },
+  state: { since: row.since, fired: row.fired === 1, lastFired: row.lastFired },
+  user: row.user,
+});
+
+// Converting a rule in the parameters of the INSERT and UPDATE queries (name, sensor, ..., enabled)
+const toParams = (r) => [r.name || null, r.trigger.sensor, r.condition.operator, r.condition.threshold,
+  r.condition.for || 0, r.condition.hysteresis || 0, r.action.type, r.action.device, Number(r.action.value), r.enabled ? 1 : 0];
+
+
+// This function retrieves the whole list of rules of a user from the database.
+exports.listRules = (user) => {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM rules WHERE user=? ORDER BY id';
+      db.all(sql, [user], (err, rows) => {
+        if (err) { reject(err); return; }
+        resolve(rows.map(toRule));
+      });
+    });
+};
+
+// This function retrieves the enabled rules triggered by a sensor of a user.
+exports.listSensorRules = (user, sensor) => {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM rules WHERE user=? AND sensor=? AND enabled=1 ORDER BY id';
+      db.all(sql, [user, sensor], (err, rows) => {
+        if (err) { reject(err); return; }
+        resolve(rows.map(toRule));
+      });
+    });
+};
+
+// This function retrieves a rule given its id and the associated user id.
+exports.getRule = (user, id) => {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM rules WHERE id=? and user=?';
+      db.get(sql, [id, user], (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        if (row == undefined)
+          resolve({ error: 'Rule not found.' });
+        else
+          resolve(toRule(row));
+      });
+    });
+};
+
+
+/**
+ * This function adds a new rule in the database.
+ * The rule id is added automatically by the DB, and it is returned as this.lastID.
+ */
+exports.createRule = (r) => {
+    return new Promise((resolve, reject) => {
+      const sql = 'INSERT INTO rules (name, sensor, operator, threshold, duration, hysteresis, actionType, actionDevice, actionValue, enabled, user) VALUES(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)';
+      db.run(sql, [...toParams(r), r.user], function (err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        // Returning the newly created object with the DB additional properties to the client.
+        resolve(exports.getRule(r.user, this.lastID));
+      });
+    });
+};
+
+/*
+ * This function updates an existing rule given its id and user.
+ * NOTE: the evaluation state of the rule is reset, since it may not be meaningful for the new definition.
+ */
+exports.updateRule = (user, id, r) => {
+  return new Promise((resolve, reject) => {
+    const sql = 'UPDATE rules SET name = ?, sensor = ?, operator = ?, threshold = ?, duration = ?, hysteresis = ?, actionType = ?, actionDevice = ?, actionValue = ?, enabled = ?, since = NULL, fired = 0 WHERE id = ? and user = ?';
+    db.run(sql, [...toParams(r), id, user], function (err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(exports.getRule(user, id));
+    });
+  });
+};
+
+/*
+ * This function stores the evaluation state of a rule ({ since, fired, lastFired }).
+ */
+exports.updateRuleState = (id, state) => {
+  return new Promise((resolve, reject) => {
+    const sql = 'UPDATE rules SET since = ?, fired = ?, lastFired = ? WHERE id = ?';
+    db.run(sql, [state.since, state.fired ? 1 : 0, state.lastFired, id], (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(null);
+    });
+  });
+};
+
+
+/**
+ * This function deletes an existing rule given its id.
+ */
+exports.deleteRule = (user, id) => {
+    return new Promise((resolve, reject) => {
+      const sql = 'DELETE FROM rules WHERE id = ? and user = ?';
+      db.run(sql, [id, user], (err) => {
+        if (err) {
+          reject(err);
+          return;
+        } else
+          resolve(null);
+      });
+    });
+}
@@ -0,0 +1,107 @@
+'use strict';
+
+/* Data Access Object (DAO) module for accessing scenes data */
+
+const db = require('./db');
+
+/** WARNING:
+ * all DB operations must check that the scenes belong to the loggedIn user,
+ * thus include a WHERE user=? check !!!
+ */
+
+/** NOTE
+ * return error messages as json object { error: <string> }
+ */
+
+/**
+ * Converting the row of the DB in the object returned to the client: { id, name, states, user }, where states is the list
+ * of the target states of the devices, e.g., { type: "switch", device: 1, value: true } or
+ * { type: "light", device: 2, on: true, brightness: 80, colorTemp: 370 } (see the commands in device-types).
+ */
+const toScene = (row) => ({
+  id: row.id,
+  name: row.name,
+  states: JSON.parse(row.states),
+  user: row.user,
+});
+
+
+// This function retrieves the whole list of scenes of a user from the database.
+exports.listScenes = (user) => {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM scenes WHERE user=? ORDER BY id';
+      db.all(sql, [user], (err, rows) => {
+        if (err) { reject(err); return; }
+        resolve(rows.map(toScene));
+      });
+    });
+};
+
+// This function retrieves a scene given its id and the associated user id.
+exports.getScene = (user, id) => {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM scenes WHERE id=? and user=?';
+      db.get(sql, [id, user], (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        if (row == undefined)
+          resolve({ error: 'Scene not found.' });
+        else
+          resolve(toScene(row));
+      });
+    });
+};
+
+
+/**
+ * This function adds a new scene in the database.
+ * The scene id is added automatically by the DB, and it is returned as this.lastID.
+ */
+exports.createScene = (s) => {
+    return new Promise((resolve, reject) => {
+      const sql = 'INSERT INTO scenes (name, states, user) VALUES(?, ?, ?)';
+      db.run(sql, [s.name, JSON.stringify(s.states), s.user], function (err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        // Returning the newly created object with the DB additional properties to the client.
+        resolve(exports.getScene(s.user, this.lastID));
+      });
+    });
+};
+
+/*
+ * This function updates an existing scene given its id and user.
+ */
+exports.updateScene = (user, id, s) => {
+  return new Promise((resolve, reject) => {
+    const sql = 'UPDATE scenes SET name = ?, states = ? WHERE id = ? and user = ?';
+    db.run(sql, [s.name, JSON.stringify(s.states), id, user], function (err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(exports.getScene(user, id));
+    });
+  });
+};
+
+
+/**
+ * This function deletes an existing scene given its id.
+ */
+exports.deleteScene = (user, id) => {
+    return new Promise((resolve, reject) => {
+      const sql = 'DELETE FROM scenes WHERE id = ? and user = ?';
+      db.run(sql, [id, user], (err) => {
+        if (err) {
+          reject(err);
+          return;
+        } else
+          resolve(null);
+      });
+    });
+}
@@ -0,0 +1,143 @@
+'use strict';
+
+/* Data Access Object (DAO) module for accessing schedules data */
+
+const db = require('./db');
+
+/** WARNING:
+ * all DB operations must check that the schedules belong to the loggedIn user,
+ * thus include a WHERE user=? check !!!
+ * The only exceptions are the functions used by the scheduler, which works on behalf of all the users.
+ */
+
+/** NOTE
+ * return error messages as json object { error: <string> }
+ */
+
+// Converting the row of the DB in the object returned to the client
+const toSchedule = (row) => Object.assign({}, row, { enabled: row.enabled === 1 });
+
+
+// This function retrieves the whole list of schedules of a user from the database.
+exports.listSchedules = (user) => {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM schedules WHERE user=? ORDER BY id';
+      db.all(sql, [user], (err, rows) => {
+        if (err) { reject(err); return; }
+        resolve(rows.map(toSchedule));
+      });
+    });
+};
+
+// This function retrieves a schedule given its id and the associated user id.
+exports.getSchedule = (user, id) => {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM schedules WHERE id=? and user=?';
+      db.get(sql, [id, user], (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        if (row == undefined)
+          resolve({ error: 'Schedule not found.' });
+        else
+          resolve(toSchedule(row));
+      });
+    });
+};
+
+
+/**
+ * This function adds a new schedule in the database.
+ * The schedule id is added automatically by the DB, and it is returned as this.lastID.
+ */
+exports.createSchedule = (s) => {
+    return new Promise((resolve, reject) => {
+      const sql = 'INSERT INTO schedules (name, type, device, value, cron, runAt, tz, misfire, enabled, nextRun, user) VALUES(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)';
+      const params = [s.name, s.type, s.device, s.value, s.cron, s.runAt, s.tz, s.misfire, s.enabled ? 1 : 0, s.nextRun, s.user];
+      db.run(sql, params, function (err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        // Returning the newly created object with the DB additional properties to the client.
+        resolve(exports.getSchedule(s.user, this.lastID));
+      });
+    });
+};
+
+/*
+ * This function updates an existing schedule given its id and user.
+ */
+exports.updateSchedule = (user, id, s) => {
+  return new Promise((resolve, reject) => {
+    const sql = 'UPDATE schedules SET name = ?, type = ?, device = ?, value = ?, cron = ?, runAt = ?, tz = ?, misfire = ?, enabled = ?, nextRun = ? WHERE id = ? and user = ?';
+    const params = [s.name, s.type, s.device, s.value, s.cron, s.runAt, s.tz, s.misfire, s.enabled ? 1 : 0, s.nextRun, id, user];
+    db.run(sql, params, function (err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(exports.getSchedule(user, id));
+    });
+  });
+};
+
+
+/**
+ * This function deletes an existing schedule given its id.
+ */
+exports.deleteSchedule = (user, id) => {
+    return new Promise((resolve, reject) => {
+      const sql = 'DELETE FROM schedules WHERE id = ? and user = ?';
+      db.run(sql, [id, user], (err) => {
+        if (err) {
+          reject(err);
+          return;
+        } else
+          resolve(null);
+      });
+    });
+}
+
+
+/*** Functions used by the scheduler ***/
+
+// This function retrieves the enabled schedules (of all the users) that are due at the given date.
+exports.listDueSchedules = (date) => {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM schedules WHERE enabled=1 AND nextRun <= ? ORDER BY nextRun';
+      db.all(sql, [date], (err, rows) => {
+        if (err) { reject(err); return; }
+        resolve(rows.map(toSchedule));
+      });
+    });
+};
+
+// This function retrieves the date of the next run among all the enabled schedules, or null if there is none.
+exports.getNextRunDate = () => {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT MIN(nextRun) AS nextRun FROM schedules WHERE enabled=1';
+      db.get(sql, [], (err, row) => {
+        if (err) { reject(err); return; }
+        resolve(row.nextRun);
+      });
+    });
+};
+
+/*
+ * This function stores the outcome of a run of a schedule: the date of the run (null if skipped),
+ * the date of the next run (null if there is none) and whether it is still enabled.
+ */
+exports.markRun = (id, lastRun, nextRun, enabled) => {
+  return new Promise((resolve, reject) => {
+    const sql = 'UPDATE schedules SET lastRun = COALESCE(?, lastRun), nextRun = ?, enabled = ? WHERE id = ?';
+    db.run(sql, [lastRun, nextRun, enabled ? 1 : 0, id], (err) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(null);
+    });
+  });
+};
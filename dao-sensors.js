@@ -0,0 +1,185 @@
+'use strict';
+
+/* Data Access Object (DAO) module for accessing sensors data */
+
+const db = require('./db');
+
+/** WARNING:
+ * all DB operations must check that the sensors belong to the loggedIn user,
+ * thus include a WHERE user=? check !!!
+ */
+
+/** NOTE
+ * return error messages as json object { error: <string> }
+ */
+
+
+// This function retrieves the whole list of sensors of a user from the database.
+exports.listSensors = (user) => {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM sensors WHERE user=? ORDER BY id';
+      db.all(sql, [user], (err, rows) => {
+        if (err) { reject(err); return; }
+        resolve(rows);
+      });
+    });
+};
+
+// This function retrieves a sensor given its id and the associated user id.
+exports.getSensor = (user, id) => {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM sensors WHERE id=? and user=?';
+      db.get(sql, [id, user], (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        if (row == undefined) {
+          resolve({ error: 'Sensor not found.' });
+        } else {
+          resolve(row);
+        }
+      });
+    });
+};
+
+/**
+ * This function retrieves the default sensor of a user, i.e., the oldest one.
+ * It is used by the routes that are not scoped by sensor (e.g., GET /api/temperatures/last).
+ * NOTE: each user gets a default sensor when it registers (see userDao.createUser), but it can delete all its sensors.
+ */
+exports.getDefaultSensor = (user) => {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM sensors WHERE user=? ORDER BY id LIMIT 1';
+      db.get(sql, [user], (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        if (row == undefined)
+          resolve({ error: 'Sensor not found.' });
+        else
+          resolve(row);
+      });
+    });
+};
+
+/**
+ * This function retrieves the default sensor of a user (see getDefaultSensor), creating a new one if the user has no sensor,
+ * e.g., to store a new reading (POST /api/temperatures). The check and the creation are a single statement,
+ * so the concurrent calls do not create more than one sensor.
+ */
+exports.ensureDefaultSensor = (user) => {
+    return new Promise((resolve, reject) => {
+      const sql = "INSERT INTO sensors (name, user) SELECT 'Default sensor', ? WHERE NOT EXISTS (SELECT 1 FROM sensors WHERE user=?)";
+      db.run(sql, [user, user], (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(exports.getDefaultSensor(user));
+      });
+    });
+};
+
+
+/**
+ * This function adds a new sensor in the database.
+ * The sensor id is added automatically by the DB, and it is returned as this.lastID.
+ */
+exports.createSensor = (s) => {
+    return new Promise((resolve, reject) => {
+      const sql = 'INSERT INTO sensors (name, location, unit, user) VALUES(?, ?, ?, ?)';
+      db.run(sql, [s.name, s.location || null, s.unit || '°C', s.user], function (err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        // Returning the newly created object with the DB additional properties to the client.
+        resolve(exports.getSensor(s.user, this.lastID));
+      });
+    });
+};
+
+/*
+ * This function updates an existing sensor given its id and user.
+ */
+exports.updateSensor = (user, id, s) => {
+  return new Promise((resolve, reject) => {
+    const sql = 'UPDATE sensors SET name = ?, location = ?, unit = ? WHERE id = ? and user = ?';
+    db.run(sql, [s.name, s.location || null, s.unit || '°C', id, user], function (err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(exports.getSensor(user, id));
+    });
+  });
+};
+
+
+/**
+ * This function deletes an existing sensor given its id, together with all its temperatures (also the summaries),
+ * the rules triggered by it and its alert definitions (also their alerts), in a single transaction.
+ */
+exports.deleteSensor = (user, id) => {
+  const run = (sql, params) => new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => {
+      if (err) reject(err);
+      else resolve(null);
+    });
+  });
+
+  return db.transaction(async () => {
+    await run('DELETE FROM temperatures WHERE sensor = ? and user = ?', [id, user]);
+    await run('DELETE FROM temperatureSummaries WHERE sensor = ? and user = ?', [id, user]);
+    await run('DELETE FROM rules WHERE sensor = ? and user = ?', [id, user]);
+    await run('DELETE FROM alerts WHERE sensor = ? and user = ?', [id, user]);
+    await run('DELETE FROM alertDefinitions WHERE sensor = ? and user = ?', [id, user]);
+    await run('DELETE FROM sensors WHERE id = ? and user = ?', [id, user]);
+    return null;
+  });
+}
+
+/**
+ * This function returns the id of the user owning a sensor, whatever the user is.
+ * NOTE: it is meant for the administration only (see cli.js), as it does not check the user.
+ */
+exports.getSensorOwner = (id) => {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT user FROM sensors WHERE id=?', [id], (err, row) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      if (row == undefined)
+        resolve({ error: 'Sensor not found.' });
+      else
+        resolve({ user: row.user });
+    });
+  });
+};
+
+/**
+ * This function assigns a sensor, given its id and current user, to another user, in a single transaction.
+ * The temperatures (also the summaries) follow the sensor, without their idempotency keys (which could clash with the ones
+ * of the new user), while the rules and the alert definitions (also their alerts) triggered by the sensor are deleted.
+ */
+exports.assignSensor = (user, id, newUser) => {
+  const run = (sql, params) => new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => {
+      if (err) reject(err);
+      else resolve(null);
+    });
+  });
+
+  return db.transaction(async () => {
+    await run('UPDATE temperatures SET user = ?, key = NULL WHERE sensor = ? and user = ?', [newUser, id, user]);
+    await run('UPDATE temperatureSummaries SET user = ? WHERE sensor = ? and user = ?', [newUser, id, user]);
+    await run('DELETE FROM rules WHERE sensor = ? and user = ?', [id, user]);
+    await run('DELETE FROM alerts WHERE sensor = ? and user = ?', [id, user]);
+    await run('DELETE FROM alertDefinitions WHERE sensor = ? and user = ?', [id, user]);
+    await run('UPDATE sensors SET user = ? WHERE id = ? and user = ?', [newUser, id, user]);
+    return exports.getSensor(newUser, id);
+  });
+};
@@ -0,0 +1,192 @@
+'use strict';
+
+/* Data Access Object (DAO) module for accessing the summaries of the temperatures (i.e., the downsampled temperature history) */
+
+const db = require('./db');
+const dayjs = require("dayjs");
+const utc = require('dayjs/plugin/utc');
+dayjs.extend(utc);
+
+/** WARNING:
+ * all DB operations must check that the summaries belong to the loggedIn user,
+ * thus include a WHERE user=? check !!! (the background jobs apart)
+ */
+
+/** NOTE
+ * A summary aggregates the readings of a sensor in a bucket of one hour or one day (in UTC), with resolution 'hour' or 'day':
+ * the hourly summaries are computed from the readings, and the daily ones from the hourly summaries, only for the buckets
+ * whose data has changed (see rollup). Until then, the queries compute them from the readings (see selectSummaries).
+ * Each summary reports count, min, max, mean and the first/last reading (date and value) in the bucket.
+ */
+
+// Resolutions of the summaries
+exports.RESOLUTIONS = ['hour', 'day'];
+
+// This function returns the start of the bucket of a resolution including a date (SQL expressions).
+const bucketOf = (resolution, date) => resolution === 'hour' ? `substr(${date}, 1, 13) || ':00:00Z'` : `substr(${date}, 1, 10) || 'T00:00:00Z'`;
+
+/**
+ * This function returns a query of some columns of the summaries of a user with a resolution, with its parameters ({ sql, params }),
+ * which can be completed with further conditions (e.g., see where). The buckets of each sensor from its first stale one on
+ * (i.e., the ones not rolled up yet, as the current hour, see rollup) are computed from the readings, so none is left out.
+ */
+exports.selectSummaries = (columns, user, resolution) => {
+  const sql = `WITH pending AS (
+      SELECT sensor, MIN(${bucketOf(resolution, 'start')}) AS start FROM staleSummaries ${resolution === 'hour' ? "WHERE resolution = 'hour' " : ''}GROUP BY sensor),
+    g AS (
+      SELECT t.user, t.sensor, ${bucketOf(resolution, 't.date')} AS start, COUNT(*) AS count, MIN(t.value) AS min, MAX(t.value) AS max,
+        AVG(t.value) AS mean, MIN(t.date) AS firstDate, MAX(t.date) AS lastDate
+      FROM temperatures t JOIN pending p ON t.sensor = p.sensor AND t.date >= p.start WHERE t.user = ? GROUP BY t.user, t.sensor, start),
+    summaries AS (
+      SELECT s.id, s.user, s.sensor, s.resolution, s.start, s.count, s.min, s.max, s.mean, s.firstDate, s.firstValue, s.lastDate, s.lastValue
+      FROM temperatureSummaries s LEFT JOIN pending p ON s.sensor = p.sensor
+      WHERE s.user = ? AND s.resolution = ? AND (p.start IS NULL OR s.start < p.start)
+      UNION ALL
+      SELECT NULL, g.user, g.sensor, ?, g.start, g.count, g.min, g.max, g.mean, g.firstDate,
+        (SELECT value FROM temperatures t WHERE t.sensor = g.sensor AND t.date = g.firstDate ORDER BY id LIMIT 1), g.lastDate,
+        (SELECT value FROM temperatures t WHERE t.sensor = g.sensor AND t.date = g.lastDate ORDER BY id DESC LIMIT 1)
+      FROM g)
+    SELECT ${columns} FROM summaries WHERE user=?`;
+  return { sql: sql, params: [user, user, resolution, resolution, user] };
+};
+
+// This function adds the conditions of a filter ({ sensor, from, to }, on the start of the buckets) to a query.
+const where = (sql, params, filter) => {
+  if (filter.sensor !== undefined) {
+    sql += ' AND sensor = ?';
+    params.push(filter.sensor);
+  }
+  if (filter.from) {
+    sql += ' AND start >= ?';
+    params.push(dayjs.utc(filter.from).format());
+  }
+  if (filter.to) {
+    sql += ' AND start <= ?';
+    params.push(dayjs.utc(filter.to).format());
+  }
+  return sql;
+};
+
+
+/**
+ * This function retrieves the summaries of the temperatures of a user with a resolution ('hour' or 'day'),
+ * in the same format of the temperatures: { sensor, date (start of the bucket), value (mean), count, min, max, resolution }.
+ * The optional filter is the same of temperatureDao.listTemperatures (sensor, from, to, order, limit, offset).
+ */
+exports.listSummaries = (user, resolution, filter = {}) => {
+    return new Promise((resolve, reject) => {
+      const { sql: select, params } = exports.selectSummaries('*', user, resolution);
+      let sql = where(select, params, filter);
+
+      const order = filter.order === 'desc' ? 'DESC' : 'ASC';
+      sql += ` ORDER BY start ${order}, sensor ${order}`;
+      if (filter.limit !== undefined) {
+        sql += ' LIMIT ? OFFSET ?';
+        params.push(filter.limit, filter.offset || 0);
+      } else if (filter.offset) {
+        sql += ' LIMIT -1 OFFSET ?';  // SQLite does not support OFFSET without LIMIT
+        params.push(filter.offset);
+      }
+
+      db.all(sql, params, (err, rows) => {
+        if (err) { reject(err); return; }
+        resolve(rows.map((s) => ({
+          sensor: s.sensor, date: s.start, value: s.mean, count: s.count, min: s.min, max: s.max, resolution: s.resolution, user: s.user,
+        })));
+      });
+    });
+};
+
+// This function counts the summaries of the temperatures of a user with a resolution, given a filter ({ sensor, from, to }).
+exports.countSummaries = (user, resolution, filter = {}) => {
+    return new Promise((resolve, reject) => {
+      const { sql: select, params } = exports.selectSummaries('COUNT(*) AS n', user, resolution);
+      const sql = where(select, params, filter);
+      db.get(sql, params, (err, row) => {
+        if (err) { reject(err); return; }
+        resolve(row.n);
+      });
+    });
+};
+
+
+/**
+ * This function updates the summaries of all the users at the given date (a dayjs object), from the data still available:
+ *  - the hourly summaries of the complete hours that are stale (i.e., whose readings have changed since the last update,
+ *    see the staleSummaries table), the ones from rawCutoff on without readings are deleted
+ *  - the daily summaries of the complete days with a stale hour (since the last update, or while the day was not complete),
+ *    the ones from hourCutoff on without hourly summaries are deleted
+ * where rawCutoff and hourCutoff are the dates before which the readings and the hourly summaries may have been pruned (null if never).
+ * It must be run inside a transaction (see db.transaction).
+ */
+exports.rollup = async (now, rawCutoff, hourCutoff) => {
+  const run = (sql, params) => new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => {
+      if (err) reject(err);
+      else resolve(null);
+    });
+  });
+  const hour = now.startOf('hour').format();
+  const day = now.startOf('day').format();
+
+  const staleHours = "SELECT sensor, start FROM staleSummaries WHERE resolution = 'hour' AND start >= ? AND start < ?";
+  await run(`DELETE FROM temperatureSummaries WHERE resolution = 'hour' AND (sensor, start) IN (${staleHours})`, [rawCutoff || '', hour]);
+  await run(`INSERT OR REPLACE INTO temperatureSummaries (user, sensor, resolution, start, count, min, max, mean, firstDate, lastDate, firstValue, lastValue)
+    WITH p AS (
+      SELECT sensor, start, strftime('%Y-%m-%dT%H:%M:%SZ', start, '+1 hour') AS end FROM (${staleHours})),
+    g AS (
+      SELECT t.user, t.sensor, p.start, COUNT(*) AS count, MIN(t.value) AS min, MAX(t.value) AS max, AVG(t.value) AS mean,
+        MIN(t.date) AS firstDate, MAX(t.date) AS lastDate
+      FROM p JOIN temperatures t ON t.sensor = p.sensor AND t.date >= p.start AND t.date < p.end GROUP BY t.user, t.sensor, p.start)
+    SELECT g.user, g.sensor, 'hour', g.start, g.count, g.min, g.max, g.mean, g.firstDate, g.lastDate,
+      (SELECT value FROM temperatures t WHERE t.sensor = g.sensor AND t.date = g.firstDate ORDER BY id LIMIT 1),
+      (SELECT value FROM temperatures t WHERE t.sensor = g.sensor AND t.date = g.lastDate ORDER BY id DESC LIMIT 1)
+    FROM g`, ['', hour]);
+  await run(`INSERT OR IGNORE INTO staleSummaries (sensor, resolution, start)
+    SELECT sensor, 'day', substr(start, 1, 10) || 'T00:00:00Z' FROM (${staleHours})`, ['', hour]);
+  await run("DELETE FROM staleSummaries WHERE resolution = 'hour' AND start < ?", [hour]);
+
+  const staleDays = "SELECT sensor, start FROM staleSummaries WHERE resolution = 'day' AND start >= ? AND start < ?";
+  await run(`DELETE FROM temperatureSummaries WHERE resolution = 'day' AND (sensor, start) IN (${staleDays})`, [hourCutoff || '', day]);
+  await run(`INSERT OR REPLACE INTO temperatureSummaries (user, sensor, resolution, start, count, min, max, mean, firstDate, lastDate, firstValue, lastValue)
+    WITH p AS (
+      SELECT sensor, start, strftime('%Y-%m-%dT%H:%M:%SZ', start, '+1 day') AS end FROM (${staleDays})),
+    g AS (
+      SELECT s.user, s.sensor, p.start AS day, SUM(s.count) AS count, MIN(s.min) AS min, MAX(s.max) AS max,
+        SUM(s.mean * s.count) / SUM(s.count) AS mean, MIN(s.firstDate) AS firstDate, MAX(s.lastDate) AS lastDate
+      FROM p JOIN temperatureSummaries s ON s.resolution = 'hour' AND s.sensor = p.sensor AND s.start >= p.start AND s.start < p.end
+      GROUP BY s.user, s.sensor, p.start)
+    SELECT g.user, g.sensor, 'day', g.day, g.count, g.min, g.max, g.mean, g.firstDate, g.lastDate,
+      (SELECT firstValue FROM temperatureSummaries s WHERE s.resolution = 'hour' AND s.sensor = g.sensor AND s.firstDate = g.firstDate LIMIT 1),
+      (SELECT lastValue FROM temperatureSummaries s WHERE s.resolution = 'hour' AND s.sensor = g.sensor AND s.lastDate = g.lastDate LIMIT 1)
+    FROM g`, ['', day]);
+  await run("DELETE FROM staleSummaries WHERE resolution = 'day' AND start < ?", [day]);
+  return null;
+};
+
+/**
+ * This function forgets the stale buckets before a date (ISO 8601 timestamp), e.g., the hours of the pruned readings,
+ * whose summaries are kept (see rollup) while they are not computed from the readings anymore (see selectSummaries).
+ */
+exports.forgetStale = (before) => {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM staleSummaries WHERE start < ?', [before], (err) => {
+        if (err) { reject(err); return; }
+        resolve(null);
+      });
+    });
+};
+
+/**
+ * This function deletes the summaries of all the users with a resolution before a date (ISO 8601 timestamp).
+ * It returns the number of deleted summaries.
+ */
+exports.pruneSummaries = (resolution, before) => {
+    return new Promise((resolve, reject) => {
+      const sql = 'DELETE FROM temperatureSummaries WHERE resolution = ? AND start < ?';
+      db.run(sql, [resolution, before], function (err) {
+        if (err) { reject(err); return; }
+        resolve(this.changes);
+      });
+    });
+};
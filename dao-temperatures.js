@@ -4,6 +4,14 @@
 
 const db = require('./db');
 const dayjs = require("dayjs");
+const deviceEvents = require('./device-events');
+const summaryDao = require('./dao-summaries');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const isoWeek = require('dayjs/plugin/isoWeek');
+dayjs.extend(utc);
+dayjs.extend(timezone);
+dayjs.extend(isoWeek);
 
 /** WARNING: 
  * all DB operations must check that the temperatures belong to the loggedIn user, 
@@ -15,11 +23,45 @@ const dayjs = require("dayjs");
  */
 
 
-// This function retrieves the whole list of temperatures from the database.
-exports.listTemperatures = (user, filter) => {
+/**
+ * This function retrieves the list of temperatures of a user from the database.
+ * The optional filter narrows the result down directly in SQL:
+ *  - sensor: id of the sensor that took the readings
+ *  - from, to: ISO 8601 timestamps delimiting the readings (both inclusive)
+ *  - order: 'asc' or 'desc' (by date, default 'asc')
+ *  - limit, offset: pagination of the result
+ */
+exports.listTemperatures = (user, filter = {}) => {
     return new Promise((resolve, reject) => {
-      const sql = 'SELECT * FROM temperatures WHERE user=?';
-      db.all(sql, [user], (err, rows) => {
+      let sql = 'SELECT * FROM temperatures WHERE user=?';
+      const params = [user];
+
+      if (filter.sensor !== undefined) {
+        sql += ' AND sensor = ?';
+        params.push(filter.sensor);
+      }
+      // NOTE: dates are stored as UTC ISO strings, so they can be compared as plain strings once normalized
+      if (filter.from) {
+        sql += ' AND date >= ?';
+        params.push(dayjs.utc(filter.from).format());
+      }
+      if (filter.to) {
+        sql += ' AND date <= ?';
+        params.push(dayjs.utc(filter.to).format());
+      }
+
+      const order = filter.order === 'desc' ? 'DESC' : 'ASC';
+      sql += ` ORDER BY date ${order}, id ${order}`;
+
+      if (filter.limit !== undefined) {
+        sql += ' LIMIT ? OFFSET ?';
+        params.push(filter.limit, filter.offset || 0);
+      } else if (filter.offset) {
+        sql += ' LIMIT -1 OFFSET ?';  // SQLite does not support OFFSET without LIMIT
+        params.push(filter.offset);
+      }
+
+      db.all(sql, params, (err, rows) => {
         if (err) { reject(err); return; }
 
         const temperatures = rows.map((e) => {
@@ -56,18 +98,18 @@ exports.getTemperature = (user, id) => {
 
 
 /*
- * This function retrieves the last temperature of a given user id.
+ * This function retrieves the last temperature measured by a sensor of a given user id
+ * (the last stored one, if more readings have the same date).
  */
-exports.getLastTemperature = (user) => {
+exports.getLastTemperature = (user, sensor) => {
   return new Promise((resolve, reject) => {
-    const sql = 'SELECT * FROM temperatures WHERE user=? ORDER BY date DESC LIMIT 1;';
-    db.get(sql, [user], (err, row) => {
+    const sql = 'SELECT * FROM temperatures WHERE user=? AND sensor=? ORDER BY date DESC, id DESC LIMIT 1;';
+    db.get(sql, [user, sensor], (err, row) => {
       if (err) {
         reject(err);
         return;
       }
       if (row == undefined) {
-        console.log("sono qui");
         resolve({ error: 'There is no temperature for this sensor!' });
       } else {
         // WARN: database is case insensitive. Converting "date" to camel case format
@@ -80,32 +122,225 @@ exports.getLastTemperature = (user) => {
 };
   
   
+// This function counts the temperatures of a user, given a filter ({ sensor, from, to }, see listTemperatures).
+exports.countTemperatures = (user, filter = {}) => {
+    return new Promise((resolve, reject) => {
+      let sql = 'SELECT COUNT(*) AS n FROM temperatures WHERE user=?';
+      const params = [user];
+      if (filter.sensor !== undefined) {
+        sql += ' AND sensor = ?';
+        params.push(filter.sensor);
+      }
+      if (filter.from) {
+        sql += ' AND date >= ?';
+        params.push(dayjs.utc(filter.from).format());
+      }
+      if (filter.to) {
+        sql += ' AND date <= ?';
+        params.push(dayjs.utc(filter.to).format());
+      }
+      db.get(sql, params, (err, row) => {
+        if (err) { reject(err); return; }
+        resolve(row.n);
+      });
+    });
+};
+
+/**
+ * This function computes aggregated statistics of the temperatures of a user, grouped in time buckets.
+ * The filter contains:
+ *  - bucket: 'hour', 'day' or 'week' (weeks start on Monday)
+ *  - sensor: optional id of the sensor that took the readings
+ *  - from, to: optional ISO 8601 timestamps delimiting the readings (both inclusive)
+ *  - tz: optional IANA time zone used to align the buckets (default 'UTC')
+ *  - resolution: optional 'hour' or 'day' to aggregate the summaries of the readings instead of the readings
+ *    (see dao-summaries), e.g., when the readings have been pruned; daily summaries are aligned to UTC days
+ * Each bucket reports count, min, max, mean and the first/last reading that falls into it.
+ */
+exports.getTemperatureStats = (user, filter) => {
+  return new Promise((resolve, reject) => {
+    // NOTE: a reading is aggregated as a summary of a single reading, the summaries are filtered by the start of their buckets
+    const summaries = filter.resolution !== undefined && filter.resolution !== 'raw';
+    const column = summaries ? 'start' : 'date';
+    const select = summaries ?
+      summaryDao.selectSummaries('start AS date, count, min, max, mean, firstDate, firstValue, lastDate, lastValue', user, filter.resolution) :
+      { sql: 'SELECT date, 1 AS count, value AS min, value AS max, value AS mean, date AS firstDate, value AS firstValue, date AS lastDate, value AS lastValue FROM temperatures WHERE user=?', params: [user] };
+    let sql = select.sql;
+    const params = select.params;
+    if (filter.sensor !== undefined) {
+      sql += ' AND sensor = ?';
+      params.push(filter.sensor);
+    }
+    if (filter.from) {
+      sql += ` AND ${column} >= ?`;
+      params.push(dayjs.utc(filter.from).format());
+    }
+    if (filter.to) {
+      sql += ` AND ${column} <= ?`;
+      params.push(dayjs.utc(filter.to).format());
+    }
+    sql += ` ORDER BY ${column} ASC, id ASC`;
+
+    const tz = filter.tz || 'UTC';
+    const unit = filter.bucket === 'week' ? 'isoWeek' : filter.bucket;
+    const buckets = new Map();
+
+    // NOTE: rows are aggregated while they are read, so the raw readings are never loaded all together
+    db.each(sql, params, (err, row) => {
+      if (err) return;  // errors are reported by the completion callback
+
+      const start = dayjs.utc(row.date).tz(tz).startOf(unit);
+      const key = start.valueOf();
+      let b = buckets.get(key);
+      if (b === undefined) {
+        b = {
+          start: start.format(),
+          end: start.add(1, filter.bucket).format(),
+          count: 0, min: row.min, max: row.max, sum: 0,
+          first: { date: row.firstDate, value: row.firstValue },
+        };
+        buckets.set(key, b);
+      }
+      b.count += row.count;
+      b.sum += row.mean * row.count;
+      b.min = Math.min(b.min, row.min);
+      b.max = Math.max(b.max, row.max);
+      b.last = { date: row.lastDate, value: row.lastValue };  // rows are sorted by date, so the last one wins
+    }, (err) => {
+      if (err) { reject(err); return; }
+
+      const stats = [...buckets.values()].map(({ sum, ...b }) => {
+        return Object.assign(b, { mean: sum / b.count });
+      });
+      resolve(stats);
+    });
+  });
+};
+
+
 /**
  * This function adds a new temperature in the database.
  * The temperature id is added automatically by the DB, and it is returned as this.lastID.
+ * The new reading is published to the subscribers of the device events if it becomes the last one of its sensor,
+ * i.e., as for the batches (see ingestTemperatures), a past reading does not trigger the automations and the alerts.
  */
 exports.createTemperature = (temperature) => {
     return new Promise((resolve, reject) => {
-      const sql = 'INSERT INTO temperatures (date, value, user) VALUES(?, ?, ?)';
-      db.run(sql, [temperature.date, temperature.value, temperature.user], function (err) {
+      const sql = 'INSERT INTO temperatures (date, value, user, sensor) VALUES(?, ?, ?, ?)';
+      db.run(sql, [temperature.date, temperature.value, temperature.user, temperature.sensor], function (err) {
         if (err) {
           reject(err);
           return;
         }
         // Returning the newly created object with the DB additional properties to the client.
-        resolve(exports.getTemperature(temperature.user, this.lastID));
+        const id = this.lastID;
+        Promise.all([exports.getTemperature(temperature.user, id), exports.getLastTemperature(temperature.user, temperature.sensor)])
+          .then(([result, last]) => {
+            if (last.id === id) {  // notifying the subscribers of the new reading
+              deviceEvents.publish(temperature.user, 'temperature', temperature.sensor, result);
+              deviceEvents.publishReadings(temperature.user, temperature.sensor, [result]);
+            }
+            resolve(result);
+          })
+          .catch(reject);
       });
     });
 };
-  
+
+
+/**
+ * This function deletes the temperatures of all the users before a date (ISO 8601 timestamp), e.g., for the retention.
+ * It returns the number of deleted temperatures.
+ */
+exports.pruneTemperatures = (before) => {
+    return new Promise((resolve, reject) => {
+      const sql = 'DELETE FROM temperatures WHERE date < ?';
+      db.run(sql, [before], function (err) {
+        if (err) { reject(err); return; }
+        resolve(this.changes);
+      });
+    });
+};
+
+
+/**
+ * This function stores a batch of readings of a user ({ sensor, date, value, key }, where key is an optional idempotency key),
+ * all in one transaction: either all the new readings are stored or none of them is.
+ * A reading is a duplicate (and it is skipped) if a reading with the same key, or of the same sensor at the same date,
+ * is already stored or comes earlier in the batch.
+ * It returns, for each reading, { status: 'accepted' | 'duplicate', id }, where id is the id of the new or of the existing reading.
+ * NOTE: only the readings that become the last one of their sensor are published to the subscribers of the device events,
+ * i.e., backfilled readings do not trigger the automations. The readings newer than the last one of their sensor before
+ * the batch are all published as new readings, in date order (see deviceEvents.publishReadings), for the alerts.
+ */
+exports.ingestTemperatures = async (user, readings) => {
+  const get = (sql, params) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+  const insert = (sql, params) => new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) reject(err);
+      else resolve(this.lastID);
+    });
+  });
+
+  const sensors = [...new Set(readings.map((r) => r.sensor))];
+  const latest = new Map();  // the date of the last reading of each sensor before the batch
+
+  const results = await db.transaction(async () => {
+    for (const sensor of sensors)
+      latest.set(sensor, (await get('SELECT MAX(date) AS date FROM temperatures WHERE user=? AND sensor=?', [user, sensor])).date);
+    const results = [];
+    for (const r of readings) {
+      let existing = r.key ? await get('SELECT id FROM temperatures WHERE user=? AND key=?', [user, r.key]) : undefined;
+      if (existing === undefined)
+        existing = await get('SELECT id FROM temperatures WHERE user=? AND sensor=? AND date=?', [user, r.sensor, r.date]);
+      if (existing !== undefined)
+        results.push({ status: 'duplicate', id: existing.id });
+      else {
+        const id = await insert('INSERT INTO temperatures (date, value, user, sensor, key) VALUES(?, ?, ?, ?, ?)', [r.date, r.value, user, r.sensor, r.key || null]);
+        results.push({ status: 'accepted', id: id });
+      }
+    }
+    return results;
+  });
+
+  const ids = new Set(results.filter((r) => r.status === 'accepted').map((r) => r.id));
+  for (const sensor of sensors) {
+    const last = await exports.getLastTemperature(user, sensor);
+    if (!last.error && ids.has(last.id))
+      deviceEvents.publish(user, 'temperature', sensor, last);  // notifying the subscribers of the new reading
+
+    const after = latest.get(sensor);
+    const news = [];
+    readings.forEach((r, i) => {
+      if (results[i].status === 'accepted' && r.sensor === sensor && (after === null || r.date > after))
+        news.push({ id: results[i].id, date: r.date, value: r.value, user: user, sensor: sensor, key: r.key || null });
+    });
+    news.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+    if (news.length > 0)
+      deviceEvents.publishReadings(user, sensor, news);
+  }
+  return results;
+};
+
 
 /** 
  * This function deletes an existing temperature given its id.
+ * If a sensor is specified, the temperature is deleted only if it was measured by that sensor.
  */ 
-exports.deleteTemperature = (user, id) => {
+exports.deleteTemperature = (user, id, sensor) => {
     return new Promise((resolve, reject) => {
-      const sql = 'DELETE FROM temperatures WHERE id = ? and user = ?';
-      db.run(sql, [id, user], (err) => {
+      let sql = 'DELETE FROM temperatures WHERE id = ? and user = ?';
+      const params = [id, user];
+      if (sensor !== undefined) {
+        sql += ' and sensor = ?';
+        params.push(sensor);
+      }
+      db.run(sql, params, (err) => {
         if (err) {
           reject(err);
           return;
@@ -0,0 +1,144 @@
+'use strict';
+
+/* Data Access Object (DAO) module for accessing the long-lived API tokens */
+
+const db = require('./db');
+const crypto = require('crypto');
+const dayjs = require("dayjs");
+const utc = require('dayjs/plugin/utc');
+dayjs.extend(utc);
+
+/** WARNING:
+ * all DB operations must check that the tokens belong to the loggedIn user,
+ * thus include a WHERE user=? check !!!
+ */
+
+/** NOTE
+ * A token is given to the client as "<id>.<secret>", and only the scrypt hash of the secret is stored in the DB,
+ * with the same scheme of the passwords of the users (see dao-users).
+ */
+
+/**
+ * Converting the row of the DB in the object returned to the client (without hash and salt).
+ * devices is the list of the devices the token is limited to (e.g., ["switch:1", "sensor:2"]), or null if it is not limited.
+ */
+const toToken = (row) => ({
+  id: row.id,
+  name: row.name,
+  readOnly: row.readOnly === 1,
+  devices: row.devices === null ? null : JSON.parse(row.devices),
+  created: row.created,
+  lastUsed: row.lastUsed,
+  user: row.user,
+});
+
+// Computing the scrypt hash of a secret, as a Buffer (stored as hex string)
+const hashSecret = (secret, salt) => {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(secret, salt, 32, (err, hash) => {
+      if (err) reject(err);
+      else resolve(hash);
+    });
+  });
+};
+
+
+// This function retrieves the whole list of tokens of a user from the database.
+exports.listTokens = (user) => {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM tokens WHERE user=? ORDER BY id';
+      db.all(sql, [user], (err, rows) => {
+        if (err) { reject(err); return; }
+        resolve(rows.map(toToken));
+      });
+    });
+};
+
+// This function retrieves a token given its id and the associated user id.
+exports.getToken = (user, id) => {
+    return new Promise((resolve, reject) => {
+      const sql = 'SELECT * FROM tokens WHERE id=? and user=?';
+      db.get(sql, [id, user], (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        if (row == undefined)
+          resolve({ error: 'Token not found.' });
+        else
+          resolve(toToken(row));
+      });
+    });
+};
+
+
+/**
+ * This function creates a new token for a user (t contains name, readOnly, devices and user).
+ * It returns the new token, including its value ("token" property): this is the only time it is available.
+ */
+exports.createToken = async (t) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = (await hashSecret(secret, salt)).toString('hex');
+
+  const id = await new Promise((resolve, reject) => {
+    const sql = 'INSERT INTO tokens (name, hash, salt, readOnly, devices, created, user) VALUES(?, ?, ?, ?, ?, ?, ?)';
+    const devices = t.devices ? JSON.stringify(t.devices) : null;
+    db.run(sql, [t.name, hash, salt, t.readOnly ? 1 : 0, devices, dayjs.utc().format(), t.user], function (err) {
+      if (err) reject(err);
+      else resolve(this.lastID);
+    });
+  });
+
+  const token = await exports.getToken(t.user, id);
+  return Object.assign(token, { token: `${id}.${secret}` });
+};
+
+
+/**
+ * This function verifies the value of a token ("<id>.<secret>").
+ * It returns the token (without its value), or false if the token is not valid.
+ */
+exports.verifyToken = (value) => {
+  return new Promise((resolve, reject) => {
+    const [id, secret] = String(value).split('.');
+    if (!/^\d+$/.test(id) || !secret) {
+      resolve(false);
+      return;
+    }
+
+    const sql = 'SELECT * FROM tokens WHERE id = ?';
+    db.get(sql, [id], (err, row) => {
+      if (err) {
+        reject(err);
+      } else if (row === undefined) {
+        resolve(false);
+      } else {
+        // Check the hashes with an async call, this operation may be CPU-intensive (and we don't want to block the server)
+        hashSecret(secret, row.salt).then((hash) => {
+          if (!crypto.timingSafeEqual(Buffer.from(row.hash, 'hex'), hash))
+            return resolve(false);
+          db.run('UPDATE tokens SET lastUsed = ? WHERE id = ?', [dayjs.utc().format(), row.id]);  // NOTE: best effort, no need to wait
+          resolve(toToken(row));
+        }).catch(reject);
+      }
+    });
+  });
+};
+
+
+/**
+ * This function deletes (i.e., revokes) an existing token given its id.
+ */
+exports.deleteToken = (user, id) => {
+    return new Promise((resolve, reject) => {
+      const sql = 'DELETE FROM tokens WHERE id = ? and user = ?';
+      db.run(sql, [id, user], (err) => {
+        if (err) {
+          reject(err);
+          return;
+        } else
+          resolve(null);
+      });
+    });
+}
@@ -3,6 +3,7 @@
 /* Data Access Object (DAO) module for accessing users data */
 
 const db = require('./db');
+const deviceTypes = require('./device-types');
 const crypto = require('crypto');
 
 // This function returns user's information given its id.
@@ -17,7 +18,7 @@ exports.getUserById = (id) => {
       else {
         // By default, the local strategy looks for "username": 
         // for simplicity, instead of using "email", we create an object with that property.
-        const user = { id: row.id, username: row.email, name: row.name }
+        const user = { id: row.id, username: row.email, name: row.name, admin: row.admin === 1 }
         resolve(user);
       }
     });
@@ -36,7 +37,7 @@ exports.getUser = (email, password) => {
       }
       else {
 
-        const user = { id: row.id, username: row.email, name: row.name };
+        const user = { id: row.id, username: row.email, name: row.name, admin: row.admin === 1 };
 
         // Check the hashes with an async call, this operation may be CPU-intensive (and we don't want to block the server)
         crypto.scrypt(password, row.salt, 32, function (err, hashedPassword) { // WARN: it is 64 and not 32 (as in the week example) in the DB
@@ -50,3 +51,111 @@ exports.getUser = (email, password) => {
     });
   });
 };
+
+// This function retrieves a user given its email, it is used to check that an email is not already registered.
+exports.getUserByEmail = (email) => {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT * FROM users WHERE email = ?';
+    db.get(sql, [email], (err, row) => {
+      if (err)
+        reject(err);
+      else if (row === undefined)
+        resolve({ error: 'User not found.' });
+      else
+        resolve({ id: row.id, username: row.email, name: row.name, admin: row.admin === 1 });
+    });
+  });
+};
+
+// This function retrieves the list of all the users (for the administration), ordered by id.
+exports.listUsers = () => {
+  return new Promise((resolve, reject) => {
+    const sql = 'SELECT * FROM users ORDER BY id';
+    db.all(sql, [], (err, rows) => {
+      if (err)
+        reject(err);
+      else
+        resolve(rows.map((row) => ({ id: row.id, username: row.email, name: row.name, admin: row.admin === 1 })));
+    });
+  });
+};
+
+// Computing the scrypt hash of a password with a new random salt, as hex strings (same scheme of the users in the DB)
+const hashPassword = (password) => {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(8).toString('hex');
+    crypto.scrypt(password, salt, 32, (err, hash) => {
+      if (err) reject(err);
+      else resolve({ hash: hash.toString('hex'), salt: salt });
+    });
+  });
+};
+
+/**
+ * This function registers a new user (email, name and password), together with its default sensor
+ * (see sensorDao.getDefaultSensor) in a single transaction.
+ * It returns the new user (id, username and name).
+ */
+exports.createUser = async (email, name, password) => {
+  const { hash, salt } = await hashPassword(password);
+  const run = (sql, params) => new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) reject(err);
+      else resolve(this.lastID);
+    });
+  });
+
+  const id = await db.transaction(async () => {
+    const id = await run('INSERT INTO users (email, name, hash, salt) VALUES(?, ?, ?, ?)', [email, name, hash, salt]);
+    await run("INSERT INTO sensors (name, user) VALUES('Default sensor', ?)", [id]);
+    return id;
+  });
+  return exports.getUserById(id);
+};
+
+// This function changes the password of a user (with a new salt).
+exports.updatePassword = async (id, password) => {
+  const { hash, salt } = await hashPassword(password);
+  return new Promise((resolve, reject) => {
+    const sql = 'UPDATE users SET hash = ?, salt = ? WHERE id = ?';
+    db.run(sql, [hash, salt, id], (err) => {
+      if (err) reject(err);
+      else resolve(null);
+    });
+  });
+};
+
+// This function grants (admin = true) or revokes the administration rights of a user.
+exports.setAdmin = (id, admin) => {
+  return new Promise((resolve, reject) => {
+    const sql = 'UPDATE users SET admin = ? WHERE id = ?';
+    db.run(sql, [admin ? 1 : 0, id], (err) => {
+      if (err) reject(err);
+      else resolve(null);
+    });
+  });
+};
+
+// Tables with the data owned by the users, deleted together with them
+const USER_TABLES = ['history', 'schedules', 'rules', 'scenes', 'groups', 'tokens', 'alerts', 'alertDefinitions', 'temperatures', 'temperatureSummaries', 'sensors',
+  ...deviceTypes.list().map((t) => t.table)];
+
+/**
+ * This function deletes a user together with all its data (devices, temperatures, schedules, rules, tokens, ...).
+ * Everything is deleted in a single transaction, i.e., on errors nothing is deleted.
+ */
+exports.deleteUser = (id) => {
+  const run = (sql, params) => new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => {
+      if (err) reject(err);
+      else resolve(null);
+    });
+  });
+
+  return db.transaction(async () => {
+    for (const table of USER_TABLES)
+      await run(`DELETE FROM ${table} WHERE user = ?`, [id]);
+    await run('DELETE FROM users WHERE id = ?', [id]);
+    return null;
+  });
+};
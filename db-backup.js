@@ -0,0 +1,119 @@
+'use strict';
+
+/**
+ * Module for the backup and the restore of the whole database (see db.js), while the server is running:
+ *  - a backup is a consistent snapshot of the database (taken with VACUUM INTO), i.e., a SQLite file
+ *  - a restore replaces all the data with the one of a backup, after checking that it has the same schema
+ *    of the database, in a single transaction
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const sqlite = require('sqlite3');
+
+const db = require('./db');
+
+// This function returns the path of a new temporary file.
+exports.tempFile = () => path.join(os.tmpdir(), `hass-backup-${crypto.randomBytes(8).toString('hex')}.db`);
+
+// These functions run a query on a database, as a Promise
+const all = (database, sql, params = []) => new Promise((resolve, reject) => {
+  database.all(sql, params, (err, rows) => {
+    if (err) reject(err);
+    else resolve(rows);
+  });
+});
+const run = (database, sql, params = []) => new Promise((resolve, reject) => {
+  database.run(sql, params, (err) => {
+    if (err) reject(err);
+    else resolve(null);
+  });
+});
+
+// This function returns the schema of a database (or of an attached one) as { <table>: [<column>, ...] }, without the internal tables.
+const schemaOf = async (database, schema = 'main') => {
+  const tables = await all(database, `SELECT name FROM ${schema}.sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name`);
+  const result = {};
+  for (const t of tables)
+    result[t.name] = (await all(database, `PRAGMA ${schema}.table_info("${t.name}")`)).map((c) => c.name).sort();
+  return result;
+};
+
+
+/**
+ * This function takes a consistent snapshot of the database in a new temporary file.
+ * It returns the path of the file, which must be deleted by the caller.
+ */
+exports.backup = async () => {
+  const file = exports.tempFile();
+  await run(db, 'VACUUM INTO ?', [file]);
+  return file;
+};
+
+/**
+ * This function checks that a file is a valid backup, i.e., a SQLite database that passes the integrity check
+ * and that has the same tables, with the same columns, of the database.
+ * It returns { error: <string> } if the backup is not valid, {} otherwise.
+ */
+exports.checkBackup = async (file) => {
+  let backup;
+  try {
+    backup = await new Promise((resolve, reject) => {
+      const d = new sqlite.Database(file, sqlite.OPEN_READONLY, (err) => {
+        if (err) reject(err);
+        else resolve(d);
+      });
+    });
+    const integrity = await all(backup, 'PRAGMA integrity_check');
+    if (integrity.length !== 1 || integrity[0].integrity_check !== 'ok')
+      return { error: 'The backup is corrupted' };
+
+    const expected = await schemaOf(db);
+    const actual = await schemaOf(backup);
+    for (const table of Object.keys(expected)) {
+      if (!actual[table])
+        return { error: `The backup has no table ${table}` };
+      if (actual[table].join() !== expected[table].join())
+        return { error: `The columns of table ${table} do not match: expected ${expected[table].join(', ')}` };
+    }
+    const unknown = Object.keys(actual).filter((table) => !expected[table]);
+    if (unknown.length > 0)
+      return { error: `Unknown tables in the backup: ${unknown.join(', ')}` };
+    return {};
+  } catch (err) {
+    return { error: 'The backup is not a valid SQLite database' };
+  } finally {
+    if (backup)
+      backup.close();
+  }
+};
+
+/**
+ * This function replaces all the data of the database with the one of a backup (checked by checkBackup),
+ * in a single transaction: on errors, the data is left untouched.
+ * The backup is attached, copied and detached in one exclusive step (see db.exclusive), since a database cannot be
+ * attached while a transaction is running, and no other statement must run while it is attached.
+ */
+exports.restore = (file) => {
+  return db.exclusive(async () => {
+    await run(db, "ATTACH DATABASE ? AS backup", [file]);
+    try {
+      const schema = await schemaOf(db);
+      await db.transaction(async () => {
+        for (const [table, columns] of Object.entries(schema)) {
+          const list = columns.map((c) => `"${c}"`).join(', ');
+          await run(db, `DELETE FROM main."${table}"`);
+          await run(db, `INSERT INTO main."${table}" (${list}) SELECT ${list} FROM backup."${table}"`);
+        }
+        // the AUTOINCREMENT counters are restored as well
+        await run(db, 'DELETE FROM main.sqlite_sequence');
+        await run(db, 'INSERT INTO main.sqlite_sequence SELECT * FROM backup.sqlite_sequence');
+      });
+    } finally {
+      await run(db, 'DETACH DATABASE backup');
+    }
+    return null;
+  });
+};
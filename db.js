@@ -2,11 +2,110 @@
 
 /** DB access module **/
 
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
 const sqlite = require('sqlite3');
+const config = require('./config');
 
-// open the database
-const db = new sqlite.Database('hass-test.db', (err) => {
+// open the database (the file in the configuration, or an in-memory one if it is ":memory:")
+const db = new sqlite.Database(config.get().database, (err) => {
   if (err) throw err;
 });
 
+/**
+ * NOTE: the connection is shared by all the requests, thus a transaction would include the statements issued meanwhile
+ * by the other requests (and it would roll them back on errors). While a transaction (or another exclusive step, see
+ * exclusive) is running, the statements issued outside of it wait for its end: the statements of the step are recognized
+ * by their asynchronous context, i.e., they are issued (also indirectly, e.g., in a callback) by its function.
+ */
+const context = new AsyncLocalStorage();
+let current = null;  // the running exclusive step, { done }, where done is resolved at its end
+let pending = 0;  // the statements issued outside of the exclusive steps, and not completed yet
+const drained = [];  // the functions to call when there are no pending statements
+
+// This function returns whether the caller is running inside the current exclusive step (e.g., a transaction).
+db.inTransaction = () => current !== null && context.getStore() === current;
+
+// The statements are wrapped, so they wait for the end of the current exclusive step (see above)
+for (const method of ['run', 'get', 'all', 'each', 'exec']) {
+  const original = db[method];
+  // NOTE: the methods of sqlite3 are read-only, thus they are overridden as properties of the database
+  Object.defineProperty(db, method, { value: function (...args) {
+    if (current !== null && !db.inTransaction()) {
+      current.done.then(() => db[method](...args));
+      return db;
+    }
+
+    // NOTE: the callbacks of sqlite3 lose the asynchronous context, thus they are bound to the one of the statement
+    args = args.map((a) => (typeof a === 'function' ? AsyncResource.bind(a) : a));
+    if (typeof args[args.length - 1] !== 'function')
+      args.push((err) => { if (err) db.emit('error', err); });  // as sqlite3 does for the statements without callback
+    if (current === null) {
+      pending++;
+      const callback = args[args.length - 1];
+      args[args.length - 1] = function (...results) {
+        if (--pending === 0)
+          drained.splice(0).forEach((resolve) => resolve());
+        return callback.apply(this, results);
+      };
+    }
+    return original.apply(db, args);
+  } });
+}
+
+// This function runs a statement, as a Promise
+const run = (sql) => new Promise((resolve, reject) => {
+  db.run(sql, (err) => {
+    if (err) reject(err);
+    else resolve(null);
+  });
+});
+
+let queue = Promise.resolve();  // the exclusive steps are run one at a time
+
+/**
+ * This function runs fn (an async function issuing the statements) as an exclusive step: it starts once the statements
+ * issued before are completed, and the ones issued meanwhile by the other requests wait for its end (e.g., to ATTACH
+ * another database, which cannot be done inside a transaction). It returns the result of fn.
+ */
+db.exclusive = (fn) => {
+  const result = queue.then(() => {
+    const step = {};
+    step.done = new Promise((resolve) => { step.end = resolve; });
+    current = step;
+    return context.run(step, async () => {
+      try {
+        if (pending > 0)
+          await new Promise((resolve) => drained.push(resolve));
+        return await fn();
+      } finally {
+        current = null;
+        step.end();
+      }
+    });
+  });
+  queue = result.catch(() => {});
+  return result;
+};
+
+/**
+ * This function runs fn (an async function issuing the statements) inside a transaction:
+ * the transaction is committed if fn resolves, and rolled back if it rejects. It returns the result of fn.
+ * The transaction is an exclusive step, or a part of the current one if it is called inside it (see exclusive),
+ * while the transactions cannot be nested.
+ */
+db.transaction = (fn) => {
+  const transaction = async () => {
+    await run('BEGIN TRANSACTION');
+    try {
+      const value = await fn();
+      await run('COMMIT');
+      return value;
+    } catch (err) {
+      await run('ROLLBACK').catch(() => {});
+      throw err;
+    }
+  };
+  return db.inTransaction() ? transaction() : db.exclusive(transaction);
+};
+
 module.exports = db;
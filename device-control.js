@@ -0,0 +1,192 @@
+'use strict';
+
+/**
+ * Module for changing the state of the devices.
+ * It is the single update path shared by the APIs (e.g., PUT /api/switches/<id>) and by the
+ * subsystems that act on behalf of the user (e.g., the scheduler), for all the types of devices (see device-types).
+ */
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+dayjs.extend(utc);
+
+const db = require('./db');
+const deviceDao = require('./dao-devices');
+const deviceTypes = require('./device-types');
+
+// Types of devices whose state can be changed (see device-types)
+exports.TYPES = deviceTypes.CONTROLLABLE;
+
+const MAX_ATTEMPTS = 5;  // attempts of a change when the device is changed meanwhile by other requests (see setState)
+
+// The pending changes of each device (by "<type>:<id>"), which are run one at a time
+const pending = new Map();
+
+// This function runs fn (an async function) after the pending changes of a device, it returns the result of fn.
+const serialized = (key, fn) => {
+  const result = (pending.get(key) || Promise.resolve()).then(fn);
+  const chain = result.catch(() => {});
+  pending.set(key, chain);
+  chain.then(() => {
+    if (pending.get(key) === chain)
+      pending.delete(key);
+  });
+  return result;
+};
+
+// The function answering the commands for the simulated devices, if any (see simulate)
+let respond = null;
+
+/**
+ * This function sets how the simulated devices answer the commands (see simulator): respond(user, type, id, context)
+ * resolves after the latency of the device, to an error message if it does not respond, or to null if it does (also for
+ * the devices that are not simulated).
+ */
+exports.simulate = (fn) => {
+  respond = fn;
+};
+
+
+/**
+ * This function checks a command for a device of a type against its capabilities (e.g., the colors of a light),
+ * while the values of the properties of the command are checked by the APIs (see the commands of the type).
+ * It returns an error message, or null if the device supports the command.
+ */
+exports.commandError = (type, device, command) => {
+  return deviceTypes.get(type).commandError(device, command);
+};
+
+/**
+ * This function sets the state of a device of a user given a command, which must be supported by the device (see commandError).
+ * The context ({ actor, source }) is recorded in the state history.
+ * The changes of a device are run one at a time (but the ones inside a transaction), and the new state is computed from the current one: it is stored only
+ * if the device has not been changed meanwhile anyway (see updateDevice), otherwise the command is applied again to the
+ * newer state. If revision is given (e.g., from If-Match),
+ * the command is applied only to that revision of the device, thus { error: <string>, conflict: true } is returned if it has another one.
+ * A simulated device may not respond (see simulate), then { error: <string>, unavailable: true } is returned.
+ * It returns the updated device, or { error: <string> } if the device does not exist.
+ */
+exports.setState = (user, type, id, command, context, revision) => {
+  const change = async () => {
+    // NOTE: inside a transaction the simulated devices have been reached before (see applyStates)
+    const failure = respond && !db.inTransaction() ? await respond(user, type, Number(id), context) : null;
+    if (failure)
+      return { error: failure, unavailable: true };
+
+    for (let attempt = 1; ; attempt++) {
+      const device = await deviceDao.getDevice(type, user, id);
+      if (device.error)
+        return device;
+      if (revision !== undefined && device.revision !== revision)
+        return { error: `${deviceTypes.get(type).label} ${device.id} has been changed by another request.`, conflict: true };
+
+      const d = deviceTypes.get(type).apply(device, command);
+      d.date = dayjs.utc().format();
+      const result = await deviceDao.updateDevice(type, user, d.id, d, context);
+      if (!result.conflict || revision !== undefined || attempt === MAX_ATTEMPTS)
+        return result;
+    }
+  };
+
+  // NOTE: inside a transaction no other request can change the device, and the pending changes wait for its end (see db)
+  return db.inTransaction() ? change() : serialized(`${type}:${Number(id)}`, change);
+};
+
+/**
+ * This function sets the value of a device given its type (e.g., a boolean for a switch, the level of a light),
+ * as the schedules and the rules do. The context ({ actor, source }) is recorded in the state history.
+ * It returns the updated device, or { error: <string> } if the device does not exist.
+ */
+exports.setDevice = (user, type, id, value, context) => {
+  return exports.setState(user, type, id, deviceTypes.get(type).fromValue(value), context);
+};
+
+// This function retrieves a device given its type, or { error: <string> } if it does not exist.
+exports.getDevice = (user, type, id) => {
+  return deviceDao.getDevice(type, user, id);
+};
+
+
+/**
+ * This function checks a list of target states of devices of a user, i.e., { type, device, ...command }
+ * (e.g., { type: "switch", device: 1, value: true } or { type: "light", device: 2, on: true, brightness: 80 }).
+ * It returns { error: <string> } if a device does not exist, { error: <string>, invalid: true } if a device does not
+ * support its command, or {} if all the states can be applied.
+ */
+exports.checkStates = async (user, states) => {
+  for (const state of states) {
+    const device = await exports.getDevice(user, state.type, state.device);
+    if (device.error)
+      return { error: `Device ${state.type}:${state.device} not found.` };
+    const unsupported = exports.commandError(state.type, device, deviceTypes.commandOf(state.type, state));
+    if (unsupported)
+      return { error: unsupported, invalid: true };
+  }
+  return {};
+};
+
+/**
+ * This function applies a list of target states of devices of a user (see checkStates) in a single transaction:
+ * either all the devices are changed or none of them is, and the device events are published only after the commit.
+ * The context ({ actor, source }) is recorded in the state history.
+ * It returns the list of the updated devices, or { error: <string> } (as checkStates) if a state cannot be applied,
+ * also { error: <string>, unavailable: true } if a simulated device does not respond.
+ */
+exports.applyStates = async (user, states, context) => {
+  const deferred = [];
+  const ctx = Object.assign({}, context, { deferred: deferred });
+  let failure = null;
+
+  // the simulated devices are reached first, so their latency does not keep the transaction open
+  if (respond) {
+    const failures = await Promise.all(states.map((state) => respond(user, state.type, Number(state.device), ctx)));
+    const unavailable = failures.find((f) => f);
+    if (unavailable)
+      return { error: unavailable, unavailable: true };
+  }
+
+  try {
+    const devices = await db.transaction(async () => {
+      failure = await exports.checkStates(user, states);
+      if (failure.error)
+        throw new Error(failure.error);
+
+      const devices = [];
+      for (const state of states) {
+        const result = await exports.setState(user, state.type, state.device, deviceTypes.commandOf(state.type, state), ctx);
+        devices.push(Object.assign({ type: state.type }, result));
+      }
+      return devices;
+    });
+    deferred.forEach((notify) => notify());
+    return devices;
+  } catch (err) {
+    if (failure && failure.error)
+      return failure;
+    throw err;
+  }
+};
+
+/**
+ * This function captures the current state of some devices of a user (e.g., ["switch:1", "light:2"]) as target states,
+ * i.e., the states that applyStates would need to restore them. All the controllable devices are captured if devices is not given.
+ * It returns the list of the states, or { error: <string> } if a device does not exist.
+ */
+exports.captureStates = async (user, devices) => {
+  const targets = [];
+  if (devices) {
+    for (const d of devices) {
+      const [type, id] = d.split(':');
+      const device = await exports.getDevice(user, type, id);
+      if (device.error)
+        return { error: `Device ${d} not found.` };
+      targets.push(Object.assign({ type: type }, device));
+    }
+  } else {
+    for (const type of exports.TYPES)
+      for (const device of await deviceDao.listDevices(type, user))
+        targets.push(Object.assign({ type: type }, device));
+  }
+
+  return targets.map((d) => Object.assign({ type: d.type, device: d.id }, deviceTypes.get(d.type).capture(d)));
+};
@@ -0,0 +1,112 @@
+'use strict';
+
+/* Module for publishing the state changes of the devices (see device-types) and of the temperature sensors to the subscribers */
+
+const EventEmitter = require('events');
+const deviceTypes = require('./device-types');
+
+const TYPES = [...deviceTypes.NAMES, 'temperature'];
+const BUFFER_SIZE = 1000;  // number of events kept in memory to resume the subscribers after a reconnection
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);  // one listener for each connected subscriber
+
+const buffer = [];
+
+// NOTE: ids start from the current time, so they keep increasing also across server restarts
+let lastId = Date.now();
+
+exports.TYPES = TYPES;
+
+// This function returns the id of the last published event.
+exports.lastId = () => lastId;
+
+/**
+ * This function publishes a state change of a device.
+ * - user: id of the user that owns the device
+ * - type: one of TYPES
+ * - device: id of the device (the sensor id for temperatures)
+ * - data: the new state of the device, as returned by the DAO
+ */
+exports.publish = (user, type, device, data) => {
+  const event = { id: ++lastId, user: Number(user), type: type, device: Number(device), data: data };
+  buffer.push(event);
+  if (buffer.length > BUFFER_SIZE)
+    buffer.shift();
+  emitter.emit('event', event);
+  return event;
+};
+
+/**
+ * This function registers a listener that is called for each published event.
+ * It returns a function to unsubscribe the listener.
+ */
+exports.subscribe = (listener) => {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+};
+
+/**
+ * This function publishes the new readings of a temperature sensor, in date order, to the listeners that evaluate each of them
+ * (see subscribeReadings, e.g., the alerts engine): a batch of readings is published as a single state change
+ * (its last reading), which would hide a spike in the middle of the batch.
+ * NOTE: the readings are not events of the subscribers (e.g., of GET /api/events), they are neither buffered nor numbered.
+ */
+exports.publishReadings = (user, sensor, readings) => {
+  emitter.emit('readings', { user: Number(user), sensor: Number(sensor), readings: readings });
+};
+
+/**
+ * This function registers a listener that is called for the new readings of each sensor ({ user, sensor, readings }, see publishReadings).
+ * It returns a function to unsubscribe the listener.
+ */
+exports.subscribeReadings = (listener) => {
+  emitter.on('readings', listener);
+  return () => emitter.off('readings', listener);
+};
+
+/**
+ * This function returns the buffered events published after the given id.
+ * It returns null if the events cannot be replayed (i.e., the id is unknown or too old),
+ * in that case the subscriber should start again from a snapshot.
+ */
+exports.since = (id) => {
+  if (id === lastId)
+    return [];
+  if (id > lastId || buffer.length === 0 || id < buffer[0].id - 1)
+    return null;
+  return buffer.filter((e) => e.id > id);
+};
+
+/**
+ * This function parses the subscription filter from the query of a request.
+ * - type: comma-separated list of device types (e.g., "switch,light")
+ * - id: comma-separated list of device ids
+ * It returns { types, ids } (null means "any"), or { error: <string> } if the query is not valid.
+ */
+exports.parseFilter = (query) => {
+  const split = (v) => [].concat(v).join(',').split(',').map((x) => x.trim()).filter((x) => x !== '');
+
+  let types = null;
+  if (query.type !== undefined) {
+    types = split(query.type);
+    if (types.some((t) => !TYPES.includes(t)))
+      return { error: `query[type]: must be a list of ${TYPES.join(', ')}` };
+  }
+
+  let ids = null;
+  if (query.id !== undefined) {
+    ids = split(query.id).map(Number);
+    if (ids.some((i) => !Number.isInteger(i)))
+      return { error: 'query[id]: must be a list of integers' };
+  }
+
+  return { types: types, ids: ids };
+};
+
+// This function checks whether an event belongs to the given user and matches the given filter.
+exports.matches = (event, user, filter) => {
+  return event.user === user
+    && (filter.types === null || filter.types.includes(event.type))
+    && (filter.ids === null || filter.ids.includes(event.device));
+};
@@ -0,0 +1,347 @@
+'use strict';
+
+/**
+ * Registry of the types of devices (switches, lights, covers and binary sensors).
+ * Each type declares its table and how its rows are converted, the schema of its attributes (given when a device
+ * is created) and of its commands (which change its state), and how a command is checked and applied.
+ * The DAO (see dao-devices), the device control and the CRUD routes are generic over the types of the registry,
+ * thus a new type is added by declaring it here, together with the migration creating its table.
+ *
+ * Every table has the columns id, value, date, user and revision: value is the current state as a single integer
+ * (e.g., the level of a light or the position of a cover), which is recorded in the state history, and revision
+ * counts the changes of the state (it is managed by dao-devices).
+ */
+
+/**
+ * A type of device contains:
+ *  - name: name of the type, as in the history and in the device references (e.g., "switch:1")
+ *  - table, path: table in the DB and path of the routes (e.g., /api/switches)
+ *  - label: used in the messages (e.g., "Switch not found.")
+ *  - controllable: whether the devices can be changed by schedules, rules, scenes and groups
+ *    (the state of a binary sensor is only reported by the device itself, with PUT /api/binary-sensors/<id>)
+ *  - attributes, commands: schemas of the body of the creation and of the commands, as { <property>: { valid, message } }
+ *  - create(attributes, value): the columns of a new device, besides user and date
+ *  - toDevice(row): the device returned to the client, from its row
+ *  - toRow(device): the columns storing the state of a device, besides user and date
+ *  - commandError(device, command): the reason why the device does not support a (valid) command, or null
+ *  - apply(device, command): the device with the new state, i.e., a copy of it changed by the command (date apart)
+ *  - valueDescription, isValue(value), fromValue(value): the values of the schedules and of the rules, and the command setting one
+ *  - turn(on): the command turning the device on (or opening it) or off, for the groups and the Home Assistant services
+ *  - capture(device): the command that restores the current state of the device, for the scenes
+ */
+const TYPES = [];
+
+
+// These functions are used as validators of the properties of the schemas
+const isBoolean = (v) => typeof v === 'boolean';
+const isIntegerIn = (min, max) => (v) => Number.isInteger(v) && v >= min && v <= max;
+exports.isHsColor = (hs) => Array.isArray(hs) && hs.length === 2 && hs.every((v) => typeof v === 'number')
+  && hs[0] >= 0 && hs[0] <= 360 && hs[1] >= 0 && hs[1] <= 100;
+exports.isRgbColor = (rgb) => Array.isArray(rgb) && rgb.length === 3 && rgb.every((v) => Number.isInteger(v) && v >= 0 && v <= 255);
+
+// The columns shared by all the tables, returned as they are
+const baseDevice = (row) => ({ id: row.id, value: row.value, date: row.date, user: row.user, revision: row.revision });
+
+
+/*** Switches ***/
+
+TYPES.push({
+  name: 'switch',
+  table: 'switches',
+  path: 'switches',
+  label: 'Switch',
+  controllable: true,
+  attributes: {},
+  commands: {
+    value: { valid: isBoolean, message: 'Must be a boolean' },
+  },
+  create: (attributes, value) => ({ value: value ? 1 : 0 }),
+  toDevice: baseDevice,
+  toRow: (s) => ({ value: s.value }),
+  commandError: () => null,
+  apply: (s, command) => Object.assign({}, s, { value: command.value ? 1 : 0 }),
+  valueDescription: 'a boolean',
+  isValue: isBoolean,
+  fromValue: (value) => ({ value: Boolean(value) }),
+  turn: (on) => ({ value: on }),
+  capture: (s) => ({ value: Boolean(s.value) }),
+});
+
+
+/*** Lights ***/
+
+/** NOTE
+ * value is the current level of the light (0 when it is off, the brightness otherwise), as for the other devices,
+ * while brightness is kept while the light is off (i.e., turning it on restores the previous brightness).
+ * The capabilities of a light (color modes, color temperature range in mireds, effects) are fixed by the hardware.
+ */
+
+// Color modes of the lights, as in Home Assistant: "onoff" and "brightness" lights cannot be colored
+exports.COLOR_MODES = ['onoff', 'brightness', 'color_temp', 'hs', 'rgb'];
+
+const MAX_BRIGHTNESS = 255;
+
+// This function checks the capabilities of a new light: "onoff" and "brightness" cannot be combined with other color modes.
+const isLightCapabilities = (c) => {
+  if (c === null || typeof c !== 'object' || Array.isArray(c))
+    return false;
+  if (!Array.isArray(c.colorModes) || c.colorModes.length === 0 || new Set(c.colorModes).size !== c.colorModes.length
+    || !c.colorModes.every((m) => exports.COLOR_MODES.includes(m)))
+    return false;
+  if (c.colorModes.length > 1 && (c.colorModes.includes('onoff') || c.colorModes.includes('brightness')))
+    return false;
+  const mireds = [c.minMireds, c.maxMireds].filter((m) => m !== undefined);
+  if (!mireds.every(isIntegerIn(1, 1000)) || (mireds.length === 2 && c.minMireds >= c.maxMireds))
+    return false;
+  return c.effects === undefined || (Array.isArray(c.effects) && c.effects.every((e) => typeof e === 'string' && e !== ''));
+};
+
+TYPES.push({
+  name: 'light',
+  table: 'lights',
+  path: 'lights',
+  label: 'Light',
+  controllable: true,
+  attributes: {
+    capabilities: {
+      valid: isLightCapabilities,
+      message: `Must be { colorModes, minMireds, maxMireds, effects }, with colorModes among ${exports.COLOR_MODES.join(', ')}`
+        + ' (onoff and brightness cannot be combined with other modes) and minMireds < maxMireds',
+    },
+  },
+  commands: {
+    value: { valid: isIntegerIn(0, 255), message: 'Must be an integer between 0 and 255' },
+    on: { valid: isBoolean, message: 'Must be a boolean' },
+    brightness: { valid: isIntegerIn(0, 255), message: 'Must be an integer between 0 and 255' },
+    colorTemp: { valid: isIntegerIn(1, 1000), message: 'Must be a color temperature in mireds' },
+    hs: { valid: exports.isHsColor, message: 'Must be [hue, saturation], with hue 0-360 and saturation 0-100' },
+    rgb: { valid: exports.isRgbColor, message: 'Must be [red, green, blue], each 0-255' },
+    effect: { valid: (e) => e === null || typeof e === 'string', message: 'Must be a string, or null to stop the effect' },
+    transition: { valid: (t) => typeof t === 'number' && t >= 0 && t <= 300, message: 'Must be a number of seconds between 0 and 300' },
+  },
+
+  // The capabilities default to a dimmable light
+  create: (attributes, value) => {
+    const c = Object.assign({ colorModes: ['brightness'], minMireds: 153, maxMireds: 500, effects: [] }, attributes.capabilities);
+    return {
+      value: value || 0, brightness: value > 0 ? value : MAX_BRIGHTNESS, colorMode: c.colorModes[0],
+      colorModes: JSON.stringify(c.colorModes), minMireds: c.minMireds, maxMireds: c.maxMireds,
+      effects: c.effects.length ? JSON.stringify(c.effects) : null,
+    };
+  },
+
+  toDevice: (row) => Object.assign(baseDevice(row), {
+    on: row.value > 0,
+    brightness: row.brightness,
+    colorMode: row.colorMode,
+    colorTemp: row.colorTemp,
+    hs: row.hue === null ? null : [row.hue, row.saturation],
+    rgb: row.rgb === null ? null : JSON.parse(row.rgb),
+    effect: row.effect,
+    transition: row.transition,
+    capabilities: {
+      colorModes: JSON.parse(row.colorModes),
+      minMireds: row.minMireds,
+      maxMireds: row.maxMireds,
+      effects: row.effects === null ? [] : JSON.parse(row.effects),
+    },
+  }),
+
+  // NOTE: the capabilities are not part of the state
+  toRow: (l) => ({
+    value: l.value, brightness: l.brightness, colorMode: l.colorMode, colorTemp: l.colorTemp,
+    hue: l.hs ? l.hs[0] : null, saturation: l.hs ? l.hs[1] : null, rgb: l.rgb ? JSON.stringify(l.rgb) : null,
+    effect: l.effect, transition: l.transition,
+  }),
+
+  commandError: (light, command) => {
+    const modes = light.capabilities.colorModes;
+    const colors = ['colorTemp', 'hs', 'rgb'].filter((c) => command[c] !== undefined);
+
+    if (colors.length > 1)
+      return 'Only one of colorTemp, hs and rgb can be set';
+    if (command.brightness !== undefined && modes.includes('onoff'))
+      return `Light ${light.id} does not support brightness`;
+    if (command.colorTemp !== undefined && !modes.includes('color_temp'))
+      return `Light ${light.id} does not support color temperature`;
+    if (command.colorTemp !== undefined && (command.colorTemp < light.capabilities.minMireds || command.colorTemp > light.capabilities.maxMireds))
+      return `Color temperature must be between ${light.capabilities.minMireds} and ${light.capabilities.maxMireds} mireds`;
+    if (command.hs !== undefined && !modes.includes('hs'))
+      return `Light ${light.id} does not support hs colors`;
+    if (command.rgb !== undefined && !modes.includes('rgb'))
+      return `Light ${light.id} does not support rgb colors`;
+    if (command.effect !== undefined && command.effect !== null && !light.capabilities.effects.includes(command.effect))
+      return `Light ${light.id} does not support effect ${command.effect}`;
+    return null;
+  },
+
+  // A brightness of 0 (or a value of 0) turns the light off, while the previous brightness is kept.
+  apply: (light, command) => {
+    const l = Object.assign({}, light);
+    const dimmable = !l.capabilities.colorModes.includes('onoff');
+    let on = l.on;
+    for (const level of [command.value, command.brightness].filter((v) => v !== undefined)) {
+      on = level > 0;
+      if (on && dimmable)
+        l.brightness = Math.min(level, MAX_BRIGHTNESS);
+    }
+    if (command.on !== undefined)
+      on = command.on;
+
+    if (command.colorTemp !== undefined)
+      Object.assign(l, { colorMode: 'color_temp', colorTemp: command.colorTemp, hs: null, rgb: null });
+    else if (command.hs !== undefined)
+      Object.assign(l, { colorMode: 'hs', colorTemp: null, hs: command.hs, rgb: null });
+    else if (command.rgb !== undefined)
+      Object.assign(l, { colorMode: 'rgb', colorTemp: null, hs: null, rgb: command.rgb });
+    if (command.effect !== undefined)
+      l.effect = command.effect;
+    l.transition = command.transition !== undefined ? command.transition : null;  // the transition of the last change
+
+    l.value = on ? l.brightness : 0;
+    l.on = on;
+    return l;
+  },
+
+  valueDescription: 'an integer between 0 and 255',
+  isValue: isIntegerIn(0, 255),
+  fromValue: (value) => ({ value: Number(value) }),
+  turn: (on) => ({ on: on }),
+
+  capture: (l) => {
+    const command = { on: l.on };
+    if (!l.capabilities.colorModes.includes('onoff'))
+      command.brightness = l.brightness;
+    if (l.colorMode === 'color_temp')
+      command.colorTemp = l.colorTemp;
+    else if (l.colorMode === 'hs')
+      command.hs = l.hs;
+    else if (l.colorMode === 'rgb')
+      command.rgb = l.rgb;
+    if (l.capabilities.effects.length > 0)
+      command.effect = l.effect;
+    return command;
+  },
+});
+
+
+/*** Covers (e.g., blinds, shutters, garage doors) ***/
+
+/** NOTE
+ * value is the position of the cover, from 0 (closed) to 100 (open).
+ * The covers without the position capability can only be fully opened or closed.
+ */
+
+TYPES.push({
+  name: 'cover',
+  table: 'covers',
+  path: 'covers',
+  label: 'Cover',
+  controllable: true,
+  attributes: {
+    capabilities: {
+      valid: (c) => c !== null && typeof c === 'object' && !Array.isArray(c) && (c.position === undefined || isBoolean(c.position)),
+      message: 'Must be { position: <boolean> }',
+    },
+  },
+  commands: {
+    value: { valid: isIntegerIn(0, 100), message: 'Must be a position between 0 (closed) and 100 (open)' },
+    open: { valid: isBoolean, message: 'Must be a boolean' },
+    position: { valid: isIntegerIn(0, 100), message: 'Must be a position between 0 (closed) and 100 (open)' },
+  },
+  create: (attributes, value) => {
+    const c = Object.assign({ position: true }, attributes.capabilities);
+    return { value: value || 0, supportsPosition: c.position ? 1 : 0 };
+  },
+  toDevice: (row) => Object.assign(baseDevice(row), {
+    open: row.value > 0,
+    position: row.value,
+    capabilities: { position: row.supportsPosition === 1 },
+  }),
+  toRow: (c) => ({ value: c.value }),
+  commandError: (cover, command) => {
+    const positions = [command.value, command.position].filter((p) => p !== undefined);
+    if (command.open !== undefined && positions.length > 0)
+      return 'Only one of open and position can be set';
+    if (!cover.capabilities.position && positions.some((p) => p !== 0 && p !== 100))
+      return `Cover ${cover.id} does not support intermediate positions`;
+    return null;
+  },
+  apply: (cover, command) => {
+    let position = cover.position;
+    if (command.open !== undefined)
+      position = command.open ? 100 : 0;
+    for (const p of [command.value, command.position].filter((p) => p !== undefined))
+      position = p;
+    return Object.assign({}, cover, { value: position, position: position, open: position > 0 });
+  },
+  valueDescription: 'a position between 0 and 100',
+  isValue: isIntegerIn(0, 100),
+  fromValue: (value) => ({ position: Number(value) }),
+  turn: (on) => ({ open: on }),
+  capture: (c) => (c.capabilities.position ? { position: c.position } : { open: c.open }),
+});
+
+
+/*** Binary sensors (e.g., door contacts, motion detectors) ***/
+
+// Device classes of the binary sensors, as in Home Assistant
+exports.DEVICE_CLASSES = ['door', 'garage_door', 'window', 'opening', 'motion', 'occupancy', 'presence', 'moisture', 'smoke', 'gas', 'vibration'];
+
+TYPES.push({
+  name: 'binary_sensor',
+  table: 'binarySensors',
+  path: 'binary-sensors',
+  label: 'Binary sensor',
+  controllable: false,
+  attributes: {
+    name: { valid: (n) => typeof n === 'string' && n.trim() !== '' && n.length <= 64, message: 'Must be a string of at most 64 characters' },
+    deviceClass: { valid: (c) => exports.DEVICE_CLASSES.includes(c), message: `Must be one of ${exports.DEVICE_CLASSES.join(', ')}` },
+  },
+  commands: {
+    value: { valid: isBoolean, message: 'Must be a boolean' },
+  },
+  create: (attributes, value) => ({ value: value ? 1 : 0, name: attributes.name || null, deviceClass: attributes.deviceClass || null }),
+  toDevice: (row) => Object.assign(baseDevice(row), { on: row.value > 0, name: row.name, deviceClass: row.deviceClass }),
+  toRow: (b) => ({ value: b.value }),
+  commandError: () => null,
+  apply: (b, command) => Object.assign({}, b, { value: command.value ? 1 : 0, on: command.value }),
+  valueDescription: 'a boolean',
+  isValue: isBoolean,
+  fromValue: (value) => ({ value: Boolean(value) }),
+  turn: (on) => ({ value: on }),
+  capture: (b) => ({ value: Boolean(b.value) }),
+});
+
+
+// Names of all the types, and of the controllable ones
+exports.NAMES = TYPES.map((t) => t.name);
+exports.CONTROLLABLE = TYPES.filter((t) => t.controllable).map((t) => t.name);
+
+// This function returns the list of the types of devices.
+exports.list = () => TYPES.slice();
+
+// This function returns a type of device given its name (e.g., "switch"), or undefined if it does not exist.
+exports.get = (name) => TYPES.find((t) => t.name === name);
+
+
+/**
+ * This function checks some properties (e.g., the body of a request) against a schema of a type (its attributes or its commands),
+ * ignoring the properties not in the schema. It returns the error messages, formatted as the ones of the validation of the APIs
+ * (e.g., "body[brightness]: Must be an integer between 0 and 255"), or just as "brightness: ..." if location is null.
+ */
+exports.schemaErrors = (schema, properties, location = 'body') => {
+  const errors = [];
+  for (const [p, s] of Object.entries(schema))
+    if (properties[p] !== undefined && !s.valid(properties[p]))
+      errors.push(location === null ? `${p}: ${s.message}` : `${location}[${p}]: ${s.message}`);
+  return errors;
+};
+
+// This function extracts from some properties the command for a device of a type (i.e., the properties of its commands).
+exports.commandOf = (type, properties) => {
+  const command = {};
+  for (const p of Object.keys(exports.get(type).commands).filter((p) => properties[p] !== undefined))
+    command[p] = properties[p];
+  return command;
+};
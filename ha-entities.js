@@ -0,0 +1,188 @@
+'use strict';
+
+/**
+ * Module exposing the devices as Home Assistant entities, following the format of the Home Assistant REST API
+ * (see https://developers.home-assistant.io/docs/api/rest/):
+ *  - switch.backend_<id> for the switches
+ *  - light.backend_<id> for the lights (with brightness 0-255, color temperature in mireds, hs/rgb colors and effects)
+ *  - cover.backend_<id> for the covers (with position 0-100), binary_sensor.backend_<id> for the binary sensors
+ *  - sensor.backend_temperature_<id> for the temperature sensors, sensor.backend_temperature is the default one
+ */
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+dayjs.extend(utc);
+
+const deviceDao = require('./dao-devices');
+const sensorDao = require('./dao-sensors');
+const temperatureDao = require('./dao-temperatures');
+const deviceControl = require('./device-control');
+
+const PREFIX = 'backend';
+
+// Services supported by POST /api/services/<domain>/<service>, for each domain
+exports.SERVICES = {
+  switch: ['turn_on', 'turn_off', 'toggle'],
+  light: ['turn_on', 'turn_off', 'toggle'],
+  cover: ['open_cover', 'close_cover', 'set_cover_position', 'toggle'],
+};
+
+// Domains of the entities of the devices (the binary sensors have no services)
+const DOMAINS = ['switch', 'light', 'cover', 'binary_sensor'];
+
+// Home Assistant uses ISO 8601 dates with an explicit offset (e.g., "2023-04-07T14:01:04.000+00:00")
+const haDate = (date) => date ? dayjs.utc(date).format('YYYY-MM-DDTHH:mm:ss.SSSZ') : null;
+
+const toEntity = (entityId, state, attributes, date) => ({
+  entity_id: entityId,
+  state: state,
+  attributes: attributes,
+  last_changed: haDate(date),
+  last_updated: haDate(date),
+});
+
+const switchEntity = (s) => toEntity(`switch.${PREFIX}_${s.id}`, s.value ? 'on' : 'off',
+  { friendly_name: `Switch ${s.id}` }, s.date);
+
+// NOTE: as in Home Assistant, the color attributes of a light are null while it is off
+const lightEntity = (l) => {
+  const attributes = {
+    friendly_name: `Light ${l.id}`,
+    supported_color_modes: l.capabilities.colorModes,
+    color_mode: l.on ? l.colorMode : null,
+    brightness: l.on && l.colorMode !== 'onoff' ? l.brightness : null,
+  };
+  if (l.capabilities.colorModes.includes('color_temp'))
+    Object.assign(attributes, { min_mireds: l.capabilities.minMireds, max_mireds: l.capabilities.maxMireds, color_temp: l.on ? l.colorTemp : null });
+  if (l.capabilities.colorModes.includes('hs'))
+    attributes.hs_color = l.on ? l.hs : null;
+  if (l.capabilities.colorModes.includes('rgb'))
+    attributes.rgb_color = l.on ? l.rgb : null;
+  if (l.capabilities.effects.length > 0)
+    Object.assign(attributes, { effect_list: l.capabilities.effects, effect: l.on ? l.effect : null });
+  return toEntity(`light.${PREFIX}_${l.id}`, l.on ? 'on' : 'off', attributes, l.date);
+};
+
+// This function converts the data of a light service (e.g., { brightness, color_temp, transition }) in a command for device-control.
+const lightCommand = (on, data) => {
+  const command = { on: on };
+  const names = { brightness: 'brightness', color_temp: 'colorTemp', hs_color: 'hs', rgb_color: 'rgb', effect: 'effect', transition: 'transition' };
+  for (const [name, property] of Object.entries(names))
+    if (data[name] !== undefined && (on || name === 'transition'))  // turning off accepts only the transition
+      command[property] = data[name];
+  return command;
+};
+
+const coverEntity = (c) => {
+  const attributes = { friendly_name: `Cover ${c.id}` };
+  if (c.capabilities.position)
+    attributes.current_position = c.position;
+  return toEntity(`cover.${PREFIX}_${c.id}`, c.open ? 'open' : 'closed', attributes, c.date);
+};
+
+const binarySensorEntity = (b) => toEntity(`binary_sensor.${PREFIX}_${b.id}`, b.on ? 'on' : 'off',
+  { friendly_name: b.name || `Binary sensor ${b.id}`, device_class: b.deviceClass }, b.date);
+
+// Converting a device in its entity, given its type
+const ENTITIES = { switch: switchEntity, light: lightEntity, cover: coverEntity, binary_sensor: binarySensorEntity };
+
+// NOTE: the state of a sensor without readings is "unknown", as in Home Assistant
+const sensorEntity = (sensor, t) => toEntity(`sensor.${PREFIX}_temperature_${sensor.id}`, t.error ? 'unknown' : String(t.value), {
+  friendly_name: sensor.name,
+  unit_of_measurement: sensor.unit,
+  device_class: 'temperature',
+  state_class: 'measurement',
+}, t.error ? null : t.date);
+
+
+/**
+ * This function parses an entity id (e.g., "light.backend_2") of this backend.
+ * It returns { domain, id }, where id is undefined for the default temperature sensor, or null if the entity id is not valid.
+ */
+exports.parseEntityId = (entityId) => {
+  const match = new RegExp(`^(${DOMAINS.join('|')})\\.${PREFIX}_(\\d+)$|^sensor\\.${PREFIX}_temperature(?:_(\\d+))?$`).exec(entityId);
+  if (!match)
+    return null;
+  if (match[1])
+    return { domain: match[1], id: Number(match[2]) };
+  return { domain: 'sensor', id: match[3] === undefined ? undefined : Number(match[3]) };
+};
+
+// This function retrieves all the entities of a user.
+exports.listEntities = async (user) => {
+  const entities = [];
+  for (const domain of DOMAINS)
+    entities.push(...(await deviceDao.listDevices(domain, user)).map(ENTITIES[domain]));
+  for (const sensor of await sensorDao.listSensors(user))
+    entities.push(sensorEntity(sensor, await temperatureDao.getLastTemperature(user, sensor.id)));
+  return entities;
+};
+
+// This function retrieves an entity of a user given its entity id, or null if it does not exist.
+exports.getEntity = async (user, entityId) => {
+  const parsed = exports.parseEntityId(entityId);
+  if (parsed === null)
+    return null;
+
+  if (parsed.domain === 'sensor') {
+    const sensor = parsed.id === undefined ? await sensorDao.getDefaultSensor(user) : await sensorDao.getSensor(user, parsed.id);
+    if (sensor.error)
+      return null;
+    return sensorEntity(sensor, await temperatureDao.getLastTemperature(user, sensor.id));
+  }
+
+  const device = await deviceControl.getDevice(user, parsed.domain, parsed.id);
+  if (device.error)
+    return null;
+  return ENTITIES[parsed.domain](device);
+};
+
+// This function converts a service called on a device (e.g., open_cover) in a command for device-control.
+const serviceCommand = (domain, service, device, data) => {
+  if (domain === 'cover') {
+    if (service === 'set_cover_position')
+      return { position: data.position };
+    return { open: service === 'open_cover' || (service === 'toggle' && !device.open) };
+  }
+
+  const on = service === 'turn_on' || (service === 'toggle' && !(device.value > 0));
+  return domain === 'light' ? lightCommand(on, data) : { value: on };
+};
+
+/**
+ * This function calls a service (see SERVICES) on some entities of a domain of a user.
+ * The data may contain brightness (0-255), color_temp, hs_color, rgb_color, effect and transition for the lights,
+ * and position (0-100) for the covers.
+ * It returns the list of the new states of the entities, or { error: <string> } if an entity does not exist,
+ * or { error: <string>, invalid: true } if a device does not support the data, or { error: <string>, unavailable: true }
+ * if a simulated device does not respond (the entities before it are changed anyway).
+ */
+exports.callService = async (user, domain, service, entityIds, data = {}) => {
+  if (service === 'set_cover_position' && data.position === undefined)
+    return { error: 'position is required', invalid: true };
+
+  const targets = [];
+  for (const entityId of entityIds) {
+    const parsed = exports.parseEntityId(entityId);
+    const device = parsed && parsed.domain === domain ? await deviceControl.getDevice(user, domain, parsed.id) : { error: true };
+    if (device.error)
+      return { error: `Entity ${entityId} not found.` };
+    targets.push(device);
+  }
+
+  for (const device of targets) {
+    const unsupported = deviceControl.commandError(domain, device, serviceCommand(domain, service, device, data));
+    if (unsupported)
+      return { error: unsupported, invalid: true };
+  }
+
+  const states = [];
+  for (const device of targets) {
+    const context = { actor: user, source: 'api' };
+    const result = await deviceControl.setState(user, domain, device.id, serviceCommand(domain, service, device, data), context);
+    if (result.error)
+      return result;
+    states.push(ENTITIES[domain](result));
+  }
+  return states;
+};
@@ -0,0 +1,210 @@
+'use strict';
+
+/**
+ * Module collecting the metrics of the server in the Prometheus format (see GET /metrics):
+ *  - the state of the devices of all the users: on/off, brightness of the lights, position of the covers
+ *  - the last temperature of each sensor, its age and whether the sensor is stale (no reading for staleMinutes)
+ *  - the HTTP requests: count and latency per route (the template, e.g., /api/switches/:id) and status
+ *  - the DAO queries: duration and errors per function (e.g., dao="temperatures", operation="getLastTemperature")
+ *  - the health of the process (CPU, memory, event loop, ...), from the default metrics of prom-client
+ * The metrics of the devices and of the sensors are computed when they are scraped, the other ones are updated continuously.
+ */
+
+const client = require('prom-client');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+dayjs.extend(utc);
+
+const userDao = require('./dao-users');
+const deviceDao = require('./dao-devices');
+const deviceTypes = require('./device-types');
+const sensorDao = require('./dao-sensors');
+const temperatureDao = require('./dao-temperatures');
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+let staleMinutes = 30;  // see configure
+
+
+/*** HTTP requests ***/
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'Number of HTTP requests, per route and status (route "unmatched" for the requests refused before the routing, or not found)',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry],
+});
+
+const httpDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Latency of the HTTP requests, per route and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry],
+});
+
+// This middleware measures the HTTP requests, when their responses are sent: it must be installed before the other ones.
+exports.httpMiddleware = (req, res, next) => {
+  const end = httpDuration.startTimer();
+  res.on('finish', () => {
+    const labels = { method: req.method, route: req.route ? req.baseUrl + req.route.path : 'unmatched', status: res.statusCode };
+    end(labels);
+    httpRequests.inc(labels);
+  });
+  next();
+};
+
+
+/*** DAO queries ***/
+
+const daoDuration = new client.Histogram({
+  name: 'hass_dao_query_duration_seconds',
+  help: 'Duration of the functions of the DAO modules (i.e., of their queries)',
+  labelNames: ['dao', 'operation'],
+  buckets: [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1],
+  registers: [registry],
+});
+
+const daoErrors = new client.Counter({
+  name: 'hass_dao_query_errors_total',
+  help: 'Number of the failed calls of the functions of the DAO modules (i.e., database errors, not the { error } results)',
+  labelNames: ['dao', 'operation'],
+  registers: [registry],
+});
+
+/**
+ * This function measures the functions of some DAO modules, given as { <name>: <module> } (e.g., { temperatures: temperatureDao }).
+ * The functions are replaced in the modules, so all their callers are measured (also the other modules and the DAO itself).
+ */
+exports.instrumentDaos = (daos) => {
+  for (const [dao, module] of Object.entries(daos)) {
+    for (const [operation, fn] of Object.entries(module).filter(([, f]) => typeof f === 'function')) {
+      const labels = { dao: dao, operation: operation };
+      module[operation] = (...args) => {
+        const end = daoDuration.startTimer(labels);
+        let result;
+        try {
+          result = fn(...args);
+        } catch (err) {
+          end();
+          daoErrors.inc(labels);
+          throw err;
+        }
+        if (!result || typeof result.then !== 'function') {
+          end();
+          return result;
+        }
+        return result.then(
+          (value) => { end(); return value; },
+          (err) => { end(); daoErrors.inc(labels); throw err; });
+      };
+    }
+  }
+};
+
+
+/*** Devices and sensors ***/
+
+const deviceOn = new client.Gauge({
+  name: 'hass_device_on',
+  help: 'Whether a device is on (1) or off (0): switches, lights, binary sensors, and covers (on is open)',
+  labelNames: ['type', 'user', 'id'],
+  registers: [registry],
+});
+
+const lightBrightness = new client.Gauge({
+  name: 'hass_light_brightness',
+  help: 'Brightness of a light (0-255), also when it is off',
+  labelNames: ['user', 'id'],
+  registers: [registry],
+});
+
+const coverPosition = new client.Gauge({
+  name: 'hass_cover_position',
+  help: 'Position of a cover, from 0 (closed) to 100 (open)',
+  labelNames: ['user', 'id'],
+  registers: [registry],
+});
+
+const sensorTemperature = new client.Gauge({
+  name: 'hass_sensor_temperature',
+  help: 'Last temperature measured by a sensor, in its unit',
+  labelNames: ['user', 'sensor', 'name', 'unit'],
+  registers: [registry],
+});
+
+const sensorLastReading = new client.Gauge({
+  name: 'hass_sensor_last_reading_timestamp_seconds',
+  help: 'Date of the last reading of a sensor, as a Unix timestamp',
+  labelNames: ['user', 'sensor', 'name'],
+  registers: [registry],
+});
+
+const sensorAge = new client.Gauge({
+  name: 'hass_sensor_last_reading_age_seconds',
+  help: 'Age of the last reading of a sensor, in seconds',
+  labelNames: ['user', 'sensor', 'name'],
+  registers: [registry],
+});
+
+const sensorStale = new client.Gauge({
+  name: 'hass_sensor_stale',
+  help: 'Whether a sensor is stale (1), i.e., it has no reading or its last reading is older than the stale threshold',
+  labelNames: ['user', 'sensor', 'name'],
+  registers: [registry],
+});
+
+const staleThreshold = new client.Gauge({
+  name: 'hass_sensor_stale_threshold_seconds',
+  help: 'Age of the last reading after which a sensor is stale',
+  registers: [registry],
+});
+
+// This function computes the metrics of the devices and of the sensors of all the users, at the date now.
+const collectDevices = async (now) => {
+  for (const gauge of [deviceOn, lightBrightness, coverPosition, sensorTemperature, sensorLastReading, sensorAge, sensorStale])
+    gauge.reset();  // the deleted devices disappear
+  staleThreshold.set(staleMinutes * 60);
+
+  for (const user of await userDao.listUsers()) {
+    for (const t of deviceTypes.list()) {
+      for (const d of await deviceDao.listDevices(t.name, user.id)) {
+        deviceOn.set({ type: t.name, user: user.id, id: d.id }, d.value > 0 ? 1 : 0);
+        if (t.name === 'light')
+          lightBrightness.set({ user: user.id, id: d.id }, d.brightness);
+        if (t.name === 'cover')
+          coverPosition.set({ user: user.id, id: d.id }, d.position);
+      }
+    }
+
+    for (const s of await sensorDao.listSensors(user.id)) {
+      const labels = { user: user.id, sensor: s.id, name: s.name };
+      const last = await temperatureDao.getLastTemperature(user.id, s.id);
+      if (last.error) {
+        sensorStale.set(labels, 1);
+        continue;
+      }
+      const age = now.diff(dayjs.utc(last.date), 'second');
+      sensorTemperature.set(Object.assign({ unit: s.unit }, labels), last.value);
+      sensorLastReading.set(labels, dayjs.utc(last.date).unix());
+      sensorAge.set(labels, age);
+      sensorStale.set(labels, age > staleMinutes * 60 ? 1 : 0);
+    }
+  }
+};
+
+
+// This function sets the options of the metrics: { staleMinutes }, the age of the last reading after which a sensor is stale.
+exports.configure = (options) => {
+  staleMinutes = options.staleMinutes;
+};
+
+// The content type of the metrics, i.e., the Prometheus text format
+exports.CONTENT_TYPE = registry.contentType;
+
+// This function returns all the metrics, in the Prometheus text format.
+exports.render = async (now = dayjs.utc()) => {
+  await collectDevices(now);
+  return registry.metrics();
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * Module keeping the schema of the database (see db.js) up to date with versioned migrations.
+ * The migrations are the files of the migrations directory, named <version>-<name>.js (e.g., "002-sensors.js"),
+ * which are applied in the order of their version. Each one exports up(exec, all), an async function changing the schema
+ * with exec(sql), which runs one or more statements, and all(sql, params), which returns the rows of a query.
+ *
+ * The schema_version table records the migrations applied to the database: the pending ones are applied at startup,
+ * each one in its own transaction, thus a fresh (empty) database is created from nothing.
+ * NOTE: the migrations are never edited once released, a change of the schema is always a new migration.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+dayjs.extend(utc);
+
+const db = require('./db');
+
+const DIRECTORY = path.join(__dirname, 'migrations');
+
+// These functions run some statements, a statement with parameters and a query on the database, as a Promise
+const exec = (sql) => new Promise((resolve, reject) => {
+  db.exec(sql, (err) => {
+    if (err) reject(err);
+    else resolve(null);
+  });
+});
+const run = (sql, params) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => {
+    if (err) reject(err);
+    else resolve(null);
+  });
+});
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) reject(err);
+    else resolve(rows);
+  });
+});
+
+
+/**
+ * This function returns the list of the available migrations { version, name, file }, ordered by version.
+ */
+exports.listMigrations = () => {
+  const migrations = [];
+  for (const file of fs.readdirSync(DIRECTORY)) {
+    const match = /^(\d+)-(.+)\.js$/.exec(file);
+    if (match)
+      migrations.push({ version: Number(match[1]), name: match[2], file: path.join(DIRECTORY, file) });
+  }
+  migrations.sort((a, b) => a.version - b.version);
+  migrations.forEach((m, i) => {
+    if (i > 0 && m.version === migrations[i - 1].version)
+      throw new Error(`Duplicate migration version ${m.version}`);
+  });
+  return migrations;
+};
+
+// This function returns the version of the schema of the database (0 for a database without migrations).
+exports.currentVersion = async () => {
+  await exec(`CREATE TABLE IF NOT EXISTS "schema_version" (
+    "version"  INTEGER NOT NULL,
+    "name"     TEXT NOT NULL,
+    "applied"  TEXT NOT NULL,
+    PRIMARY KEY("version")
+  )`);
+  const rows = await all('SELECT MAX(version) AS version FROM schema_version');
+  return rows[0].version || 0;
+};
+
+/**
+ * This function applies the pending migrations to the database.
+ * It returns the list of the applied migrations { version, name }, and it throws an error if the database
+ * has been created by a newer version of the code (i.e., its schema version is unknown), or if the migrations
+ * applied to it are not the ones of the code (e.g., a database created by a development version).
+ */
+exports.migrate = async () => {
+  const migrations = exports.listMigrations();
+  const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  const current = await exports.currentVersion();
+  if (current > latest)
+    throw new Error(`The schema version of the database (${current}) is newer than the one of the code (${latest})`);
+  for (const row of await all('SELECT version, name FROM schema_version ORDER BY version')) {
+    const m = migrations.find((m) => m.version === row.version);
+    if (!m || m.name !== row.name)
+      throw new Error(`The migration ${row.version} applied to the database (${row.name}) is not the one of the code (${m ? m.name : 'none'})`);
+  }
+
+  const applied = [];
+  for (const m of migrations.filter((m) => m.version > current)) {
+    const migration = require(m.file);
+    await db.transaction(async () => {
+      await migration.up(exec, all);
+      await run('INSERT INTO schema_version (version, name, applied) VALUES(?, ?, ?)', [m.version, m.name, dayjs.utc().format()]);
+    });
+    applied.push({ version: m.version, name: m.name });
+  }
+  return applied;
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * Initial schema, i.e., the one of the hand-edited hass-test.db before the sensors (the baseline of the repository).
+ * The statements are idempotent, so this migration also adopts such a database (without schema_version),
+ * dropping the leftovers of the manual edits (the sqlb_temp_table_* tables created by DB Browser for SQLite).
+ */
+
+exports.up = async (exec, all) => {
+  await exec(`
+    CREATE TABLE IF NOT EXISTS "users" (
+      "id"      INTEGER NOT NULL,
+      "email"   TEXT NOT NULL,
+      "name"    TEXT,
+      "hash"    TEXT NOT NULL,
+      "salt"    TEXT NOT NULL,
+      PRIMARY KEY("id" AUTOINCREMENT)
+    );
+
+    CREATE TABLE IF NOT EXISTS "switches" (
+      "id"      INTEGER NOT NULL,
+      "value"   INTEGER NOT NULL DEFAULT 0,
+      "date"    TEXT NOT NULL,
+      "user"    INTEGER NOT NULL DEFAULT 1,
+      PRIMARY KEY("id" AUTOINCREMENT)
+    );
+
+    CREATE TABLE IF NOT EXISTS "temperatures" (
+      "id"      INTEGER,
+      "date"    TEXT NOT NULL,
+      "value"   REAL NOT NULL DEFAULT 0,
+      "user"    INTEGER NOT NULL DEFAULT 1,
+      PRIMARY KEY("id"),
+      FOREIGN KEY("user") REFERENCES "users"("id")
+    );
+
+    CREATE TABLE IF NOT EXISTS "lights" (
+      "id"      INTEGER NOT NULL UNIQUE,
+      "value"   INTEGER NOT NULL,
+      "date"    TEXT NOT NULL,
+      "user"    INTEGER NOT NULL,
+      PRIMARY KEY("id" AUTOINCREMENT)
+    );
+  `);
+
+  const leftovers = await all(`SELECT name FROM sqlite_master WHERE type = 'table' AND name LIKE 'sqlb_temp_table_%'`);
+  for (const t of leftovers)
+    await exec(`DROP TABLE "${t.name}"`);
+};
@@ -0,0 +1,26 @@
+'use strict';
+
+/**
+ * Registry of the temperature sensors of the users: each reading belongs to a sensor.
+ * Each user gets a default sensor (the oldest one, see sensorDao.getDefaultSensor), which takes the existing readings.
+ */
+
+exports.up = async (exec) => {
+  await exec(`
+    CREATE TABLE "sensors" (
+      "id"        INTEGER NOT NULL,
+      "name"      TEXT NOT NULL,
+      "location"  TEXT,
+      "unit"      TEXT NOT NULL DEFAULT '°C',
+      "user"      INTEGER NOT NULL,
+      PRIMARY KEY("id" AUTOINCREMENT),
+      FOREIGN KEY("user") REFERENCES "users"("id")
+    );
+
+    ALTER TABLE "temperatures" ADD COLUMN "sensor" INTEGER REFERENCES "sensors"("id");
+    CREATE INDEX "temperatures_sensor_date" ON "temperatures" ("sensor", "date");
+
+    INSERT INTO "sensors" ("name", "user") SELECT 'Default sensor', "id" FROM "users" ORDER BY "id";
+    UPDATE "temperatures" SET "sensor" = (SELECT MIN(s."id") FROM "sensors" s WHERE s."user" = "temperatures"."user");
+  `);
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+/**
+ * History of the state transitions of the switches and of the lights (see dao-history).
+ */
+
+exports.up = async (exec) => {
+  await exec(`
+    CREATE TABLE "history" (
+      "id"        INTEGER NOT NULL,
+      "type"      TEXT NOT NULL,
+      "device"    INTEGER NOT NULL,
+      "previous"  INTEGER,
+      "value"     INTEGER NOT NULL,
+      "date"      TEXT NOT NULL,
+      "user"      INTEGER NOT NULL,
+      "actor"     INTEGER,
+      "source"    TEXT NOT NULL DEFAULT 'api',
+      PRIMARY KEY("id" AUTOINCREMENT),
+      FOREIGN KEY("user") REFERENCES "users"("id")
+    );
+    CREATE INDEX "history_device_date" ON "history" ("type", "device", "date");
+  `);
+};
@@ -0,0 +1,28 @@
+'use strict';
+
+/**
+ * Cron and one-shot schedules of the switches and of the lights (see scheduler).
+ */
+
+exports.up = async (exec) => {
+  await exec(`
+    CREATE TABLE "schedules" (
+      "id"        INTEGER NOT NULL,
+      "name"      TEXT,
+      "type"      TEXT NOT NULL,
+      "device"    INTEGER NOT NULL,
+      "value"     INTEGER NOT NULL,
+      "cron"      TEXT,
+      "runAt"     TEXT,
+      "tz"        TEXT NOT NULL DEFAULT 'UTC',
+      "misfire"   TEXT NOT NULL DEFAULT 'skip',
+      "enabled"   INTEGER NOT NULL DEFAULT 1,
+      "nextRun"   TEXT,
+      "lastRun"   TEXT,
+      "user"      INTEGER NOT NULL,
+      PRIMARY KEY("id" AUTOINCREMENT),
+      FOREIGN KEY("user") REFERENCES "users"("id")
+    );
+    CREATE INDEX "schedules_next_run" ON "schedules" ("enabled", "nextRun");
+  `);
+};
@@ -0,0 +1,31 @@
+'use strict';
+
+/**
+ * Automation rules triggered by the temperatures of a sensor (see rules-engine).
+ */
+
+exports.up = async (exec) => {
+  await exec(`
+    CREATE TABLE "rules" (
+      "id"            INTEGER NOT NULL,
+      "name"          TEXT,
+      "sensor"        INTEGER NOT NULL,
+      "operator"      TEXT NOT NULL,
+      "threshold"     REAL NOT NULL,
+      "duration"      INTEGER NOT NULL DEFAULT 0,
+      "hysteresis"    REAL NOT NULL DEFAULT 0,
+      "actionType"    TEXT NOT NULL,
+      "actionDevice"  INTEGER NOT NULL,
+      "actionValue"   INTEGER NOT NULL,
+      "enabled"       INTEGER NOT NULL DEFAULT 1,
+      "since"         TEXT,
+      "fired"         INTEGER NOT NULL DEFAULT 0,
+      "lastFired"     TEXT,
+      "user"          INTEGER NOT NULL,
+      PRIMARY KEY("id" AUTOINCREMENT),
+      FOREIGN KEY("user") REFERENCES "users"("id"),
+      FOREIGN KEY("sensor") REFERENCES "sensors"("id")
+    );
+    CREATE INDEX "rules_sensor" ON "rules" ("sensor");
+  `);
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Long-lived API tokens of the users (see dao-tokens).
+ */
+
+exports.up = async (exec) => {
+  await exec(`
+    CREATE TABLE "tokens" (
+      "id"        INTEGER NOT NULL,
+      "name"      TEXT NOT NULL,
+      "hash"      TEXT NOT NULL,
+      "salt"      TEXT NOT NULL,
+      "readOnly"  INTEGER NOT NULL DEFAULT 0,
+      "devices"   TEXT,
+      "created"   TEXT NOT NULL,
+      "lastUsed"  TEXT,
+      "user"      INTEGER NOT NULL,
+      PRIMARY KEY("id" AUTOINCREMENT),
+      FOREIGN KEY("user") REFERENCES "users"("id")
+    );
+  `);
+};
@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * The emails of the users are unique, since the users register by themselves.
+ */
+
+exports.up = async (exec) => {
+  await exec(`CREATE UNIQUE INDEX "users_email" ON "users" ("email")`);
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * Attributes of the lights: brightness, color (temperature, HS or RGB, see colorMode), effect and transition,
+ * with the capabilities of each light (colorModes, minMireds, maxMireds and effects).
+ */
+
+exports.up = async (exec) => {
+  await exec(`
+    ALTER TABLE "lights" ADD COLUMN "brightness" INTEGER NOT NULL DEFAULT 255;
+    ALTER TABLE "lights" ADD COLUMN "colorMode" TEXT NOT NULL DEFAULT 'brightness';
+    ALTER TABLE "lights" ADD COLUMN "colorTemp" INTEGER;
+    ALTER TABLE "lights" ADD COLUMN "hue" REAL;
+    ALTER TABLE "lights" ADD COLUMN "saturation" REAL;
+    ALTER TABLE "lights" ADD COLUMN "rgb" TEXT;
+    ALTER TABLE "lights" ADD COLUMN "effect" TEXT;
+    ALTER TABLE "lights" ADD COLUMN "transition" REAL;
+    ALTER TABLE "lights" ADD COLUMN "colorModes" TEXT NOT NULL DEFAULT '["brightness"]';
+    ALTER TABLE "lights" ADD COLUMN "minMireds" INTEGER NOT NULL DEFAULT 153;
+    ALTER TABLE "lights" ADD COLUMN "maxMireds" INTEGER NOT NULL DEFAULT 500;
+    ALTER TABLE "lights" ADD COLUMN "effects" TEXT;
+  `);
+};
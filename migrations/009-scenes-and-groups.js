@@ -0,0 +1,28 @@
+'use strict';
+
+/**
+ * Scenes (states of several devices applied together) and groups of devices of the same type (see dao-scenes and dao-groups).
+ */
+
+exports.up = async (exec) => {
+  await exec(`
+    CREATE TABLE "scenes" (
+      "id"      INTEGER NOT NULL,
+      "name"    TEXT NOT NULL,
+      "states"  TEXT NOT NULL,
+      "user"    INTEGER NOT NULL,
+      PRIMARY KEY("id" AUTOINCREMENT),
+      FOREIGN KEY("user") REFERENCES "users"("id")
+    );
+
+    CREATE TABLE "groups" (
+      "id"       INTEGER NOT NULL,
+      "name"     TEXT NOT NULL,
+      "type"     TEXT NOT NULL,
+      "devices"  TEXT NOT NULL,
+      "user"     INTEGER NOT NULL,
+      PRIMARY KEY("id" AUTOINCREMENT),
+      FOREIGN KEY("user") REFERENCES "users"("id")
+    );
+  `);
+};
@@ -0,0 +1,12 @@
+'use strict';
+
+/**
+ * Deduplication key of the temperatures (see temperature-batch), unique for each user when it is given.
+ */
+
+exports.up = async (exec) => {
+  await exec(`
+    ALTER TABLE "temperatures" ADD COLUMN "key" TEXT;
+    CREATE UNIQUE INDEX "temperatures_key" ON "temperatures" ("user", "key") WHERE "key" IS NOT NULL;
+  `);
+};
@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * Administration rights of the users (see isAdmin in server.js), granted with "hass-admin users admin".
+ */
+
+exports.up = async (exec) => {
+  await exec(`ALTER TABLE "users" ADD COLUMN "admin" INTEGER NOT NULL DEFAULT 0`);
+};
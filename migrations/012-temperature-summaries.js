@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * Hourly and daily summaries of the temperatures, which replace the raw readings older than the retention (see retention).
+ */
+
+exports.up = async (exec) => {
+  await exec(`
+    CREATE TABLE "temperatureSummaries" (
+      "id"          INTEGER NOT NULL,
+      "resolution"  TEXT NOT NULL,
+      "start"       TEXT NOT NULL,
+      "count"       INTEGER NOT NULL,
+      "min"         REAL NOT NULL,
+      "max"         REAL NOT NULL,
+      "mean"        REAL NOT NULL,
+      "firstDate"   TEXT NOT NULL,
+      "firstValue"  REAL NOT NULL,
+      "lastDate"    TEXT NOT NULL,
+      "lastValue"   REAL NOT NULL,
+      "sensor"      INTEGER NOT NULL,
+      "user"        INTEGER NOT NULL,
+      PRIMARY KEY("id" AUTOINCREMENT),
+      FOREIGN KEY("user") REFERENCES "users"("id"),
+      FOREIGN KEY("sensor") REFERENCES "sensors"("id")
+    );
+    CREATE UNIQUE INDEX "temperatureSummaries_bucket" ON "temperatureSummaries" ("sensor", "resolution", "start");
+  `);
+};
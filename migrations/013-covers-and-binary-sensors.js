@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * Tables of the covers and of the binary sensors (see device-types).
+ */
+
+exports.up = async (exec) => {
+  await exec(`
+    CREATE TABLE "covers" (
+      "id"                INTEGER NOT NULL,
+      "value"             INTEGER NOT NULL DEFAULT 0,
+      "date"              TEXT NOT NULL,
+      "user"              INTEGER NOT NULL,
+      "supportsPosition"  INTEGER NOT NULL DEFAULT 1,
+      PRIMARY KEY("id" AUTOINCREMENT),
+      FOREIGN KEY("user") REFERENCES "users"("id")
+    );
+
+    CREATE TABLE "binarySensors" (
+      "id"           INTEGER NOT NULL,
+      "value"        INTEGER NOT NULL DEFAULT 0,
+      "date"         TEXT NOT NULL,
+      "user"         INTEGER NOT NULL,
+      "name"         TEXT,
+      "deviceClass"  TEXT,
+      PRIMARY KEY("id" AUTOINCREMENT),
+      FOREIGN KEY("user") REFERENCES "users"("id")
+    );
+  `);
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+/**
+ * Tables of the counters of the failed logins and of the rate limits (see rate-limits), kept in the database to survive restarts.
+ */
+
+exports.up = async (exec) => {
+  await exec(`
+    CREATE TABLE "loginFailures" (
+      "key"          TEXT NOT NULL,
+      "failures"     INTEGER NOT NULL,
+      "lastFailure"  TEXT NOT NULL,
+      "lockedUntil"  TEXT,
+      PRIMARY KEY("key")
+    );
+
+    CREATE TABLE "rateLimits" (
+      "key"          TEXT NOT NULL,
+      "windowStart"  TEXT NOT NULL,
+      "count"        INTEGER NOT NULL,
+      PRIMARY KEY("key")
+    );
+  `);
+};
@@ -0,0 +1,11 @@
+'use strict';
+
+/**
+ * Revision of the devices, incremented at each change of their state: it gives the ETags of the devices,
+ * and it makes their updates conditional (see dao-devices).
+ */
+
+exports.up = async (exec) => {
+  for (const table of ['switches', 'lights', 'covers', 'binarySensors'])
+    await exec(`ALTER TABLE "${table}" ADD COLUMN "revision" INTEGER NOT NULL DEFAULT 0`);
+};
@@ -0,0 +1,45 @@
+'use strict';
+
+/**
+ * Tables of the temperature alerts (see alerts-engine): the definitions, i.e., the conditions on the readings
+ * of a sensor with the channels to notify, and the alerts they opened.
+ */
+
+exports.up = async (exec) => {
+  await exec(`
+    CREATE TABLE "alertDefinitions" (
+      "id"         INTEGER NOT NULL,
+      "name"       TEXT,
+      "sensor"     INTEGER NOT NULL,
+      "operator"   TEXT NOT NULL,
+      "threshold"  REAL NOT NULL,
+      "within"     INTEGER NOT NULL DEFAULT 0,
+      "cooldown"   INTEGER NOT NULL DEFAULT 0,
+      "channels"   TEXT NOT NULL DEFAULT '[]',
+      "enabled"    INTEGER NOT NULL DEFAULT 1,
+      "user"       INTEGER NOT NULL,
+      PRIMARY KEY("id" AUTOINCREMENT),
+      FOREIGN KEY("user") REFERENCES "users"("id"),
+      FOREIGN KEY("sensor") REFERENCES "sensors"("id")
+    );
+    CREATE INDEX "alertDefinitions_sensor" ON "alertDefinitions" ("sensor");
+
+    CREATE TABLE "alerts" (
+      "id"              INTEGER NOT NULL,
+      "definition"      INTEGER NOT NULL,
+      "sensor"          INTEGER NOT NULL,
+      "state"           TEXT NOT NULL DEFAULT 'open',
+      "value"           REAL NOT NULL,
+      "message"         TEXT NOT NULL,
+      "opened"          TEXT NOT NULL,
+      "acknowledged"    TEXT,
+      "acknowledgedBy"  INTEGER,
+      "resolved"        TEXT,
+      "user"            INTEGER NOT NULL,
+      PRIMARY KEY("id" AUTOINCREMENT),
+      FOREIGN KEY("user") REFERENCES "users"("id"),
+      FOREIGN KEY("definition") REFERENCES "alertDefinitions"("id")
+    );
+    CREATE INDEX "alerts_definition_state" ON "alerts" ("definition", "state");
+  `);
+};
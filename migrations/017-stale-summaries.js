@@ -0,0 +1,31 @@
+'use strict';
+
+/**
+ * Buckets whose summaries are stale, i.e., whose readings have been added, changed or deleted since the last rollup
+ * (see summaryDao.rollup), recorded by triggers on the temperatures whoever changes them (e.g., a batch backfilling old hours).
+ * The hours of the existing readings are all stale, so the first rollup computes all their summaries.
+ */
+
+exports.up = async (exec) => {
+  await exec(`
+    CREATE TABLE "staleSummaries" (
+      "sensor"      INTEGER NOT NULL,
+      "resolution"  TEXT NOT NULL,
+      "start"       TEXT NOT NULL,
+      PRIMARY KEY("sensor", "resolution", "start")
+    );
+
+    CREATE TRIGGER "temperatures_insert_stale" AFTER INSERT ON "temperatures" WHEN NEW."sensor" IS NOT NULL BEGIN
+      INSERT OR IGNORE INTO "staleSummaries" VALUES(NEW."sensor", 'hour', substr(NEW."date", 1, 13) || ':00:00Z');
+    END;
+    CREATE TRIGGER "temperatures_delete_stale" AFTER DELETE ON "temperatures" WHEN OLD."sensor" IS NOT NULL BEGIN
+      INSERT OR IGNORE INTO "staleSummaries" VALUES(OLD."sensor", 'hour', substr(OLD."date", 1, 13) || ':00:00Z');
+    END;
+    CREATE TRIGGER "temperatures_update_stale" AFTER UPDATE OF "date", "value", "sensor" ON "temperatures" BEGIN
+      INSERT OR IGNORE INTO "staleSummaries" SELECT OLD."sensor", 'hour', substr(OLD."date", 1, 13) || ':00:00Z' WHERE OLD."sensor" IS NOT NULL;
+      INSERT OR IGNORE INTO "staleSummaries" SELECT NEW."sensor", 'hour', substr(NEW."date", 1, 13) || ':00:00Z' WHERE NEW."sensor" IS NOT NULL;
+    END;
+
+    INSERT OR IGNORE INTO "staleSummaries" SELECT DISTINCT "sensor", 'hour', substr("date", 1, 13) || ':00:00Z' FROM "temperatures" WHERE "sensor" IS NOT NULL;
+  `);
+};
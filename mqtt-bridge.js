@@ -0,0 +1,214 @@
+'use strict';
+
+/**
+ * Optional module bridging the devices of a user to an MQTT broker, using the Home Assistant MQTT discovery
+ * (see https://www.home-assistant.io/integrations/mqtt/#mqtt-discovery).
+ * For each switch, light and temperature sensor, it publishes:
+ *  - the discovery config on <discoveryPrefix>/<component>/<prefix>/<type>_<id>/config
+ *  - the state on <prefix>/<type>/<id>/state, every time the device changes (see device-events)
+ * and it listens to the commands on <prefix>/<type>/<id>/set, which are applied through device-control.
+ * All the messages published by the bridge are retained, and <prefix>/status tells whether the bridge is online.
+ */
+
+const mqtt = require('mqtt');
+
+const deviceDao = require('./dao-devices');
+const sensorDao = require('./dao-sensors');
+const temperatureDao = require('./dao-temperatures');
+const deviceTypes = require('./device-types');
+const deviceControl = require('./device-control');
+const deviceEvents = require('./device-events');
+
+// Home Assistant component of each type of device bridged (the covers and the binary sensors are not bridged yet)
+const COMPONENTS = { switch: 'switch', light: 'light', temperature: 'sensor' };
+
+// This function escapes the special characters of a regular expression in a string (e.g., the prefix of the topics).
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+
+/**
+ * This function starts the bridge. The options are:
+ *  - url: URL of the broker (e.g., "mqtt://localhost:1883")
+ *  - username, password: optional credentials for the broker
+ *  - prefix: prefix of the state and command topics (default "hass-backend")
+ *  - discoveryPrefix: prefix of the discovery topics (default "homeassistant", as in Home Assistant)
+ *  - user: id of the user whose devices are bridged (default 1)
+ * It returns the bridge { client, stop }, where stop() closes the connection to the broker.
+ */
+exports.start = (options) => {
+  const prefix = options.prefix || 'hass-backend';
+  const discoveryPrefix = options.discoveryPrefix || 'homeassistant';
+  const user = options.user || 1;
+  const statusTopic = `${prefix}/status`;
+  const commandTopic = new RegExp(`^${escapeRegExp(prefix)}/(switch|light)/(\\d+)/set$`);
+
+  const client = mqtt.connect(options.url, {
+    username: options.username,
+    password: options.password,
+    will: { topic: statusTopic, payload: 'offline', retain: true },  // sent by the broker if the bridge disconnects abruptly
+  });
+
+  const announced = new Set();  // devices whose discovery config has been published
+
+  const topic = (type, id, suffix) => `${prefix}/${type}/${id}/${suffix}`;
+  const publish = (t, payload) => client.publish(t, typeof payload === 'string' ? payload : JSON.stringify(payload), { retain: true });
+
+  // This function publishes the discovery config of a device, given the device (the sensor for temperatures, for its name and unit).
+  const announce = (type, id, device) => {
+    const config = {
+      name: (type === 'temperature' && device.name) || `${type[0].toUpperCase()}${type.slice(1)} ${id}`,
+      unique_id: `${prefix}_${type}_${id}`,
+      state_topic: topic(type, id, 'state'),
+      availability_topic: statusTopic,
+    };
+    if (type === 'switch')
+      Object.assign(config, { command_topic: topic(type, id, 'set'), payload_on: 'ON', payload_off: 'OFF' });
+    else if (type === 'light') {
+      const capabilities = device.capabilities;
+      Object.assign(config, { command_topic: topic(type, id, 'set'), schema: 'json', supported_color_modes: capabilities.colorModes });
+      if (capabilities.colorModes.includes('color_temp'))
+        Object.assign(config, { min_mireds: capabilities.minMireds, max_mireds: capabilities.maxMireds });
+      if (capabilities.effects.length > 0)
+        Object.assign(config, { effect: true, effect_list: capabilities.effects });
+    }
+    else
+      Object.assign(config, { device_class: 'temperature', state_class: 'measurement', unit_of_measurement: device.unit, value_template: '{{ value_json.value }}' });
+
+    publish(`${discoveryPrefix}/${COMPONENTS[type]}/${prefix}/${type}_${id}/config`, config);
+    announced.add(`${type}/${id}`);
+  };
+
+  // This function publishes the state of a device, as returned by the DAO.
+  const publishState = (type, id, state) => {
+    if (type === 'switch')
+      publish(topic(type, id, 'state'), state.value ? 'ON' : 'OFF');
+    else if (type === 'light')
+      publish(topic(type, id, 'state'), lightState(state));
+    else
+      publish(topic(type, id, 'state'), { value: state.value, date: state.date });
+  };
+
+  // This function converts a light in the state of the JSON schema (e.g., { "state": "ON", "brightness": 100, "color_mode": "hs", "color": { "h": 30, "s": 80 } }).
+  const lightState = (l) => {
+    if (!l.on)
+      return { state: 'OFF' };
+    const state = { state: 'ON', color_mode: l.colorMode };
+    if (l.colorMode !== 'onoff')
+      state.brightness = l.brightness;
+    if (l.colorMode === 'color_temp')
+      state.color_temp = l.colorTemp;
+    else if (l.colorMode === 'hs')
+      state.color = { h: l.hs[0], s: l.hs[1] };
+    else if (l.colorMode === 'rgb')
+      state.color = { r: l.rgb[0], g: l.rgb[1], b: l.rgb[2] };
+    if (l.effect !== null)
+      state.effect = l.effect;
+    return state;
+  };
+
+  // This function converts a command of the JSON schema in a command for device-control (see the lights in device-types),
+  // which is checked afterwards against the schema of the commands of the lights (e.g., the ranges of hue and saturation).
+  const lightCommand = (c) => {
+    const command = {};
+    if (c.state === 'ON' || c.state === 'OFF')
+      command.on = c.state === 'ON';
+    if (c.brightness !== undefined)
+      command.brightness = c.brightness;
+    if (c.color_temp !== undefined)
+      command.colorTemp = c.color_temp;
+    if (c.color && (c.color.h !== undefined || c.color.s !== undefined))
+      command.hs = [c.color.h, c.color.s];
+    else if (c.color)
+      command.rgb = [c.color.r, c.color.g, c.color.b];
+    if (c.effect !== undefined)
+      command.effect = c.effect;
+    if (c.transition !== undefined)
+      command.transition = c.transition;
+    return command;
+  };
+
+  // This function announces all the devices of the user, together with their current state.
+  const announceAll = async () => {
+    for (const s of await deviceDao.listDevices('switch', user)) {
+      announce('switch', s.id, s);
+      publishState('switch', s.id, s);
+    }
+    for (const l of await deviceDao.listDevices('light', user)) {
+      announce('light', l.id, l);
+      publishState('light', l.id, l);
+    }
+    for (const sensor of await sensorDao.listSensors(user)) {
+      announce('temperature', sensor.id, sensor);
+      const t = await temperatureDao.getLastTemperature(user, sensor.id);
+      if (!t.error)
+        publishState('temperature', sensor.id, t);
+    }
+  };
+
+  // This function applies a command received from the broker (e.g., "ON" for a switch, { "state": "ON", "brightness": 100 } for a light).
+  const handleCommand = async (type, id, payload) => {
+    const context = { actor: user, source: 'mqtt' };
+    let result;
+    if (type === 'switch') {
+      if (payload !== 'ON' && payload !== 'OFF')
+        throw new Error(`invalid payload ${payload}`);
+      result = await deviceControl.setState(user, 'switch', id, { value: payload === 'ON' }, context);
+    } else {
+      const light = await deviceDao.getDevice('light', user, id);
+      if (light.error)
+        throw new Error(light.error);
+      const c = JSON.parse(payload);
+      if (c === null || typeof c !== 'object')
+        throw new Error(`invalid payload ${payload}`);
+      const command = lightCommand(c);
+      const invalid = deviceTypes.schemaErrors(deviceTypes.get('light').commands, command, null);
+      if (invalid.length > 0)
+        throw new Error(invalid.join(', '));
+      const unsupported = deviceControl.commandError('light', light, command);
+      if (unsupported)
+        throw new Error(unsupported);
+      // NOTE: turning on a light without brightness keeps the previous one
+      result = await deviceControl.setState(user, 'light', id, command, context);
+    }
+
+    if (result.error)
+      throw new Error(result.error);
+  };
+
+  client.on('connect', () => {
+    publish(statusTopic, 'online');
+    client.subscribe(`${prefix}/+/+/set`);
+    announceAll().catch((err) => console.error(`MQTT bridge: ${err}`));
+  });
+
+  client.on('message', (t, message) => {
+    const match = commandTopic.exec(t);
+    if (!match)
+      return;
+    handleCommand(match[1], Number(match[2]), message.toString())
+      .catch((err) => console.error(`MQTT bridge: command on ${t} failed: ${err.message}`));
+  });
+
+  client.on('error', (err) => console.error(`MQTT bridge: ${err.message}`));
+
+  const unsubscribe = deviceEvents.subscribe((e) => {
+    if (e.user !== user || !client.connected || !COMPONENTS[e.type])
+      return;
+    if (!announced.has(`${e.type}/${e.device}`)) {
+      if (e.type === 'temperature')
+        // NOTE: the name and the unit of a new sensor are needed for its discovery config
+        return announceAll().catch((err) => console.error(`MQTT bridge: ${err}`));
+      announce(e.type, e.device, e.data);
+    }
+    publishState(e.type, e.device, e.data);
+  });
+
+  return {
+    client: client,
+    stop: () => new Promise((resolve) => {
+      unsubscribe();
+      publish(statusTopic, 'offline');
+      client.end(false, {}, resolve);
+    }),
+  };
+};
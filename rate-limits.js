@@ -0,0 +1,165 @@
+'use strict';
+
+/**
+ * Module protecting the server from the brute-force attacks on the passwords and from the floods of requests:
+ *  - login lockout: after maxFailures failed logins of an account (or maxFailuresPerIp from an IP address, also counting
+ *    the invalid API tokens), the logins are refused for lockout seconds, doubled at each further failure up to maxLockout.
+ *    The attempts are counted before checking the passwords (see attemptLogin). The failures of an account are
+ *    forgotten after a successful login, and all of them after maxLockout seconds without new failures.
+ *  - rate limits: at most <limit> requests in each window of window seconds for each route group (see groupOf),
+ *    counted separately for each API token, user (sessions) and IP address (anonymous requests).
+ * The counters are in the database (see dao-limits), so a restart does not reset them.
+ */
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+dayjs.extend(utc);
+
+const limitDao = require('./dao-limits');
+
+const INTERVAL = 10 * 60 * 1000;  // the expired counters are deleted every 10 minutes
+
+// Route groups, each one with its own rate limit
+exports.GROUPS = ['auth', 'temperatures', 'write', 'read'];
+
+// The policy, see config (login.* and rateLimit.*, with the same defaults): the limits set to 0 are disabled
+let policy = {
+  login: { maxFailures: 5, maxFailuresPerIp: 20, lockout: 60, maxLockout: 3600 },
+  rateLimit: { window: 60, auth: 30, temperatures: 120, write: 120, read: 600 },
+};
+let timer = null;
+
+// This function sets the policy ({ login, rateLimit }, with the settings of the configuration).
+exports.configure = (options) => {
+  policy = { login: Object.assign({}, policy.login, options.login), rateLimit: Object.assign({}, policy.rateLimit, options.rateLimit) };
+};
+
+
+/*** Login lockout ***/
+
+// This function returns the keys of the failed logins of an email and an IP address, with their maximum number of failures.
+const loginKeys = (email, ip) => {
+  const keys = [];
+  if (email && policy.login.maxFailures > 0)
+    keys.push({ key: `account:${email.trim().toLowerCase()}`, max: policy.login.maxFailures });
+  if (policy.login.maxFailuresPerIp > 0)
+    keys.push({ key: `ip:${ip}`, max: policy.login.maxFailuresPerIp });
+  return keys;
+};
+
+// This function takes back an attempt from the failed logins of an IP address (see attemptLogin).
+const releaseAddress = async (ip) => {
+  if (policy.login.maxFailuresPerIp > 0)
+    await limitDao.releaseLoginAttempt(`ip:${ip}`, policy.login.maxFailuresPerIp);
+  return null;
+};
+
+/**
+ * This function records a login attempt of an email from an IP address before checking its password, so the attempts sent
+ * in parallel cannot pass the lockout: the attempt counts as a failure until it succeeds (see loginSucceeded).
+ * It returns the seconds to wait before trying again if the logins of the account or of the address are locked
+ * (then the attempt is not recorded), 0 if the login is allowed.
+ */
+exports.attemptLogin = async (email, ip, now = dayjs.utc()) => {
+  const keys = loginKeys(email, ip);
+  const recorded = [];
+  let wait = 0;
+  for (const { key, max } of keys) {
+    const failures = await limitDao.addLoginAttempt(key, now.format(), now.subtract(policy.login.maxLockout, 'second').format(),
+      { max: max, lockout: policy.login.lockout, maxLockout: policy.login.maxLockout });
+    if (failures !== null) {
+      recorded.push({ key, max });
+      continue;
+    }
+    const f = await limitDao.getLoginFailures(key);
+    const until = f && f.lockedUntil ? dayjs.utc(f.lockedUntil) : now;
+    wait = Math.max(wait, 1, Math.ceil(until.diff(now, 'millisecond') / 1000));
+  }
+  if (wait > 0) {
+    for (const { key, max } of recorded)
+      await limitDao.releaseLoginAttempt(key, max);
+  }
+  return wait;
+};
+
+/**
+ * This function records the success of a login attempt of an email from an IP address (see attemptLogin):
+ * the failed logins of the account are forgotten, while the attempt is taken back from the ones of the address.
+ */
+exports.loginSucceeded = async (email, ip) => {
+  await exports.unlockAccount(email);
+  return releaseAddress(ip);
+};
+
+/**
+ * This function records an attempt to authenticate with an API token from an IP address, before verifying it: the failed
+ * verifications count as failed logins of the address (see attemptLogin), since each one costs a hash of the secret.
+ * It returns the seconds to wait before trying again if the logins of the address are locked, 0 if the attempt is allowed.
+ */
+exports.attemptToken = (ip, now = dayjs.utc()) => exports.attemptLogin(null, ip, now);
+
+// This function records the success of an attempt to authenticate with an API token from an IP address (see attemptToken).
+exports.tokenSucceeded = (ip) => releaseAddress(ip);
+
+/**
+ * This function forgets the failed logins of an account, after a successful login or by an administrator (see cli.js),
+ * while the ones of the IP addresses are kept. It returns whether the account had some failures.
+ */
+exports.unlockAccount = (email) => {
+  return limitDao.clearLoginFailures(`account:${email.trim().toLowerCase()}`);
+};
+
+
+/*** Rate limits ***/
+
+/**
+ * This function returns the route group of a request:
+ *  - auth: logins and registrations
+ *  - temperatures: new temperatures, also the batches, i.e., the requests of the sensors
+ *  - write: the other changes
+ *  - read: the queries (GET)
+ */
+exports.groupOf = (req) => {
+  if (req.method === 'POST' && ['/api/sessions', '/api/users'].includes(req.path))
+    return 'auth';
+  if (req.method === 'POST' && /^\/api\/(temperatures(\/batch)?|sensors\/\d+\/temperatures)\/?$/.test(req.path))
+    return 'temperatures';
+  if (req.method === 'GET' || req.method === 'HEAD')
+    return 'read';
+  return 'write';
+};
+
+/**
+ * This function counts a request of a route group by a requester (e.g., "token:3", "user:1" or "ip:127.0.0.1").
+ * It returns the seconds to wait if the request is over the limit of the group, 0 if it is allowed.
+ */
+exports.hit = async (group, requester, now = dayjs.utc()) => {
+  const limit = policy.rateLimit[group];
+  if (!limit)
+    return 0;
+
+  const window = policy.rateLimit.window * 1000;
+  const start = Math.floor(now.valueOf() / window) * window;
+  const count = await limitDao.countRequest(`${group}:${requester}`, dayjs.utc(start).format());
+  if (count <= limit)
+    return 0;
+  return Math.max(1, Math.ceil((start + window - now.valueOf()) / 1000));
+};
+
+
+/**
+ * This function starts the job deleting the expired counters.
+ * It returns a function that stops the job.
+ */
+exports.start = () => {
+  const job = () => {
+    const now = dayjs.utc();
+    limitDao.pruneLimits(now.subtract(policy.rateLimit.window, 'second').format(), now.subtract(policy.login.maxLockout, 'second').format(), now.format())
+      .catch((err) => console.error(`Rate limits: ${err}`));
+  };
+  job();
+  timer = setInterval(job, INTERVAL);
+  timer.unref();  // the job does not keep the server alive
+
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,118 @@
+'use strict';
+
+/**
+ * Module applying the retention policy of the temperature history, e.g., readings for 30 days,
+ * hourly summaries for a year and daily summaries forever (see dao-summaries).
+ * A background job periodically rolls the readings up into the summaries and then prunes the expired data,
+ * and the read APIs pick the resolution (raw readings, hourly or daily summaries) for the requested range.
+ *
+ * The expired data is pruned by whole UTC days, so every bucket of the summaries is either complete or gone.
+ */
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+dayjs.extend(utc);
+
+const db = require('./db');
+const temperatureDao = require('./dao-temperatures');
+const summaryDao = require('./dao-summaries');
+
+const INTERVAL = 60 * 60 * 1000;  // the job runs once an hour
+const MAX_POINTS = 5000;          // maximum number of points returned by the lists, unless paginated, when choosing the resolution
+
+// Resolutions of the temperature history, from the finest
+exports.RESOLUTIONS = ['raw', ...summaryDao.RESOLUTIONS];
+
+// Days the data of each resolution is kept (null means forever): by default nothing is pruned
+let policy = { raw: null, hour: null, day: null };
+let timer = null;
+
+
+// This function returns the retention policy, i.e., the days the data of each resolution is kept (null means forever).
+exports.policy = () => Object.assign({}, policy);
+
+/**
+ * This function returns the date (ISO 8601 timestamp) before which the data of a resolution has been (or is going to be) pruned,
+ * or null if it is kept forever.
+ */
+exports.cutoff = (resolution, now = dayjs.utc()) => {
+  const days = policy[resolution];
+  return days === null ? null : now.startOf('day').subtract(days, 'day').format();
+};
+
+// This function checks whether the data of a resolution is available for a range starting at from (ISO 8601 timestamp, or undefined).
+const covers = (resolution, from) => {
+  const cutoff = exports.cutoff(resolution);
+  return cutoff === null || (from !== undefined && dayjs.utc(from).format() >= cutoff);
+};
+
+/**
+ * This function picks the resolution for a list of temperatures of a user (see temperatureDao.listTemperatures for the filter):
+ * the finest one that still has data for the whole range and, unless the list is paginated, returns at most MAX_POINTS points
+ * (the summaries include the buckets not rolled up yet, e.g., the current hour, see summaryDao.selectSummaries).
+ * The requested resolution ('raw', 'hour', 'day' or 'auto') is returned as it is, if it is not 'auto'.
+ */
+exports.chooseResolution = async (user, filter, requested = 'auto') => {
+  if (requested !== 'auto')
+    return requested;
+
+  const available = exports.RESOLUTIONS.filter((r) => covers(r, filter.from));
+  if (available.length === 0)
+    return 'day';
+  if (filter.limit !== undefined)
+    return available[0];
+
+  for (const resolution of available) {
+    const n = resolution === 'raw' ? await temperatureDao.countTemperatures(user, filter) : await summaryDao.countSummaries(user, resolution, filter);
+    if (n <= MAX_POINTS)
+      return resolution;
+  }
+  return available[available.length - 1];
+};
+
+// This function picks the resolution for the statistics of the temperatures, i.e., the finest one that still has data for the whole range.
+exports.chooseStatsResolution = (filter) => {
+  return exports.RESOLUTIONS.find((r) => covers(r, filter.from)) || 'day';
+};
+
+
+/**
+ * This function runs the job once: it updates the summaries and prunes the expired data, in a single transaction.
+ * It returns the number of pruned readings and summaries: { raw, hour, day }.
+ */
+exports.run = (now = dayjs.utc()) => {
+  return db.transaction(async () => {
+    await summaryDao.rollup(now, exports.cutoff('raw', now), exports.cutoff('hour', now));
+
+    const pruned = { raw: 0, hour: 0, day: 0 };
+    if (policy.raw !== null) {
+      pruned.raw = await temperatureDao.pruneTemperatures(exports.cutoff('raw', now));
+      await summaryDao.forgetStale(exports.cutoff('raw', now));
+    }
+    for (const resolution of summaryDao.RESOLUTIONS)
+      if (policy[resolution] !== null)
+        pruned[resolution] = await summaryDao.pruneSummaries(resolution, exports.cutoff(resolution, now));
+    return pruned;
+  });
+};
+
+// This function sets the policy ({ raw, hour, day }: days, null or undefined means forever), without starting the job.
+exports.configure = (options = {}) => {
+  for (const resolution of exports.RESOLUTIONS)
+    policy[resolution] = options[resolution] === undefined ? null : options[resolution];
+};
+
+/**
+ * This function starts the job, with the given policy (see configure).
+ * It returns a function that stops the job.
+ */
+exports.start = (options = {}) => {
+  exports.configure(options);
+
+  const job = () => exports.run().catch((err) => console.error(`Retention: ${err}`));
+  job();
+  timer = setInterval(job, INTERVAL);
+  timer.unref();  // the job does not keep the server alive
+
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * Module evaluating the automation rules triggered by the temperature readings.
+ * Each new reading (see device-events) is checked against the enabled rules of its sensor, and the
+ * actions of the rules that fire are applied through device-control, with "automation" as source.
+ *
+ * A rule fires when its condition holds continuously for at least condition.for seconds (debounce).
+ * Then it does not fire again until the temperature goes back past the threshold by at least
+ * condition.hysteresis degrees (e.g., "above 26" with hysteresis 2 is re-armed by a reading <= 24).
+ */
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+dayjs.extend(utc);
+
+const ruleDao = require('./dao-rules');
+const deviceControl = require('./device-control');
+const deviceEvents = require('./device-events');
+
+exports.OPERATORS = ['above', 'below'];
+
+
+/**
+ * This function evaluates a rule against a reading ({ date, value }), without side effects.
+ * It returns { fire, reason, state }, where state is the new evaluation state of the rule.
+ */
+exports.evaluate = (rule, reading) => {
+  const c = rule.condition;
+  const state = Object.assign({}, rule.state);
+  const satisfied = c.operator === 'above' ? reading.value > c.threshold : reading.value < c.threshold;
+
+  if (!satisfied) {
+    state.since = null;  // the condition must hold continuously
+    if (!state.fired)
+      return { fire: false, reason: 'Condition not satisfied', state: state };
+
+    const rearmed = c.operator === 'above' ? reading.value <= c.threshold - c.hysteresis : reading.value >= c.threshold + c.hysteresis;
+    if (rearmed)
+      state.fired = false;
+    return { fire: false, reason: rearmed ? 'Condition not satisfied, rule re-armed' : 'Condition not satisfied, within hysteresis', state: state };
+  }
+
+  if (state.fired)
+    return { fire: false, reason: 'Already fired, waiting to be re-armed', state: state };
+
+  if (state.since === null)
+    state.since = reading.date;
+  const elapsed = dayjs.utc(reading.date).diff(dayjs.utc(state.since), 'second');
+  if (elapsed < c.for)
+    return { fire: false, reason: `Condition satisfied for ${elapsed}s out of ${c.for}s`, state: state };
+
+  state.fired = true;
+  state.lastFired = reading.date;
+  return { fire: true, reason: 'Condition satisfied', state: state };
+};
+
+/**
+ * This function tells which rules of a sensor would fire for a hypothetical reading ({ date, value }).
+ * The rules are evaluated against their current state, which is not changed.
+ */
+exports.dryRun = async (user, sensor, reading) => {
+  const rules = await ruleDao.listSensorRules(user, sensor);
+  return rules.map((rule) => {
+    const result = exports.evaluate(rule, reading);
+    return { rule: rule.id, name: rule.name, fire: result.fire, reason: result.reason, action: result.fire ? rule.action : null };
+  });
+};
+
+
+// This function evaluates the rules of a sensor for a new reading, and applies the actions of the rules that fire.
+const handleReading = async (user, sensor, reading) => {
+  const rules = await ruleDao.listSensorRules(user, sensor);
+  for (const rule of rules) {
+    const result = exports.evaluate(rule, reading);
+    await ruleDao.updateRuleState(rule.id, result.state);
+    if (!result.fire)
+      continue;
+
+    try {
+      const a = rule.action;
+      const r = await deviceControl.setDevice(user, a.type, a.device, a.value, { actor: null, source: 'automation' });
+      if (r.error)
+        console.error(`Rule ${rule.id}: ${r.error}`);
+    } catch (err) {
+      console.error(`Rule ${rule.id}: database error during the update of ${rule.action.type} ${rule.action.device}: ${err}`);
+    }
+  }
+};
+
+let queue = Promise.resolve();  // readings are evaluated one at a time, so the state of the rules is always consistent
+
+// This function starts evaluating the rules for each new temperature reading.
+exports.start = () => {
+  return deviceEvents.subscribe((e) => {
+    if (e.type !== 'temperature')
+      return;
+    queue = queue
+      .then(() => handleReading(e.user, e.device, e.data))
+      .catch((err) => console.error(`Rules engine: ${err}`));
+  });
+};
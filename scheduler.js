@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * Module running the schedules of the devices (see device-types).
+ * A single timer is armed for the earliest run among the enabled schedules (see dao-schedules), and when it
+ * expires the due schedules are applied through device-control, i.e., the same update path of the APIs.
+ */
+
+const cronParser = require('cron-parser');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+dayjs.extend(utc);
+
+const scheduleDao = require('./dao-schedules');
+const deviceControl = require('./device-control');
+
+const MISFIRE_GRACE = 60 * 1000;    // runs late by more than this are considered missed (e.g., the server was down)
+const MAX_TIMEOUT = 60 * 60 * 1000; // the timer is re-armed at least once an hour, long timeouts are not supported by setTimeout
+
+// Policies for the missed runs: run them once as soon as possible, or skip them
+exports.MISFIRE_POLICIES = ['catchup', 'skip'];
+
+let timer = null;
+let running = false;
+
+
+// This function checks whether a string is a valid cron expression (5 or 6 fields, e.g., "0 7 * * 1-5").
+exports.isCron = (expression) => {
+  try {
+    cronParser.parseExpression(expression);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * This function computes the date of the next run of a schedule after the given dayjs date.
+ * Recurring schedules follow their cron expression in their time zone, one-shot schedules run at runAt.
+ */
+exports.computeNextRun = (schedule, after) => {
+  if (!schedule.cron)
+    return schedule.runAt;
+
+  const interval = cronParser.parseExpression(schedule.cron, { currentDate: after.toDate(), tz: schedule.tz });
+  return dayjs.utc(interval.next().toDate()).format();
+};
+
+
+// This function applies all the due schedules, taking into account their misfire policy.
+const runDueSchedules = async () => {
+  const now = dayjs.utc();
+  const due = await scheduleDao.listDueSchedules(now.format());
+
+  for (const s of due) {
+    const missed = now.diff(dayjs.utc(s.nextRun)) > MISFIRE_GRACE;
+    const run = !missed || s.misfire === 'catchup';
+    if (run) {
+      try {
+        const result = await deviceControl.setDevice(s.user, s.type, s.device, s.value, { actor: null, source: 'schedule' });
+        if (result.error)
+          console.error(`Schedule ${s.id}: ${result.error}`);
+      } catch (err) {
+        console.error(`Schedule ${s.id}: database error during the update of ${s.type} ${s.device}: ${err}`);
+      }
+    }
+
+    // NOTE: one-shot schedules are disabled after their (possibly skipped) run
+    const nextRun = s.cron ? exports.computeNextRun(s, now) : null;
+    await scheduleDao.markRun(s.id, run ? now.format() : null, nextRun, nextRun !== null);
+  }
+};
+
+const tick = async () => {
+  timer = null;
+  running = true;
+  try {
+    await runDueSchedules();
+  } catch (err) {
+    console.error(`Scheduler: ${err}`);
+  }
+  running = false;
+  exports.refresh().catch((err) => console.error(`Scheduler: ${err}`));
+};
+
+
+/**
+ * This function arms the timer for the next run among the enabled schedules.
+ * It must be called every time the schedules are changed.
+ */
+exports.refresh = async () => {
+  const next = await scheduleDao.getNextRunDate();
+  if (running)
+    return;  // the timer is armed again at the end of the current run
+
+  clearTimeout(timer);
+  timer = null;
+  if (next === null)
+    return;
+
+  const delay = Math.min(Math.max(dayjs.utc(next).diff(dayjs.utc()), 0), MAX_TIMEOUT);
+  timer = setTimeout(tick, delay);
+  timer.unref();  // the scheduler alone does not keep the process alive
+};
+
+// This function starts the scheduler, handling right away the runs missed while the server was down.
+exports.start = () => tick();
@@ -1,14 +1,52 @@
 /*** Importing modules ***/
+
+// Loading the configuration first, so that an invalid one stops the server with a clear error (see config)
+const config = require('./config');
+let settings;
+try {
+  settings = config.get();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
 const express = require('express');
 const morgan = require('morgan'); // logging middleware
 const cors = require('cors');
 
-const { check, validationResult, body, param } = require('express-validator'); // validation middleware
+const { check, validationResult, body, param, query } = require('express-validator'); // validation middleware
 
 const temperatureDao = require('./dao-temperatures'); // module for accessing the temperatures table in the DB
 const userDao = require('./dao-users'); // module for accessing the users table in the DB
-const switchDao = require('./dao-switches'); // module for accessing the switches table in the DB
-const lightDao = require('./dao-lights'); // module for accessing the lights table in the DB
+const tokenDao = require('./dao-tokens'); // module for accessing the tokens table in the DB
+const deviceDao = require('./dao-devices'); // module for accessing the tables of the devices in the DB
+const deviceTypes = require('./device-types'); // registry of the types of devices
+const sensorDao = require('./dao-sensors'); // module for accessing the sensors table in the DB
+const historyDao = require('./dao-history'); // module for accessing the history table in the DB
+const deviceControl = require('./device-control'); // module for changing the state of the devices
+const scheduleDao = require('./dao-schedules'); // module for accessing the schedules table in the DB
+const scheduler = require('./scheduler'); // module running the schedules
+const ruleDao = require('./dao-rules'); // module for accessing the rules table in the DB
+const rulesEngine = require('./rules-engine'); // module evaluating the rules triggered by the temperatures
+const sceneDao = require('./dao-scenes'); // module for accessing the scenes table in the DB
+const groupDao = require('./dao-groups'); // module for accessing the groups table in the DB
+const haEntities = require('./ha-entities'); // module exposing the devices as Home Assistant entities
+const mqttBridge = require('./mqtt-bridge'); // module bridging the devices to an MQTT broker
+const deviceEvents = require('./device-events'); // module for publishing the state changes of the devices
+const temperatureBatch = require('./temperature-batch'); // module parsing the batches of temperatures
+const dbBackup = require('./db-backup'); // module for the backup and the restore of the DB
+const summaryDao = require('./dao-summaries'); // module for accessing the summaries of the temperatures in the DB
+const retention = require('./retention'); // module applying the retention policy of the temperatures
+const migrate = require('./migrate'); // module applying the migrations of the schema of the DB
+const rateLimits = require('./rate-limits'); // module for the login lockout and the rate limits of the requests
+const metrics = require('./metrics'); // module collecting the metrics in the Prometheus format
+const alertDao = require('./dao-alerts'); // module for accessing the temperature alerts in the DB
+const alertsEngine = require('./alerts-engine'); // module opening and resolving the alerts for each new temperature reading
+const alertChannels = require('./alert-channels'); // registry of the channels notifying the alerts
+const simulator = require('./simulator'); // module simulating virtual devices for the development and the demos
+const fs = require('fs');
+const http = require('http');
+const { WebSocketServer } = require('ws');
 
 /** Authentication-related imports **/
 const passport = require('passport');
@@ -19,24 +57,43 @@ const utc = require('dayjs/plugin/utc');
 dayjs.extend(utc)
 
 
+// Measuring the queries of all the DAO modules (see metrics), also when they are called by the other modules
+metrics.instrumentDaos({
+  temperatures: temperatureDao, users: userDao, tokens: tokenDao, devices: deviceDao, sensors: sensorDao, history: historyDao,
+  schedules: scheduleDao, rules: ruleDao, scenes: sceneDao, groups: groupDao, summaries: summaryDao, alerts: alertDao,
+});
+metrics.configure(settings.metrics);
+alertChannels.configure(settings.alerts);
+
+
 /*** init express and set-up the middlewares ***/
 const app = express();
-app.use(morgan('dev'));
+app.use(metrics.httpMiddleware);  // first, to measure the whole handling of the requests
+app.set('trust proxy', settings.trustProxy);  // behind a reverse proxy, req.ip is the address of the client (see rate-limits)
+if (settings.log.requests)
+  app.use(morgan('dev'));
+// the batches of temperatures may be larger than the other requests, and they may also be NDJSON or CSV
+app.use('/api/temperatures/batch', express.json({ limit: temperatureBatch.MAX_SIZE }),
+  express.text({ type: [...temperatureBatch.NDJSON_TYPES, ...temperatureBatch.CSV_TYPES], limit: temperatureBatch.MAX_SIZE }));
+// the backups to restore are uploaded as SQLite files
+app.use('/api/admin/restore', express.raw({ type: ['application/octet-stream', 'application/vnd.sqlite3', 'application/x-sqlite3'], limit: '100mb' }));
 app.use(express.json());
 
 /**
- * The "delay" middleware introduces some delay in server responses. To change the delay change the value of "delayTime" (specified in milliseconds).
- * This middleware could be useful for debug purposes, to enabling it uncomment the following lines.
- */ 
-// const delayTime = 1000;
-// const delay = require('express-delay');
-// app.use(delay(delayTime));
+ * The "delay" middleware introduces some delay in server responses. To change the delay change the value of "debug.delay" (specified in milliseconds).
+ * This middleware could be useful for debug purposes, to enabling it set a delay greater than 0 (e.g., DEBUG_DELAY=1000).
+ */
+if (settings.debug.delay > 0) {
+  const delay = require('express-delay');
+  app.use(delay(settings.debug.delay));
+}
 
 
 /** Set up and enable Cross-Origin Resource Sharing (CORS) **/
 const corsOptions = {
-  origin: 'http://localhost:3000',
+  origin: settings.cors.origins,
   credentials: true,
+  exposedHeaders: ['X-Resolution', 'Retry-After', 'ETag'],  // resolution of the lists of temperatures (see retention), wait of the 429 responses and revision of the devices
 };
 app.use(cors(corsOptions));
 
@@ -59,20 +116,101 @@ passport.serializeUser(function (user, cb) { // this user is id + username + nam
 
 // Starting from the data in the session, we extract the current (logged-in) user.
 passport.deserializeUser(function (user, cb) { // this user is id + email + name 
-  // if needed, we can do extra check here (e.g., double check that the user is still in the database, etc.)
-  // e.g.: return userDao.getUserById(id).then(user => cb(null, user)).catch(err => cb(err, null));
-
-  return cb(null, user); // this will be available in req.user
+  // double check that the user is still in the database (i.e., the account has not been deleted)
+  return userDao.getUserById(user.id)
+    .then((u) => cb(null, u.error ? false : u)) // this will be available in req.user
+    .catch((err) => cb(err, null));
 });
 
 // Creating the session
-app.use(session({
-  secret: "shhhhh... it's a secret!",
+const sessionMiddleware = session({
+  secret: settings.session.secret,
   resave: false,
   saveUninitialized: false,
-}));
+});
+app.use(sessionMiddleware);
 app.use(passport.authenticate('session'));
 
+// Limits of the login failures and of the requests (see config)
+rateLimits.configure({ login: settings.login, rateLimit: settings.rateLimit });
+
+/**
+ * Verifying a long-lived API token sent from an IP address, it returns { user, token } or false if the token is not valid.
+ * The failed verifications are locked out as the failed logins of the address (see rate-limits.attemptToken):
+ * while they are locked, the token is not verified and it returns { wait }, the seconds to wait before trying again.
+ */
+const verifyApiToken = async (value, ip) => {
+  if (settings.auth.mode === 'session')
+    return false;
+  const wait = await rateLimits.attemptToken(ip);
+  if (wait > 0)
+    return { wait: wait };
+  const token = await tokenDao.verifyToken(value);
+  if (!token)
+    return false;
+  const user = await userDao.getUserById(token.user);
+  if (user.error)
+    return false;
+  await rateLimits.tokenSucceeded(ip);
+  return { user: user, token: token };
+};
+
+/**
+ * Authenticating the requests with a long-lived API token ("Authorization: Bearer <token>", see /api/tokens).
+ * As for the sessions, the user is available in req.user, while the token (readOnly, devices) is available in req.token.
+ */
+app.use(async (req, res, next) => {
+  const header = req.get('Authorization');
+  if (!header || !header.startsWith('Bearer '))
+    return next();
+  if (settings.auth.mode === 'session')
+    return res.status(401).json({ error: 'API tokens are disabled' });
+
+  try {
+    const auth = await verifyApiToken(header.slice('Bearer '.length).trim(), req.ip);
+    if (!auth)
+      return res.status(401).json({ error: 'Invalid token' });
+    if (auth.wait) {
+      res.set('Retry-After', String(auth.wait));
+      return res.status(429).json({ error: 'Too many invalid tokens, retry later' });
+    }
+    if (auth.token.readOnly && req.method !== 'GET' && req.method !== 'HEAD')
+      return res.status(403).json({ error: 'Read-only token' });
+
+    req.user = auth.user;
+    req.token = auth.token;
+    next();
+  } catch (err) {
+    res.status(500).end();
+  }
+});
+
+// The requester of a request, for the rate limits: the API token, the logged-in user or the IP address
+const requesterOf = (req) => {
+  if (req.token)
+    return `token:${req.token.id}`;
+  if (req.isAuthenticated())
+    return `user:${req.user.id}`;
+  return `ip:${req.ip}`;
+};
+
+/**
+ * Limiting the rate of the requests of each route group (see rate-limits.groupOf), separately for each requester:
+ * the requests over the limit are refused with 429, and Retry-After tells the seconds to wait.
+ */
+app.use(async (req, res, next) => {
+  try {
+    const wait = await rateLimits.hit(rateLimits.groupOf(req), requesterOf(req));
+    if (wait > 0) {
+      res.set('Retry-After', String(wait));
+      return res.status(429).json({ error: 'Too many requests, retry later' });
+    }
+    next();
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the rate limiting: ${err}` });
+  }
+});
+
 
 /*** Defining authentication verification middleware ***/
 
@@ -83,6 +221,51 @@ const isLoggedIn = (req, res, next) => {
   return res.status(401).json({error: 'Not authorized'});
 }
 
+// Same as isLoggedIn, but API tokens are not accepted (e.g., to create new tokens)
+const isLoggedInWithSession = (req, res, next) => {
+  if(req.isAuthenticated() && !req.token) {
+    return next();
+  }
+  return res.status(401).json({error: 'Not authorized'});
+}
+
+// This middleware (to be used after isLoggedInWithSession or isLoggedIn) restricts a route to the administrators (e.g., the backups)
+const isAdmin = (req, res, next) => {
+  if (req.user.admin) {
+    return next();
+  }
+  return res.status(403).json({error: 'Administrators only'});
+}
+
+/**
+ * This middleware restricts the tokens limited to some devices to the routes that act only on those devices.
+ * devicesOf(req) returns the devices the route acts on (e.g., ["switch:1"]), or null if it is not about specific devices.
+ */
+const tokenScope = (devicesOf) => (req, res, next) => {
+  if (!req.token || req.token.devices === null)
+    return next();
+
+  const devices = devicesOf(req);
+  if (devices !== null && devices.every((d) => req.token.devices.includes(d)))
+    return next();
+  return res.status(403).json({ error: 'Token not allowed for this resource' });
+}
+
+// Scope of the routes acting on the device in the "id" parameter (e.g., /api/switches/<id>)
+const deviceParam = (type) => (req) => [`${type}:${Number(req.params.id)}`];
+
+// Scope of the routes not about specific devices (e.g., the lists), which are not allowed to the limited tokens
+const allDevices = () => null;
+
+// Scope of the Home Assistant routes acting on some entities (e.g., "switch.backend_1")
+const entityDevices = (entityIds) => {
+  const devices = entityIds.map((entityId) => {
+    const parsed = haEntities.parseEntityId(entityId);
+    return parsed && parsed.id !== undefined ? `${parsed.domain}:${parsed.id}` : null;
+  });
+  return devices.includes(null) ? null : devices;
+};
+
 
 /*** Utility Functions ***/
 
@@ -91,17 +274,99 @@ const errorFormatter = ({ location, msg, param, value, nestedErrors }) => {
   return `${location}[${param}]: ${msg}`;
 };
 
+// This function converts a list of objects in CSV, with the given columns (the fields are quoted only when needed)
+const toCsv = (columns, rows) => {
+  const field = (v) => {
+    const text = v === null || v === undefined ? '' : String(v);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(','), ...rows.map((r) => columns.map((c) => field(r[c])).join(','))].join('\n') + '\n';
+};
+
+// This function sends an export as a file to download, in CSV (with the given columns) or JSON format
+const sendExport = (res, format, name, columns, rows) => {
+  res.attachment(`${name}.${format}`);
+  if (format === 'csv')
+    res.type('text/csv').send(toCsv(columns, rows));
+  else
+    res.json(rows);
+};
+
+// This function is used as custom validator to check that a string is a valid IANA time zone (e.g., "Europe/Rome")
+const isTimeZone = (tz) => {
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone: tz });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Validation chains shared by the routes that list temperatures (e.g., GET /api/temperatures)
+const temperatureFilterChecks = [
+  query(['from', 'to']).optional().isISO8601(),
+  query('resolution').optional().isIn(['auto', ...retention.RESOLUTIONS]),
+  query('order').optional().isIn(['asc', 'desc']),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+];
+
+/**
+ * This function retrieves the temperatures of a user (see temperatureDao.listTemperatures for the filter), at the requested resolution:
+ * 'raw' (the readings), 'hour' or 'day' (the summaries, see dao-summaries), or 'auto' to let retention pick it for the range.
+ * It returns { resolution, temperatures }.
+ */
+const listTemperatureHistory = async (user, filter, requested) => {
+  const resolution = await retention.chooseResolution(user, filter, requested);
+  const temperatures = resolution === 'raw' ? await temperatureDao.listTemperatures(user, filter)
+    : await summaryDao.listSummaries(user, resolution, filter);
+  return { resolution, temperatures };
+};
+
+// This function is used as custom validator to check that the date of a new reading has not been pruned by the retention already.
+const isRetained = (date) => {
+  const cutoff = retention.cutoff('raw');
+  return cutoff === null || dayjs.utc(date).format() >= cutoff;
+};
+
+// Validation chains shared by the routes that list the state history of a device (e.g., GET /api/switches/<id>/history)
+const historyFilterChecks = [
+  check('id').isInt(),
+  query(['from', 'to']).optional().isISO8601(),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+];
+
+// Validation chains shared by the routes that aggregate temperatures (e.g., GET /api/temperatures/stats)
+const temperatureStatsChecks = [
+  query('bucket').isIn(['hour', 'day', 'week']),
+  query(['from', 'to']).optional().isISO8601(),
+  query('tz').optional().custom(isTimeZone).withMessage('Unknown time zone'),
+];
+
 
 /*** Users APIs ***/
 
 // POST /api/sessions 
 // This route is used for performing login.
-app.post('/api/sessions', function(req, res, next) {
+// The logins of an account or from an IP address with too many failures are locked for a while (429, see rate-limits).
+app.post('/api/sessions', async function(req, res, next) {
+  const email = typeof req.body.username === 'string' ? req.body.username : '';
+  try {
+    const wait = await rateLimits.attemptLogin(email, req.ip);  // the attempt counts as a failure until it succeeds
+    if (wait > 0) {
+      res.set('Retry-After', String(wait));
+      return res.status(429).json({ error: 'Too many failed logins, retry later' });
+    }
+  } catch (err) {
+    return next(err);
+  }
+
   passport.authenticate('local', (err, user, info) => { 
     if (err)
       return next(err);
       if (!user) {
-        // display wrong login messages
+        // display wrong login messages (the failure is already recorded)
         return res.status(401).json({error: info});
       }
       // success, perform the login and extablish a login session
@@ -111,7 +376,9 @@ app.post('/api/sessions', function(req, res, next) {
         
         // req.user contains the authenticated user, we send all the user info back
         // this is coming from userDao.getUser() in LocalStratecy Verify Fn
-        return res.json(req.user); // WARN: returns 200 even if .status(200) is missing?
+        return rateLimits.loginSucceeded(email, req.ip)
+          .then(() => res.json(req.user)) // WARN: returns 200 even if .status(200) is missing?
+          .catch(next);
       });
   })(req, res, next);
 });
@@ -143,31 +410,216 @@ app.delete('/api/sessions/current', (req, res) => {
 });
 
 
+// POST /api/users
+// This route registers a new user, the password is stored with the same scrypt/salt scheme of the existing users.
+app.post('/api/users',
+[
+  check('email').isEmail(),
+  check('password').isString().isLength({ min: 8 }),
+  check('name').optional().isString().trim().isLength({ min: 1, max: 100 }),
+],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ") }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const existing = await userDao.getUserByEmail(req.body.email);
+    if (!existing.error)
+      return res.status(409).json({ error: 'Email already registered.' });
+
+    const user = await userDao.createUser(req.body.email, req.body.name || null, req.body.password);
+    res.status(201).json(user);
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the registration of user ${req.body.email}: ${err}` });
+  }
+});
+
+// PUT /api/users/current/password
+// This route changes the password of the logged-in user, given the old one.
+app.put('/api/users/current/password',
+isLoggedInWithSession,
+[
+  check('oldPassword').isString(),
+  check('newPassword').isString().isLength({ min: 8 }),
+],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ") }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const user = await userDao.getUser(req.user.username, req.body.oldPassword);
+    if (!user)
+      return res.status(401).json({ error: 'Incorrect password.' });
+
+    await userDao.updatePassword(req.user.id, req.body.newPassword);
+    res.status(200).json({});
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the update of the password: ${err}` });
+  }
+});
+
+// DELETE /api/users/current
+// This route deletes the account of the logged-in user (confirmed with its password), together with all its data.
+app.delete('/api/users/current',
+isLoggedInWithSession,
+[ check('password').isString() ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ") }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const user = await userDao.getUser(req.user.username, req.body.password);
+    if (!user)
+      return res.status(401).json({ error: 'Incorrect password.' });
+
+    await userDao.deleteUser(req.user.id);
+    await scheduler.refresh();  // the schedules of the user do not exist anymore
+    req.logout(() => {
+      res.status(200).json({});
+    });
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the deletion of the account: ${err}` });
+  }
+});
+
+
+/*** API tokens APIs ***/
+// NOTE: the tokens can be managed only with a session, i.e., a token cannot be used to create or revoke other tokens.
+
+// This function checks that all the devices a token is limited to (e.g., ["switch:1", "sensor:2"]) exist, it returns { error: <string> } otherwise.
+const checkTokenDevices = async (user, devices) => {
+  for (const d of devices || []) {
+    const [type, id] = d.split(':');
+    const device = type === 'sensor' ? await sensorDao.getSensor(user, id) : await deviceControl.getDevice(user, type, id);
+    if (device.error)
+      return { error: `Device ${d} not found.` };
+  }
+  return {};
+};
+
+// GET /api/tokens
+// This route returns the list of the API tokens of the user (without their values).
+app.get('/api/tokens',
+isLoggedInWithSession,
+async (req, res) => {
+  try {
+    const tokens = await tokenDao.listTokens(req.user.id);
+    res.json(tokens);
+  } catch (err) {
+    res.status(500).end();
+  }
+});
+
+// POST /api/tokens
+// This route creates a new long-lived API token, to be used as "Authorization: Bearer <token>".
+// The body contains name, readOnly (optional) and devices (optional list of "<type>:<id>" of the devices, e.g., "switch:1", or "sensor:<id>").
+// NOTE: the value of the token is returned only here, it cannot be retrieved later.
+app.post('/api/tokens',
+isLoggedInWithSession,
+[
+  check('name').isString().trim().isLength({ min: 1, max: 64 }),
+  check('readOnly').optional().isBoolean(),
+  check('devices').optional({ nullable: true }).isArray({ min: 1 }),
+  check('devices.*').matches(new RegExp(`^(${[...deviceTypes.NAMES, 'sensor'].join('|')}):\\d+$`)),
+],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const devices = await checkTokenDevices(req.user.id, req.body.devices);
+    if (devices.error)
+      return res.status(404).json(devices);
+
+    const token = {
+      name: req.body.name,
+      readOnly: req.body.readOnly || false,
+      devices: req.body.devices || null,
+      user: req.user.id
+    };
+    const result = await tokenDao.createToken(token);
+    res.status(201).json(result);
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the creation of new token: ${err}` });
+  }
+});
+
+// DELETE /api/tokens/<id>
+// Given a token id, this route revokes the associated token.
+app.delete('/api/tokens/:id',
+isLoggedInWithSession,
+[ check('id').isInt() ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const t = await tokenDao.getToken(req.user.id, req.params.id);
+    if (t.error)
+      return res.status(404).json(t);
+
+    await tokenDao.deleteToken(req.user.id, t.id);
+    res.status(200).json({});
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the deletion of token ${req.params.id}: ${err} ` });
+  }
+});
+
+
 /*** Temperatures APIs ***/
 
 // GET /api/temperatures
-// This route returns the TemperatureLibrary.
+// This route returns the TemperatureLibrary, i.e., the temperatures of all the sensors of the user.
+// Optional query parameters: from, to (ISO 8601), order (asc|desc), limit, offset,
+// resolution (raw|hour|day|auto, default auto: see retention), which is returned in the X-Resolution header.
 app.get('/api/temperatures', 
-//isLoggedIn,               // check: is the user logged-in?
+isLoggedIn,               // check: is the user logged-in?
+tokenScope(allDevices),
+temperatureFilterChecks,
 (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  const filter = {
+    from: req.query.from,
+    to: req.query.to,
+    order: req.query.order,
+    limit: req.query.limit,
+    offset: req.query.offset,
+  };
+
   // NOTE: user exists for sure otherwise isLoggedIn would fail
   // get temperatures that match optional filter in the query
-  temperatureDao.listTemperatures(1)
-  //temperatureDao.listTemperatures(req.user.id)
+  listTemperatureHistory(req.user.id, filter, req.query.resolution)
     // NOTE: "invalid dates" (i.e., missing dates) are set to null during JSON serialization
-    .then(temperatures => res.json(temperatures))
+    .then(({ resolution, temperatures }) => res.set('X-Resolution', resolution).json(temperatures))
     .catch((err) => res.status(500).json(err)); // always return a json and an error message
 });
 
 // GET /api/temperatures/last
-// This route returns the last stored temperature.
+// This route returns the last temperature stored by the default sensor of the user.
 app.get('/api/temperatures/last', 
-// isLoggedIn,                 // check: is the user logged-in?
+isLoggedIn,                 // check: is the user logged-in?
+tokenScope(allDevices),
 // [ check('id').isInt() ],    // check: validation
 async (req, res) => {
   try {
-    const result = await temperatureDao.getLastTemperature(1);
-    //const result = await temperatureDao.getTemperature(req.user.id);
+    const sensor = await sensorDao.getDefaultSensor(req.user.id);
+    if (sensor.error)
+      return res.status(404).json(sensor);
+    const result = await temperatureDao.getLastTemperature(req.user.id, sensor.id);
     if (result.error)
       res.status(404).json(result);
     else
@@ -178,15 +630,37 @@ async (req, res) => {
   }
 });
 
+// GET /api/temperatures/stats
+// This route returns min, max, mean, count and first/last reading of the temperatures for each time bucket.
+// Query parameters: bucket (hour|day|week), from, to (ISO 8601, optional), tz (IANA time zone, optional).
+// NOTE: the readings pruned by the retention are aggregated from their summaries (see retention).
+app.get('/api/temperatures/stats',
+isLoggedIn,                 // check: is the user logged-in?
+tokenScope(allDevices),
+temperatureStatsChecks,
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const stats = await temperatureDao.getTemperatureStats(req.user.id, { ...req.query, resolution: retention.chooseStatsResolution(req.query) });
+    res.json(stats);
+  } catch (err) {
+    res.status(500).end();
+  }
+});
+
 // GET /api/temperatures/<id>
 // Given a temperature id, this route returns the associated temperature from the library.
 app.get('/api/temperatures/:id', 
-// isLoggedIn,                 // check: is the user logged-in?
+isLoggedIn,                 // check: is the user logged-in?
+tokenScope(allDevices),
 // [ check('id').isInt() ],    // check: validation
 async (req, res) => {
   try {
-    const result = await temperatureDao.getTemperature(1, req.params.id);
-    // const result = await temperatureDao.getTemperature(req.user.id, req.params.id);
+    const result = await temperatureDao.getTemperature(req.user.id, req.params.id);
     if (result.error)
       res.status(404).json(result);
     else
@@ -199,12 +673,13 @@ async (req, res) => {
 
 
 // POST /api/temperatures
-// This route adds a new temperature to temperature library.
+// This route adds a new temperature, measured by the default sensor of the user, to temperature library.
 app.post('/api/temperatures',
-//isLoggedIn,
+isLoggedIn,
+tokenScope(allDevices),
 [
-  // only date (first ten chars) and valid ISO
-  // check('date').isLength({min: 10, max: 10}).isISO8601({ strict: true }).optional({ checkFalsy: true }).not().isAfter(),
+  check('date').optional().isISO8601({ strict: true }).not().isAfter().withMessage('Must not be in the future')
+    .custom(isRetained).withMessage('Older than the retention of the readings'),
   check('value').isFloat(),
 ], 
 async (req, res) => {
@@ -213,17 +688,17 @@ async (req, res) => {
     return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
   }
 
-  // WARN: note that we expect date with capital D but the databases does not care and uses lowercase letters, so it returns "watchdate"
+  try {
+    const sensor = await sensorDao.ensureDefaultSensor(req.user.id);
 
-  const temperature = {
-    date: dayjs.utc().format(), // A different method is required if also time is present. For instance: (req.body.date || '').split('T')[0]
-    value: req.body.value,
-    //user: req.user.id  // user is overwritten with the id of the user that is doing the request and it is logged in
-    user: 1
-  };
-  console.log(temperature);
+    const temperature = {
+      date: dayjs.utc(req.body.date).format(), // the date of the reading, if given by the client (e.g., a buffered reading), otherwise now
+      value: req.body.value,
+      sensor: sensor.id,
+      user: req.user.id  // user is overwritten with the id of the user that is doing the request and it is logged in
+    };
+    console.log(temperature);
 
-  try {
     const result = await temperatureDao.createTemperature(temperature); // NOTE: createTemperature returns the new created object
     res.json(result); 
   } catch (err) {
@@ -231,17 +706,94 @@ async (req, res) => {
   }
 });
 
+// POST /api/temperatures/batch
+// This route adds a batch of temperatures with their original dates (e.g., the readings buffered by a sensor while it was offline).
+// The batch is a JSON array, NDJSON or CSV (see temperature-batch), the readings without sensor are assigned to the sensor
+// in the "sensor" query parameter, or to the default sensor of the user. The valid readings are stored in one transaction,
+// skipping the duplicates (same key, or same sensor and date), and the route returns a report with the outcome of each reading.
+// NOTE: the tokens limited to some sensors are allowed, but only for the readings of those sensors.
+app.post('/api/temperatures/batch',
+isLoggedIn,
+[ query('sensor').optional().isInt().toInt() ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  let format;
+  if (req.is('application/json'))
+    format = 'json';
+  else if (req.is(temperatureBatch.NDJSON_TYPES))
+    format = 'ndjson';
+  else if (req.is(temperatureBatch.CSV_TYPES))
+    format = 'csv';
+  else
+    return res.status(415).json({ error: 'The batch must be application/json, application/x-ndjson or text/csv' });
+
+  const batch = temperatureBatch.parseBatch(format, req.body);
+  if (batch.error)
+    return res.status(422).json(batch);
+
+  try {
+    const sensors = (await sensorDao.listSensors(req.user.id)).map((s) => s.id);
+    if (req.query.sensor !== undefined && !sensors.includes(req.query.sensor))
+      return res.status(404).json({ error: 'Sensor not found.' });
+    const allowed = (sensor) => !req.token || req.token.devices === null || req.token.devices.includes(`sensor:${sensor}`);
+
+    const rows = [];
+    const accepted = [];  // indexes of the valid readings
+    let defaultSensor = req.query.sensor;
+    for (const [i, raw] of batch.readings.entries()) {
+      const checked = temperatureBatch.checkReading(raw);
+      if (checked.error) {
+        rows.push({ row: i + 1, status: 'rejected', error: checked.error });
+        continue;
+      }
+
+      if (checked.reading.sensor === undefined) {
+        if (defaultSensor === undefined)
+          defaultSensor = (await sensorDao.ensureDefaultSensor(req.user.id)).id;
+        checked.reading.sensor = defaultSensor;
+      }
+      if (!isRetained(checked.reading.date))
+        rows.push({ row: i + 1, status: 'rejected', error: 'Older than the retention of the readings' });
+      else if (!sensors.includes(checked.reading.sensor) && checked.reading.sensor !== defaultSensor)
+        rows.push({ row: i + 1, status: 'rejected', error: 'Sensor not found.' });
+      else if (!allowed(checked.reading.sensor))
+        rows.push({ row: i + 1, status: 'rejected', error: 'Token not allowed for this sensor' });
+      else {
+        rows.push({ row: i + 1, reading: checked.reading });
+        accepted.push(i);
+      }
+    }
+
+    const results = accepted.length > 0 ? await temperatureDao.ingestTemperatures(req.user.id, accepted.map((i) => rows[i].reading)) : [];
+    accepted.forEach((i, j) => {
+      rows[i] = { row: i + 1, status: results[j].status, id: results[j].id };
+    });
+
+    const count = (status) => rows.filter((r) => r.status === status).length;
+    res.json({ accepted: count('accepted'), duplicates: count('duplicate'), rejected: count('rejected'), rows: rows });
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the creation of the batch of temperatures: ${err}` });
+  }
+});
+
 
 // DELETE /api/temperatures/<id>
 // Given a temperature id, this route deletes the associated temperature from the library.
 app.delete('/api/temperatures/:id',
-// isLoggedIn,
+isLoggedIn,
+tokenScope(allDevices),
 // [ check('id').isInt() ], 
 async (req, res) => {
   try {
-    // NOTE: if there is no temperature with the specified id, the delete operation is considered successful.
-    await temperatureDao.deleteTemperature(1, req.params.id);
-    // await temperatureDao.deleteTemperature(req.user.id, req.params.id);
+    const t = await temperatureDao.getTemperature(req.user.id, req.params.id);
+    if (t.error)
+      return res.status(404).json(t);
+
+    await temperatureDao.deleteTemperature(req.user.id, t.id);
     res.status(200).json({}); 
   } catch (err) {
     res.status(503).json({ error: `Database error during the deletion of temperature ${req.params.id}: ${err} ` });
@@ -249,117 +801,2114 @@ async (req, res) => {
 });
 
 
-/* ------ */
+/*** Sensors APIs ***/
 
-
-// GET /api/switches/<id>
-// Given a switch id, this route returns the switch's status.
-app.get('/api/switches/:id', 
-// isLoggedIn,                 // check: is the user logged-in?
-// [ check('id').isInt() ],    // check: validation
+// GET /api/sensors
+// This route returns the list of the temperature sensors of the user.
+app.get('/api/sensors',
+isLoggedIn,                 // check: is the user logged-in?
+tokenScope(allDevices),
 async (req, res) => {
-    try {
-      const result = await switchDao.getSwitch(1, req.params.id);
-      if (result.error)
-        res.status(404).json(result);
-      else
-        // NOTE: "invalid dates" (i.e., missing dates) are set to null during JSON serialization
-        res.json(result);
-    } catch (err) {
-      res.status(500).end();
-    }
+  try {
+    const sensors = await sensorDao.listSensors(req.user.id);
+    res.json(sensors);
+  } catch (err) {
+    res.status(500).end();
+  }
 });
 
-// PUT /api/switches/<id>
-// This route changes the status of a switch. It could also be a PATCH.
-app.put('/api/switches/:id/', 
-//isLoggedIn,
-  [
-    check(['id']).isInt(),
-    check('value').isBoolean(),
-  ], 
-  async (req, res) => {
-    const errors = validationResult(req).formatWith(errorFormatter); // format error message
-    if (!errors.isEmpty()) {
-      return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
-    }
-
-    if (req.body.id !== Number(req.params.id)) {  // Check if url and body id mismatch
-      return res.status(422).json({ error: 'URL and body id mismatch' });
-    }
+// GET /api/sensors/<id>
+// Given a sensor id, this route returns the associated sensor.
+app.get('/api/sensors/:id',
+isLoggedIn,                 // check: is the user logged-in?
+tokenScope(deviceParam('sensor')),
+[ check('id').isInt() ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
 
   try {
-    // const s = await switchDao.getSwitch(req.user.id, req.params.id);
-    const s = await switchDao.getSwitch(req.body.user, req.body.id);
-    if (s.error)
-      return res.status(404).json(s);
-    
-    s.date = dayjs.utc().format();
-    s.value =  req.body.value;
-    console.log(s);
-    
-    // const result = await switchDao.updateSwitch(req.user.id, s.id, s);
-    const result = await switchDao.updateSwitch(req.body.user, s.id, s);
-    return res.json(result); 
+    const result = await sensorDao.getSensor(req.user.id, req.params.id);
+    if (result.error)
+      res.status(404).json(result);
+    else
+      res.json(result);
   } catch (err) {
-    res.status(503).json({ error: `Database error during the update of switch ${req.params.id}` });
+    res.status(500).end();
   }
 });
 
-
-// GET /api/lights/<id>
-// Given a light id, this route returns the light's status.
-app.get('/api/lights/:id',
-// isLoggedIn,                 // check: is the user logged-in?
-// [ check('id').isInt() ],    // check: validation
+// POST /api/sensors
+// This route registers a new temperature sensor.
+app.post('/api/sensors',
+isLoggedIn,
+tokenScope(allDevices),
+[
+  check('name').isString().trim().isLength({ min: 1, max: 64 }),
+  check('location').optional({ nullable: true }).isString().trim().isLength({ max: 64 }),
+  check('unit').optional().isIn(['°C', '°F', 'K']),
+],
 async (req, res) => {
-    try {
-      const result = await lightDao.getLight(1, req.params.id);
-      if (result.error)
-        res.status(404).json(result);
-      else
-        // NOTE: "invalid dates" (i.e., missing dates) are set to null during JSON serialization
-        res.json(result);
-    } catch (err) {
-      res.status(500).end();
-    }
-});
-
-// PUT /api/lights/<id>
-// This route changes the status of a light. It could also be a PATCH.
-app.put('/api/lights/:id/',
-//isLoggedIn,
-  [
-    check(['id']).isInt(),
-    check('value').isInt(),
-  ],
-  async (req, res) => {
-    const errors = validationResult(req).formatWith(errorFormatter); // format error message
-    if (!errors.isEmpty()) {
-      return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
-    }
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
 
-    if (req.body.id !== Number(req.params.id)) {  // Check if url and body id mismatch
-      return res.status(422).json({ error: 'URL and body id mismatch' });
-    }
+  const sensor = {
+    name: req.body.name,
+    location: req.body.location,
+    unit: req.body.unit,
+    user: req.user.id  // user is overwritten with the id of the user that is doing the request and it is logged in
+  };
 
   try {
-    const s = await lightDao.getLight(req.body.user, req.body.id);
-    if (s.error)
-      return res.status(404).json(s);
-
-    s.date = dayjs.utc().format();
-    s.value =  req.body.value;
-    console.log(s);
-
-    const result = await lightDao.updateLight(req.body.user, s.id, s);
-    return res.json(result);
+    const result = await sensorDao.createSensor(sensor); // NOTE: createSensor returns the new created object
+    res.status(201).json(result);
   } catch (err) {
-    res.status(503).json({ error: `Database error during the update of light ${req.params.id}` });
+    res.status(503).json({ error: `Database error during the creation of new sensor: ${err}` });
   }
 });
 
-
-// Activating the server
-const PORT = 3001;
-app.listen(PORT, ()=>console.log(`Server running on http://localhost:${PORT}/`));
+// PUT /api/sensors/<id>
+// This route updates name, location and unit of a sensor.
+app.put('/api/sensors/:id',
+isLoggedIn,
+tokenScope(deviceParam('sensor')),
+[
+  check('id').isInt(),
+  check('name').isString().trim().isLength({ min: 1, max: 64 }),
+  check('location').optional({ nullable: true }).isString().trim().isLength({ max: 64 }),
+  check('unit').optional().isIn(['°C', '°F', 'K']),
+],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const s = await sensorDao.getSensor(req.user.id, req.params.id);
+    if (s.error)
+      return res.status(404).json(s);
+
+    const result = await sensorDao.updateSensor(req.user.id, s.id, req.body);
+    res.json(result);
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the update of sensor ${req.params.id}` });
+  }
+});
+
+// DELETE /api/sensors/<id>
+// Given a sensor id, this route deletes the sensor with all its temperatures, the rules triggered by it and its alert definitions.
+app.delete('/api/sensors/:id',
+isLoggedIn,
+tokenScope(deviceParam('sensor')),
+[ check('id').isInt() ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const sensor = await sensorDao.getSensor(req.user.id, req.params.id);
+    if (sensor.error)
+      return res.status(404).json(sensor);
+
+    await sensorDao.deleteSensor(req.user.id, sensor.id);
+    res.status(200).json({});
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the deletion of sensor ${req.params.id}: ${err} ` });
+  }
+});
+
+// GET /api/sensors/<id>/temperatures
+// This route returns the temperatures measured by a sensor.
+// Optional query parameters: from, to (ISO 8601), order (asc|desc), limit, offset, resolution (see GET /api/temperatures).
+app.get('/api/sensors/:id/temperatures',
+isLoggedIn,                 // check: is the user logged-in?
+tokenScope(deviceParam('sensor')),
+[ check('id').isInt(), ...temperatureFilterChecks ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const sensor = await sensorDao.getSensor(req.user.id, req.params.id);
+    if (sensor.error)
+      return res.status(404).json(sensor);
+
+    const filter = {
+      sensor: sensor.id,
+      from: req.query.from,
+      to: req.query.to,
+      order: req.query.order,
+      limit: req.query.limit,
+      offset: req.query.offset,
+    };
+    const { resolution, temperatures } = await listTemperatureHistory(req.user.id, filter, req.query.resolution);
+    res.set('X-Resolution', resolution).json(temperatures);
+  } catch (err) {
+    res.status(500).end();
+  }
+});
+
+// GET /api/sensors/<id>/temperatures/last
+// This route returns the last temperature measured by a sensor.
+app.get('/api/sensors/:id/temperatures/last',
+isLoggedIn,                 // check: is the user logged-in?
+tokenScope(deviceParam('sensor')),
+[ check('id').isInt() ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const sensor = await sensorDao.getSensor(req.user.id, req.params.id);
+    if (sensor.error)
+      return res.status(404).json(sensor);
+
+    const result = await temperatureDao.getLastTemperature(req.user.id, sensor.id);
+    if (result.error)
+      res.status(404).json(result);
+    else
+      res.json(result);
+  } catch (err) {
+    res.status(500).end();
+  }
+});
+
+// GET /api/sensors/<id>/temperatures/stats
+// This route returns the aggregated statistics of the temperatures measured by a sensor (see GET /api/temperatures/stats).
+app.get('/api/sensors/:id/temperatures/stats',
+isLoggedIn,                 // check: is the user logged-in?
+tokenScope(deviceParam('sensor')),
+[ check('id').isInt(), ...temperatureStatsChecks ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const sensor = await sensorDao.getSensor(req.user.id, req.params.id);
+    if (sensor.error)
+      return res.status(404).json(sensor);
+
+    const stats = await temperatureDao.getTemperatureStats(req.user.id, { ...req.query, sensor: sensor.id, resolution: retention.chooseStatsResolution(req.query) });
+    res.json(stats);
+  } catch (err) {
+    res.status(500).end();
+  }
+});
+
+// POST /api/sensors/<id>/temperatures
+// This route adds a new temperature measured by a sensor.
+app.post('/api/sensors/:id/temperatures',
+isLoggedIn,
+tokenScope(deviceParam('sensor')),
+[
+  check('id').isInt(),
+  check('date').optional().isISO8601({ strict: true }).not().isAfter().withMessage('Must not be in the future')
+    .custom(isRetained).withMessage('Older than the retention of the readings'),
+  check('value').isFloat(),
+],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const sensor = await sensorDao.getSensor(req.user.id, req.params.id);
+    if (sensor.error)
+      return res.status(404).json(sensor);
+
+    const temperature = {
+      date: dayjs.utc(req.body.date).format(),
+      value: req.body.value,
+      sensor: sensor.id,
+      user: req.user.id  // user is overwritten with the id of the user that is doing the request and it is logged in
+    };
+
+    const result = await temperatureDao.createTemperature(temperature); // NOTE: createTemperature returns the new created object
+    res.json(result);
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the creation of new temperature: ${err}` });
+  }
+});
+
+// DELETE /api/sensors/<id>/temperatures/<temperatureId>
+// This route deletes a temperature measured by a sensor.
+app.delete('/api/sensors/:id/temperatures/:temperatureId',
+isLoggedIn,
+tokenScope(deviceParam('sensor')),
+[ check(['id', 'temperatureId']).isInt() ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const t = await temperatureDao.getTemperature(req.user.id, req.params.temperatureId);
+    if (t.error || t.sensor !== Number(req.params.id))
+      return res.status(404).json({ error: 'Temperature not found.' });
+
+    await temperatureDao.deleteTemperature(req.user.id, t.id, t.sensor);
+    res.status(200).json({});
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the deletion of temperature ${req.params.temperatureId}: ${err} ` });
+  }
+});
+
+
+/*** Devices APIs ***/
+// NOTE: the routes are generated for each type of device of the registry (see device-types), where <devices> is its path
+// (e.g., /api/switches, /api/lights, /api/covers and /api/binary-sensors)
+// The ETag of a device is its revision, which changes at each change of its state (it is also in the body, e.g., for the lists):
+// the changes with If-Match are applied only if the device has not been changed meanwhile (412 otherwise).
+
+// ETag of a device, from its revision
+const etagOf = (device) => `"${device.revision}"`;
+
+/**
+ * This function returns the revision required by the If-Match header of a request for a device, i.e., the current one
+ * if one of the ETags is the one of the device, null if none is (e.g., the device has been changed), and undefined
+ * if there is no precondition (no header, or "*", as the device exists). NOTE: the weak ETags (W/"...") never match.
+ */
+const ifMatchRevision = (req, device) => {
+  const header = req.get('If-Match');
+  if (header === undefined || header.trim() === '*')
+    return undefined;
+  return header.split(',').map((e) => e.trim()).includes(etagOf(device)) ? device.revision : null;
+};
+
+for (const t of deviceTypes.list()) {
+
+  // GET /api/<devices>
+  // This route returns the list of the devices of the type of the user.
+  app.get(`/api/${t.path}`,
+  isLoggedIn,                 // check: is the user logged-in?
+  tokenScope(allDevices),
+  async (req, res) => {
+    try {
+      const devices = await deviceDao.listDevices(t.name, req.user.id);
+      // NOTE: "invalid dates" (i.e., missing dates) are set to null during JSON serialization
+      res.json(devices);
+    } catch (err) {
+      res.status(500).end();
+    }
+  });
+
+  // GET /api/<devices>/<id>
+  // Given a device id, this route returns the device's status.
+  app.get(`/api/${t.path}/:id`,
+  isLoggedIn,                 // check: is the user logged-in?
+  tokenScope(deviceParam(t.name)),
+  // [ check('id').isInt() ],    // check: validation
+  async (req, res) => {
+      try {
+        const result = await deviceDao.getDevice(t.name, req.user.id, req.params.id);
+        if (result.error)
+          res.status(404).json(result);
+        else
+          // NOTE: "invalid dates" (i.e., missing dates) are set to null during JSON serialization
+          res.set('ETag', etagOf(result)).json(result);  // 304 if the request has the same ETag in If-None-Match
+      } catch (err) {
+        res.status(500).end();
+      }
+  });
+
+  // GET /api/<devices>/<id>/history
+  // Given a device id, this route returns its state transitions, most recent first.
+  // Optional query parameters: from, to (ISO 8601), limit, offset.
+  app.get(`/api/${t.path}/:id/history`,
+  isLoggedIn,                 // check: is the user logged-in?
+  tokenScope(deviceParam(t.name)),
+  historyFilterChecks,
+  async (req, res) => {
+    const errors = validationResult(req).formatWith(errorFormatter); // format error message
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+    }
+
+    try {
+      const d = await deviceDao.getDevice(t.name, req.user.id, req.params.id);
+      if (d.error)
+        return res.status(404).json(d);
+
+      const history = await historyDao.listHistory(req.user.id, t.name, d.id, req.query);
+      res.json(history);
+    } catch (err) {
+      res.status(500).end();
+    }
+  });
+
+  // POST /api/<devices>
+  // This route creates a new device of the type. The body contains the attributes of the type, if any
+  // (e.g., the capabilities of a light), and optionally the initial value.
+  app.post(`/api/${t.path}`,
+  isLoggedIn,
+  tokenScope(allDevices),
+  async (req, res) => {
+    const invalid = deviceTypes.schemaErrors(Object.assign({ value: t.commands.value }, t.attributes), req.body);
+    if (invalid.length > 0) {
+      return res.status(422).json({ error: invalid.join(", ") });
+    }
+
+    const device = { value: req.body.value, date: dayjs.utc().format(), user: req.user.id };
+    for (const a of Object.keys(t.attributes).filter((a) => req.body[a] !== undefined))
+      device[a] = req.body[a];
+
+    try {
+      const result = await deviceDao.createDevice(t.name, device);
+      res.status(201).json(result);
+    } catch (err) {
+      res.status(503).json({ error: `Database error during the creation of new ${t.name}: ${err}` });
+    }
+  });
+
+  // PUT /api/<devices>/<id>
+  // This route changes the status of a device. It could also be a PATCH.
+  // The body contains the id and the command, i.e., any of the properties of the commands of the type
+  // (e.g., value for a switch, or on, brightness, colorTemp, ... for a light), which must be supported by the device.
+  // With If-Match, the device is changed only if it still has that ETag (412 with the current ETag otherwise).
+  // A simulated device (see simulator) may not respond to the command (504).
+  app.put(`/api/${t.path}/:id/`,
+  isLoggedIn,
+  tokenScope(deviceParam(t.name)),
+    [
+      check(['id']).isInt(),
+    ],
+    async (req, res) => {
+      const errors = validationResult(req).formatWith(errorFormatter); // format error message
+      if (!errors.isEmpty()) {
+        return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+      }
+
+      if (req.body.id !== Number(req.params.id)) {  // Check if url and body id mismatch
+        return res.status(422).json({ error: 'URL and body id mismatch' });
+      }
+
+      const invalid = deviceTypes.schemaErrors(t.commands, req.body);
+      const command = deviceTypes.commandOf(t.name, req.body);
+      if (Object.keys(command).length === 0)
+        invalid.push(`At least one of ${Object.keys(t.commands).join(', ')} is required`);
+      if (invalid.length > 0) {
+        return res.status(422).json({ error: invalid.join(", ") });
+      }
+
+    try {
+      const device = await deviceDao.getDevice(t.name, req.user.id, req.body.id);
+      if (device.error)
+        return res.status(404).json(device);
+
+      const revision = ifMatchRevision(req, device);
+      if (revision === null)
+        return res.status(412).set('ETag', etagOf(device)).json({ error: `${t.label} ${device.id} has been changed, its ETag is ${etagOf(device)}` });
+
+      const unsupported = deviceControl.commandError(t.name, device, command);
+      if (unsupported)
+        return res.status(422).json({ error: unsupported });
+
+      const result = await deviceControl.setState(req.user.id, t.name, device.id, command, { actor: req.user.id, source: 'api' }, revision);
+      if (result.conflict) {
+        const current = await deviceDao.getDevice(t.name, req.user.id, device.id);
+        if (!current.error)
+          res.set('ETag', etagOf(current));
+        return res.status(revision !== undefined ? 412 : 409).json(result);
+      }
+      if (result.unavailable)
+        return res.status(504).json(result);  // a simulated device that did not respond
+      if (result.error)
+        return res.status(404).json(result);
+      return res.set('ETag', etagOf(result)).json(result);
+    } catch (err) {
+      res.status(503).json({ error: `Database error during the update of ${t.name} ${req.params.id}` });
+    }
+  });
+
+  // DELETE /api/<devices>/<id>
+  // Given a device id, this route deletes the device, together with its state history and the schedules and the rules acting on it.
+  // The devices used by a scene or by a group cannot be deleted (409), they must be removed from them first.
+  app.delete(`/api/${t.path}/:id`,
+  isLoggedIn,
+  tokenScope(deviceParam(t.name)),
+  [ check('id').isInt() ],
+  async (req, res) => {
+    const errors = validationResult(req).formatWith(errorFormatter); // format error message
+    if (!errors.isEmpty()) {
+      return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+    }
+
+    try {
+      const device = await deviceDao.getDevice(t.name, req.user.id, req.params.id);
+      if (device.error)
+        return res.status(404).json(device);
+
+      const scene = (await sceneDao.listScenes(req.user.id)).find((s) => s.states.some((st) => st.type === t.name && st.device === device.id));
+      if (scene)
+        return res.status(409).json({ error: `${t.label} ${device.id} is used by scene ${scene.id}` });
+      const group = (await groupDao.listGroups(req.user.id)).find((g) => g.type === t.name && g.devices.includes(device.id));
+      if (group)
+        return res.status(409).json({ error: `${t.label} ${device.id} is used by group ${group.id}` });
+
+      await deviceDao.deleteDevice(t.name, req.user.id, device.id);
+      res.status(200).json({});
+    } catch (err) {
+      res.status(503).json({ error: `Database error during the deletion of ${t.name} ${req.params.id}: ${err} ` });
+    }
+  });
+}
+
+
+/*** Schedules APIs ***/
+
+/**
+ * This function returns a custom validator checking the value of a schedule or of a rule against the type of its device (see device-types),
+ * where typeOf(req) returns the type. The unknown types are reported by their own check.
+ */
+const isDeviceValue = (typeOf) => (value, { req }) => {
+  const t = deviceTypes.get(typeOf(req));
+  if (t && !t.isValue(value))
+    throw new Error(`Must be ${t.valueDescription} for the ${t.path}`);
+  return true;
+};
+
+// Validation chains shared by the routes that create or update a schedule
+// NOTE: exactly one among cron (recurring schedule), at (one-shot at a given date) and delay (one-shot after some seconds) is required
+const scheduleChecks = [
+  check('name').optional({ nullable: true }).isString().trim().isLength({ max: 64 }),
+  check('type').isIn(deviceControl.TYPES),
+  check('device').isInt().toInt(),
+  check('value').custom(isDeviceValue((req) => req.body.type)),
+  check('cron').optional().isString().custom(scheduler.isCron).withMessage('Invalid cron expression'),
+  check('at').optional().isISO8601().custom((at) => dayjs(at).isAfter(dayjs())).withMessage('Must be in the future'),
+  check('delay').optional().isInt({ min: 1 }).toInt(),
+  body().custom((b) => ['cron', 'at', 'delay'].filter((k) => b[k] !== undefined).length === 1)
+    .withMessage('Exactly one of cron, at and delay is required'),
+  check('tz').optional().custom(isTimeZone).withMessage('Unknown time zone'),
+  check('misfire').optional().isIn(scheduler.MISFIRE_POLICIES),
+  check('enabled').optional().isBoolean(),
+];
+
+// This function builds the schedule to be stored from the body of a (validated) request.
+const buildSchedule = (b, user) => {
+  const now = dayjs.utc();
+  const schedule = {
+    name: b.name || null,
+    type: b.type,
+    device: b.device,
+    value: Number(b.value),
+    cron: b.cron || null,
+    runAt: b.cron ? null : (b.at ? dayjs.utc(b.at).format() : now.add(b.delay, 'second').format()),
+    tz: b.tz || 'UTC',
+    misfire: b.misfire || (b.cron ? 'skip' : 'catchup'),  // by default, missed recurring runs are skipped and missed one-shot runs are caught up
+    enabled: b.enabled === undefined ? true : b.enabled,
+    user: user,
+  };
+  schedule.nextRun = schedule.enabled ? scheduler.computeNextRun(schedule, now) : null;
+  return schedule;
+};
+
+// GET /api/schedules
+// This route returns the list of the schedules of the user.
+app.get('/api/schedules',
+isLoggedIn,                 // check: is the user logged-in?
+tokenScope(allDevices),
+async (req, res) => {
+  try {
+    const schedules = await scheduleDao.listSchedules(req.user.id);
+    res.json(schedules);
+  } catch (err) {
+    res.status(500).end();
+  }
+});
+
+// GET /api/schedules/<id>
+// Given a schedule id, this route returns the associated schedule.
+app.get('/api/schedules/:id',
+isLoggedIn,                 // check: is the user logged-in?
+tokenScope(allDevices),
+[ check('id').isInt() ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const result = await scheduleDao.getSchedule(req.user.id, req.params.id);
+    if (result.error)
+      res.status(404).json(result);
+    else
+      res.json(result);
+  } catch (err) {
+    res.status(500).end();
+  }
+});
+
+// POST /api/schedules
+// This route creates a new schedule that sets the value of a switch or a light.
+app.post('/api/schedules',
+isLoggedIn,
+tokenScope(allDevices),
+scheduleChecks,
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const device = await deviceControl.getDevice(req.user.id, req.body.type, req.body.device);
+    if (device.error)
+      return res.status(404).json(device);
+
+    const result = await scheduleDao.createSchedule(buildSchedule(req.body, req.user.id));
+    await scheduler.refresh();
+    res.status(201).json(result);
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the creation of new schedule: ${err}` });
+  }
+});
+
+// PUT /api/schedules/<id>
+// This route replaces an existing schedule (e.g., to change its rule or to enable/disable it).
+app.put('/api/schedules/:id',
+isLoggedIn,
+tokenScope(allDevices),
+[ check('id').isInt(), ...scheduleChecks ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const s = await scheduleDao.getSchedule(req.user.id, req.params.id);
+    if (s.error)
+      return res.status(404).json(s);
+
+    const device = await deviceControl.getDevice(req.user.id, req.body.type, req.body.device);
+    if (device.error)
+      return res.status(404).json(device);
+
+    const result = await scheduleDao.updateSchedule(req.user.id, s.id, buildSchedule(req.body, req.user.id));
+    await scheduler.refresh();
+    res.json(result);
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the update of schedule ${req.params.id}` });
+  }
+});
+
+// DELETE /api/schedules/<id>
+// Given a schedule id, this route deletes the associated schedule.
+app.delete('/api/schedules/:id',
+isLoggedIn,
+tokenScope(allDevices),
+[ check('id').isInt() ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const schedule = await scheduleDao.getSchedule(req.user.id, req.params.id);
+    if (schedule.error)
+      return res.status(404).json(schedule);
+
+    await scheduleDao.deleteSchedule(req.user.id, schedule.id);
+    await scheduler.refresh();
+    res.status(200).json({});
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the deletion of schedule ${req.params.id}: ${err} ` });
+  }
+});
+
+
+/*** Automation rules APIs ***/
+
+// Validation chains shared by the routes that create or update a rule
+const ruleChecks = [
+  check('name').optional({ nullable: true }).isString().trim().isLength({ max: 64 }),
+  check('trigger.sensor').isInt().toInt(),
+  check('condition.operator').isIn(rulesEngine.OPERATORS),
+  check('condition.threshold').isFloat().toFloat(),
+  check('condition.for').optional().isInt({ min: 0 }).toInt(),               // seconds the condition must hold before firing
+  check('condition.hysteresis').optional().isFloat({ min: 0 }).toFloat(),    // degrees needed to re-arm the rule
+  check('action.type').isIn(deviceControl.TYPES),
+  check('action.device').isInt().toInt(),
+  check('action.value').custom(isDeviceValue((req) => req.body.action && req.body.action.type)),
+  check('enabled').optional().isBoolean(),
+];
+
+// This function checks that the sensor and the device referenced by a rule exist, it returns { error: <string> } otherwise.
+const checkRuleReferences = async (user, r) => {
+  const sensor = await sensorDao.getSensor(user, r.trigger.sensor);
+  if (sensor.error)
+    return sensor;
+  return deviceControl.getDevice(user, r.action.type, r.action.device);
+};
+
+// This function builds the rule to be stored from the body of a (validated) request.
+const buildRule = (b, user) => ({
+  name: b.name,
+  trigger: { sensor: b.trigger.sensor },
+  condition: { operator: b.condition.operator, threshold: b.condition.threshold, for: b.condition.for || 0, hysteresis: b.condition.hysteresis || 0 },
+  action: { type: b.action.type, device: b.action.device, value: b.action.value },
+  enabled: b.enabled === undefined ? true : b.enabled,
+  user: user,
+});
+
+// GET /api/rules
+// This route returns the list of the automation rules of the user.
+app.get('/api/rules',
+isLoggedIn,                 // check: is the user logged-in?
+tokenScope(allDevices),
+async (req, res) => {
+  try {
+    const rules = await ruleDao.listRules(req.user.id);
+    res.json(rules);
+  } catch (err) {
+    res.status(500).end();
+  }
+});
+
+// GET /api/rules/<id>
+// Given a rule id, this route returns the associated rule, together with its evaluation state.
+app.get('/api/rules/:id',
+isLoggedIn,                 // check: is the user logged-in?
+tokenScope(allDevices),
+[ check('id').isInt() ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const result = await ruleDao.getRule(req.user.id, req.params.id);
+    if (result.error)
+      res.status(404).json(result);
+    else
+      res.json(result);
+  } catch (err) {
+    res.status(500).end();
+  }
+});
+
+// POST /api/rules/dry-run
+// This route tells which rules would fire for a hypothetical reading { sensor, value, date (optional) }, without applying them.
+app.post('/api/rules/dry-run',
+isLoggedIn,
+tokenScope(allDevices),
+[
+  check('sensor').isInt().toInt(),
+  check('value').isFloat().toFloat(),
+  check('date').optional().isISO8601(),
+],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const sensor = await sensorDao.getSensor(req.user.id, req.body.sensor);
+    if (sensor.error)
+      return res.status(404).json(sensor);
+
+    const reading = { date: dayjs.utc(req.body.date).format(), value: req.body.value };
+    const result = await rulesEngine.dryRun(req.user.id, sensor.id, reading);
+    res.json(result);
+  } catch (err) {
+    res.status(500).end();
+  }
+});
+
+// POST /api/rules
+// This route creates a new automation rule.
+app.post('/api/rules',
+isLoggedIn,
+tokenScope(allDevices),
+ruleChecks,
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const references = await checkRuleReferences(req.user.id, req.body);
+    if (references.error)
+      return res.status(404).json(references);
+
+    const result = await ruleDao.createRule(buildRule(req.body, req.user.id));
+    res.status(201).json(result);
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the creation of new rule: ${err}` });
+  }
+});
+
+// PUT /api/rules/<id>
+// This route replaces an existing rule (e.g., to enable/disable it), resetting its evaluation state.
+app.put('/api/rules/:id',
+isLoggedIn,
+tokenScope(allDevices),
+[ check('id').isInt(), ...ruleChecks ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const r = await ruleDao.getRule(req.user.id, req.params.id);
+    if (r.error)
+      return res.status(404).json(r);
+
+    const references = await checkRuleReferences(req.user.id, req.body);
+    if (references.error)
+      return res.status(404).json(references);
+
+    const result = await ruleDao.updateRule(req.user.id, r.id, buildRule(req.body, req.user.id));
+    res.json(result);
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the update of rule ${req.params.id}` });
+  }
+});
+
+// DELETE /api/rules/<id>
+// Given a rule id, this route deletes the associated rule.
+app.delete('/api/rules/:id',
+isLoggedIn,
+tokenScope(allDevices),
+[ check('id').isInt() ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const rule = await ruleDao.getRule(req.user.id, req.params.id);
+    if (rule.error)
+      return res.status(404).json(rule);
+
+    await ruleDao.deleteRule(req.user.id, rule.id);
+    res.status(200).json({});
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the deletion of rule ${req.params.id}: ${err} ` });
+  }
+});
+
+
+/*** Temperature alerts APIs ***/
+// NOTE: the alert definitions are under /api/alerts/definitions, thus they are declared before the routes of the alerts (/api/alerts/<id>)
+
+// This function is used as custom validator to check the channels of an alert definition (see alert-channels)
+const isAlertChannel = (channel) => {
+  const error = alertChannels.check(channel);
+  if (error)
+    throw new Error(error);
+  return true;
+};
+
+// Validation chains shared by the routes that create or update an alert definition
+const alertDefinitionChecks = [
+  check('name').optional({ nullable: true }).isString().trim().isLength({ max: 64 }),
+  check('trigger.sensor').isInt().toInt(),
+  check('condition.operator').isIn(alertsEngine.OPERATORS),
+  check('condition.threshold').isFloat().toFloat(),
+  check('condition.threshold').if(body('condition.operator').equals('change')).isFloat({ gt: 0 }).withMessage('Must be positive for a change'),
+  check('condition.within').if(body('condition.operator').equals('change')).isInt({ min: 1, max: 86400 }).toInt(),  // seconds of the window of a change
+  check('cooldown').optional().isInt({ min: 0 }).toInt(),  // seconds after a resolution without new alerts
+  check('channels').isArray({ max: 10 }),
+  check('channels.*').custom(isAlertChannel),
+  check('enabled').optional().isBoolean(),
+];
+
+// This function builds the alert definition to be stored from the body of a (validated) request.
+const buildAlertDefinition = (b, user) => ({
+  name: b.name,
+  trigger: { sensor: b.trigger.sensor },
+  condition: { operator: b.condition.operator, threshold: b.condition.threshold, within: b.condition.operator === 'change' ? b.condition.within : 0 },
+  cooldown: b.cooldown || 0,
+  channels: b.channels,
+  enabled: b.enabled === undefined ? true : b.enabled,
+  user: user,
+});
+
+// GET /api/alerts/definitions
+// This route returns the list of the alert definitions of the user.
+app.get('/api/alerts/definitions',
+isLoggedIn,                 // check: is the user logged-in?
+tokenScope(allDevices),
+async (req, res) => {
+  try {
+    const definitions = await alertDao.listDefinitions(req.user.id);
+    res.json(definitions);
+  } catch (err) {
+    res.status(500).end();
+  }
+});
+
+// GET /api/alerts/definitions/<id>
+// Given an alert definition id, this route returns the associated definition.
+app.get('/api/alerts/definitions/:id',
+isLoggedIn,                 // check: is the user logged-in?
+tokenScope(allDevices),
+[ check('id').isInt() ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const result = await alertDao.getDefinition(req.user.id, req.params.id);
+    if (result.error)
+      res.status(404).json(result);
+    else
+      res.json(result);
+  } catch (err) {
+    res.status(500).end();
+  }
+});
+
+// POST /api/alerts/definitions
+// This route creates a new alert definition, e.g., { trigger: { sensor: 1 }, condition: { operator: "above", threshold: 30 },
+// cooldown: 600, channels: [{ type: "webhook", url: "http://localhost:8080/alerts" }, { type: "log" }] }.
+app.post('/api/alerts/definitions',
+isLoggedIn,
+tokenScope(allDevices),
+alertDefinitionChecks,
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const sensor = await sensorDao.getSensor(req.user.id, req.body.trigger.sensor);
+    if (sensor.error)
+      return res.status(404).json(sensor);
+
+    const result = await alertDao.createDefinition(buildAlertDefinition(req.body, req.user.id));
+    res.status(201).json(result);
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the creation of new alert definition: ${err}` });
+  }
+});
+
+// PUT /api/alerts/definitions/<id>
+// This route replaces an existing alert definition (e.g., to enable/disable it), its alerts are kept.
+app.put('/api/alerts/definitions/:id',
+isLoggedIn,
+tokenScope(allDevices),
+[ check('id').isInt(), ...alertDefinitionChecks ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const definition = await alertDao.getDefinition(req.user.id, req.params.id);
+    if (definition.error)
+      return res.status(404).json(definition);
+    const sensor = await sensorDao.getSensor(req.user.id, req.body.trigger.sensor);
+    if (sensor.error)
+      return res.status(404).json(sensor);
+
+    const result = await alertDao.updateDefinition(req.user.id, definition.id, buildAlertDefinition(req.body, req.user.id));
+    res.json(result);
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the update of alert definition ${req.params.id}` });
+  }
+});
+
+// DELETE /api/alerts/definitions/<id>
+// Given an alert definition id, this route deletes the associated definition, together with its alerts.
+app.delete('/api/alerts/definitions/:id',
+isLoggedIn,
+tokenScope(allDevices),
+[ check('id').isInt() ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const definition = await alertDao.getDefinition(req.user.id, req.params.id);
+    if (definition.error)
+      return res.status(404).json(definition);
+
+    await alertDao.deleteDefinition(req.user.id, definition.id);
+    res.status(200).json({});
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the deletion of alert definition ${req.params.id}: ${err} ` });
+  }
+});
+
+// POST /api/alerts/definitions/<id>/test
+// This route sends a test notification through the channels of an alert definition (e.g., to check a webhook),
+// and it returns the result of each channel: [{ channel, delivered, error }].
+app.post('/api/alerts/definitions/:id/test',
+isLoggedIn,
+tokenScope(allDevices),
+[ check('id').isInt() ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const definition = await alertDao.getDefinition(req.user.id, req.params.id);
+    if (definition.error)
+      return res.status(404).json(definition);
+    const sensor = await sensorDao.getSensor(req.user.id, definition.trigger.sensor);
+    if (sensor.error)
+      return res.status(404).json(sensor);
+
+    const alert = { id: null, definition: definition.id, sensor: sensor.id, state: 'open', value: null, user: req.user.id,
+      message: `Test of alert definition ${definition.id}`, opened: dayjs.utc().format() };
+    const result = await alertsEngine.notify('test', alert, definition, sensor);
+    res.json(result);
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the test of alert definition ${req.params.id}: ${err}` });
+  }
+});
+
+// GET /api/alerts
+// This route returns the alerts of the user, most recent first.
+// Optional query parameters: state (open|acknowledged|resolved), sensor, definition.
+app.get('/api/alerts',
+isLoggedIn,                 // check: is the user logged-in?
+tokenScope(allDevices),
+[
+  query('state').optional().isIn(alertDao.STATES),
+  query('sensor').optional().isInt().toInt(),
+  query('definition').optional().isInt().toInt(),
+],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const alerts = await alertDao.listAlerts(req.user.id, { state: req.query.state, sensor: req.query.sensor, definition: req.query.definition });
+    res.json(alerts);
+  } catch (err) {
+    res.status(500).end();
+  }
+});
+
+// GET /api/alerts/<id>
+// Given an alert id, this route returns the associated alert.
+app.get('/api/alerts/:id',
+isLoggedIn,                 // check: is the user logged-in?
+tokenScope(allDevices),
+[ check('id').isInt() ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const result = await alertDao.getAlert(req.user.id, req.params.id);
+    if (result.error)
+      res.status(404).json(result);
+    else
+      res.json(result);
+  } catch (err) {
+    res.status(500).end();
+  }
+});
+
+// POST /api/alerts/<id>/acknowledge
+// Given an alert id, this route acknowledges the alert, which must be open (409 otherwise): it is still resolved by the readings.
+app.post('/api/alerts/:id/acknowledge',
+isLoggedIn,
+tokenScope(allDevices),
+[ check('id').isInt() ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const alert = await alertDao.getAlert(req.user.id, req.params.id);
+    if (alert.error)
+      return res.status(404).json(alert);
+    if (alert.state !== 'open')
+      return res.status(409).json({ error: `Alert ${alert.id} is ${alert.state}` });
+
+    const result = await alertDao.acknowledgeAlert(req.user.id, alert.id, req.user.id, dayjs.utc().format());
+    res.json(result);
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the acknowledgement of alert ${req.params.id}: ${err}` });
+  }
+});
+
+// POST /api/alerts/<id>/resolve
+// Given an alert id, this route resolves the alert (409 if it is already resolved), and it notifies the resolution.
+app.post('/api/alerts/:id/resolve',
+isLoggedIn,
+tokenScope(allDevices),
+[ check('id').isInt() ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const alert = await alertDao.getAlert(req.user.id, req.params.id);
+    if (alert.error)
+      return res.status(404).json(alert);
+    if (alert.state === 'resolved')
+      return res.status(409).json({ error: `Alert ${alert.id} is resolved` });
+
+    const result = await alertDao.resolveAlert(req.user.id, alert.id, dayjs.utc().format());
+    const definition = await alertDao.getDefinition(req.user.id, alert.definition);
+    const sensor = await sensorDao.getSensor(req.user.id, alert.sensor);
+    if (!definition.error && !sensor.error)
+      alertsEngine.notify('resolved', result, definition, sensor);
+    res.json(result);
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the resolution of alert ${req.params.id}: ${err}` });
+  }
+});
+
+
+/*** Scenes APIs ***/
+
+// This function is used as custom validator to check a target state of a scene, i.e., { type, device } and a command for the device
+const isSceneState = (s) => {
+  if (s === null || typeof s !== 'object' || !deviceControl.TYPES.includes(s.type))
+    return true;  // reported by the type check
+  const t = deviceTypes.get(s.type);
+  const errors = deviceTypes.schemaErrors(t.commands, s, null);
+  if (Object.keys(deviceTypes.commandOf(s.type, s)).length === 0)
+    errors.push(`At least one of ${Object.keys(t.commands).join(', ')} is required for the ${t.path}`);
+  if (errors.length > 0)
+    throw new Error(errors.join(', '));
+  return true;
+};
+
+// Validation chains shared by the routes that create or update a scene
+const sceneChecks = [
+  check('name').isString().trim().isLength({ min: 1, max: 64 }),
+  check('states').isArray({ min: 1, max: 100 }).bail()
+    .custom((states) => new Set(states.map((s) => s && `${s.type}:${s.device}`)).size === states.length)
+    .withMessage('Each device can appear only once'),
+  check('states.*.type').isIn(deviceControl.TYPES),
+  check('states.*.device').isInt().toInt(),
+  check('states.*').custom(isSceneState),
+];
+
+// This function builds the scene to be stored from the body of a (validated) request.
+const buildScene = (b, user) => ({
+  name: b.name,
+  states: b.states.map((s) => {
+    return Object.assign({ type: s.type, device: s.device }, deviceTypes.commandOf(s.type, s));
+  }),
+  user: user,
+});
+
+// GET /api/scenes
+// This route returns the list of the scenes of the user.
+app.get('/api/scenes',
+isLoggedIn,                 // check: is the user logged-in?
+tokenScope(allDevices),
+async (req, res) => {
+  try {
+    const scenes = await sceneDao.listScenes(req.user.id);
+    res.json(scenes);
+  } catch (err) {
+    res.status(500).end();
+  }
+});
+
+// GET /api/scenes/<id>
+// Given a scene id, this route returns the associated scene.
+app.get('/api/scenes/:id',
+isLoggedIn,                 // check: is the user logged-in?
+tokenScope(allDevices),
+[ check('id').isInt() ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const result = await sceneDao.getScene(req.user.id, req.params.id);
+    if (result.error)
+      res.status(404).json(result);
+    else
+      res.json(result);
+  } catch (err) {
+    res.status(500).end();
+  }
+});
+
+// POST /api/scenes
+// This route creates a new scene, i.e., a named list of target states of devices, each one with a command for the device
+// (e.g., { type: "switch", device: 1, value: true } and { type: "light", device: 2, on: true, brightness: 80, colorTemp: 370 }).
+app.post('/api/scenes',
+isLoggedIn,
+tokenScope(allDevices),
+sceneChecks,
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const scene = buildScene(req.body, req.user.id);
+    const checked = await deviceControl.checkStates(req.user.id, scene.states);
+    if (checked.error)
+      return res.status(checked.invalid ? 422 : 404).json({ error: checked.error });
+
+    const result = await sceneDao.createScene(scene);
+    res.status(201).json(result);
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the creation of new scene: ${err}` });
+  }
+});
+
+// POST /api/scenes/capture
+// This route creates a new scene from the current state of some devices ({ name, devices }, e.g., devices: ["switch:1", "light:2"]),
+// or of all the devices of the user (but the binary sensors) if devices is not given.
+app.post('/api/scenes/capture',
+isLoggedIn,
+tokenScope(allDevices),
+[
+  check('name').isString().trim().isLength({ min: 1, max: 64 }),
+  check('devices').optional().isArray({ min: 1, max: 100 }),
+  check('devices.*').matches(new RegExp(`^(${deviceControl.TYPES.join('|')}):\\d+$`)),
+],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const states = await deviceControl.captureStates(req.user.id, req.body.devices && [...new Set(req.body.devices)]);
+    if (states.error)
+      return res.status(404).json(states);
+    if (states.length === 0)
+      return res.status(422).json({ error: 'No devices to capture' });
+
+    const result = await sceneDao.createScene({ name: req.body.name, states: states, user: req.user.id });
+    res.status(201).json(result);
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the capture of new scene: ${err}` });
+  }
+});
+
+// PUT /api/scenes/<id>
+// This route replaces an existing scene.
+app.put('/api/scenes/:id',
+isLoggedIn,
+tokenScope(allDevices),
+[ check('id').isInt(), ...sceneChecks ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const s = await sceneDao.getScene(req.user.id, req.params.id);
+    if (s.error)
+      return res.status(404).json(s);
+
+    const scene = buildScene(req.body, req.user.id);
+    const checked = await deviceControl.checkStates(req.user.id, scene.states);
+    if (checked.error)
+      return res.status(checked.invalid ? 422 : 404).json({ error: checked.error });
+
+    const result = await sceneDao.updateScene(req.user.id, s.id, scene);
+    res.json(result);
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the update of scene ${req.params.id}` });
+  }
+});
+
+// POST /api/scenes/<id>/activate
+// This route applies all the target states of a scene in a single transaction: if a state cannot be applied
+// (e.g., a device has been deleted meanwhile), no device is changed. It returns the updated devices.
+app.post('/api/scenes/:id/activate',
+isLoggedIn,
+tokenScope(allDevices),
+[ check('id').isInt() ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const scene = await sceneDao.getScene(req.user.id, req.params.id);
+    if (scene.error)
+      return res.status(404).json(scene);
+
+    const result = await deviceControl.applyStates(req.user.id, scene.states, { actor: req.user.id, source: 'scene' });
+    if (result.error)
+      return res.status(result.invalid ? 422 : result.unavailable ? 504 : 404).json({ error: result.error });
+    res.json(result);
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the activation of scene ${req.params.id}: ${err}` });
+  }
+});
+
+// DELETE /api/scenes/<id>
+// Given a scene id, this route deletes the associated scene.
+app.delete('/api/scenes/:id',
+isLoggedIn,
+tokenScope(allDevices),
+[ check('id').isInt() ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const scene = await sceneDao.getScene(req.user.id, req.params.id);
+    if (scene.error)
+      return res.status(404).json(scene);
+
+    await sceneDao.deleteScene(req.user.id, scene.id);
+    res.status(200).json({});
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the deletion of scene ${req.params.id}: ${err} ` });
+  }
+});
+
+
+/*** Device groups APIs ***/
+
+// Services that can be called on a group, as in Home Assistant
+const GROUP_SERVICES = ['turn_on', 'turn_off', 'toggle'];
+
+// Validation chains shared by the routes that create or update a group
+const groupChecks = [
+  check('name').isString().trim().isLength({ min: 1, max: 64 }),
+  check('type').isIn(deviceControl.TYPES),
+  check('devices').isArray({ min: 1, max: 100 }).bail()
+    .custom((devices) => new Set(devices.map(Number)).size === devices.length)
+    .withMessage('Each device can appear only once'),
+  check('devices.*').isInt().toInt(),
+];
+
+// This function builds the group to be stored from the body of a (validated) request.
+const buildGroup = (b, user) => ({
+  name: b.name,
+  type: b.type,
+  devices: b.devices,
+  user: user,
+});
+
+// This function adds to a group its state: it is on if at least one of its devices is on.
+const withGroupState = async (user, group) => {
+  let on = false;
+  for (const id of group.devices) {
+    const device = await deviceControl.getDevice(user, group.type, id);
+    on = on || (!device.error && device.value > 0);
+  }
+  return Object.assign(group, { on: on });
+};
+
+// GET /api/groups
+// This route returns the list of the device groups of the user, together with their state.
+app.get('/api/groups',
+isLoggedIn,                 // check: is the user logged-in?
+tokenScope(allDevices),
+async (req, res) => {
+  try {
+    const groups = [];
+    for (const group of await groupDao.listGroups(req.user.id))
+      groups.push(await withGroupState(req.user.id, group));
+    res.json(groups);
+  } catch (err) {
+    res.status(500).end();
+  }
+});
+
+// GET /api/groups/<id>
+// Given a group id, this route returns the associated group, together with its state.
+app.get('/api/groups/:id',
+isLoggedIn,                 // check: is the user logged-in?
+tokenScope(allDevices),
+[ check('id').isInt() ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const result = await groupDao.getGroup(req.user.id, req.params.id);
+    if (result.error)
+      res.status(404).json(result);
+    else
+      res.json(await withGroupState(req.user.id, result));
+  } catch (err) {
+    res.status(500).end();
+  }
+});
+
+// POST /api/groups
+// This route creates a new group of devices of the same type ({ name, type, devices }, e.g., type: "switch", devices: [1, 2]).
+app.post('/api/groups',
+isLoggedIn,
+tokenScope(allDevices),
+groupChecks,
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const group = buildGroup(req.body, req.user.id);
+    const checked = await deviceControl.checkStates(req.user.id, group.devices.map((id) => ({ type: group.type, device: id })));
+    if (checked.error)
+      return res.status(404).json(checked);
+
+    const result = await groupDao.createGroup(group);
+    res.status(201).json(await withGroupState(req.user.id, result));
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the creation of new group: ${err}` });
+  }
+});
+
+// PUT /api/groups/<id>
+// This route replaces an existing group.
+app.put('/api/groups/:id',
+isLoggedIn,
+tokenScope(allDevices),
+[ check('id').isInt(), ...groupChecks ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const g = await groupDao.getGroup(req.user.id, req.params.id);
+    if (g.error)
+      return res.status(404).json(g);
+
+    const group = buildGroup(req.body, req.user.id);
+    const checked = await deviceControl.checkStates(req.user.id, group.devices.map((id) => ({ type: group.type, device: id })));
+    if (checked.error)
+      return res.status(404).json(checked);
+
+    const result = await groupDao.updateGroup(req.user.id, g.id, group);
+    res.json(await withGroupState(req.user.id, result));
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the update of group ${req.params.id}` });
+  }
+});
+
+// POST /api/groups/<id>/<service>
+// This route turns on, turns off or toggles (i.e., turns off if at least one device is on) all the devices of a group
+// in a single transaction (the covers are opened or closed). For the lights, the body may contain the command to turn them on with
+// (e.g., { brightness, colorTemp }) and the transition. It returns the updated devices.
+app.post('/api/groups/:id/:service',
+isLoggedIn,
+tokenScope(allDevices),
+[
+  check('id').isInt(),
+  param('service').isIn(GROUP_SERVICES),
+],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const g = await groupDao.getGroup(req.user.id, req.params.id);
+    if (g.error)
+      return res.status(404).json(g);
+
+    const t = deviceTypes.get(g.type);
+    const invalid = g.type === 'light' ? deviceTypes.schemaErrors(t.commands, req.body) : [];
+    if (invalid.length > 0)
+      return res.status(422).json({ error: invalid.join(", ") });
+
+    const group = await withGroupState(req.user.id, g);
+    const on = req.params.service === 'turn_on' || (req.params.service === 'toggle' && !group.on);
+    const states = group.devices.map((id) => {
+      const state = { type: group.type, device: id };
+      if (group.type === 'light')
+        for (const [p, v] of Object.entries(deviceTypes.commandOf('light', req.body)).filter(([p]) => p !== 'value' && (on || p === 'transition')))
+          state[p] = v;
+      return Object.assign(state, t.turn(on));
+    });
+
+    const result = await deviceControl.applyStates(req.user.id, states, { actor: req.user.id, source: 'group' });
+    if (result.error)
+      return res.status(result.invalid ? 422 : result.unavailable ? 504 : 404).json({ error: result.error });
+    res.json(result);
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the update of group ${req.params.id}: ${err}` });
+  }
+});
+
+// DELETE /api/groups/<id>
+// Given a group id, this route deletes the associated group (not its devices).
+app.delete('/api/groups/:id',
+isLoggedIn,
+tokenScope(allDevices),
+[ check('id').isInt() ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const group = await groupDao.getGroup(req.user.id, req.params.id);
+    if (group.error)
+      return res.status(404).json(group);
+
+    await groupDao.deleteGroup(req.user.id, group.id);
+    res.status(200).json({});
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the deletion of group ${req.params.id}: ${err} ` });
+  }
+});
+
+
+/*** Export APIs ***/
+// NOTE: the exported temperatures can be imported again with POST /api/temperatures/batch
+
+// Validation chains shared by the export routes
+const exportChecks = [
+  query('format').optional().isIn(['csv', 'json']),
+  query(['from', 'to']).optional().isISO8601(),
+];
+
+// GET /api/export/temperatures
+// This route exports the temperatures of the user (of all the sensors, or of the one in the "sensor" query parameter), oldest first.
+// Optional query parameters: format (csv or json, default json), sensor, from, to (ISO 8601).
+app.get('/api/export/temperatures',
+isLoggedIn,
+tokenScope(allDevices),
+[ ...exportChecks, query('sensor').optional().isInt().toInt() ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const filter = { sensor: req.query.sensor, from: req.query.from, to: req.query.to };
+    const temperatures = await temperatureDao.listTemperatures(req.user.id, filter);
+    const rows = temperatures.map((t) => ({ id: t.id, sensor: t.sensor, date: dayjs.utc(t.date).format(), value: t.value, key: t.key }));
+    sendExport(res, req.query.format || 'json', 'temperatures', ['sensor', 'date', 'value', 'key'], rows);
+  } catch (err) {
+    res.status(500).end();
+  }
+});
+
+// GET /api/export/devices
+// This route exports the current state of the devices of the user.
+// Optional query parameters: format (csv or json, default json).
+app.get('/api/export/devices',
+isLoggedIn,
+tokenScope(allDevices),
+exportChecks,
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const rows = [];
+    for (const t of deviceTypes.list())
+      for (const d of await deviceDao.listDevices(t.name, req.user.id))
+        rows.push(Object.assign({ type: t.name }, d, { on: d.value > 0, date: dayjs.utc(d.date).format() }));
+    sendExport(res, req.query.format || 'json', 'devices', ['type', 'id', 'value', 'on', 'date'], rows);
+  } catch (err) {
+    res.status(500).end();
+  }
+});
+
+// GET /api/export/history
+// This route exports the state history of the devices of the user, oldest changes first.
+// Optional query parameters: format (csv or json, default json), type (of device, e.g., switch), from, to (ISO 8601).
+app.get('/api/export/history',
+isLoggedIn,
+tokenScope(allDevices),
+[ ...exportChecks, query('type').optional().isIn(deviceTypes.NAMES) ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const history = await historyDao.listUserHistory(req.user.id, req.query);
+    sendExport(res, req.query.format || 'json', 'history', ['id', 'type', 'device', 'previous', 'value', 'date', 'actor', 'source'], history);
+  } catch (err) {
+    res.status(500).end();
+  }
+});
+
+
+/*** Administration APIs ***/
+
+// GET /api/admin/backup
+// This route returns a consistent snapshot of the whole database (a SQLite file), taken while the server is running.
+app.get('/api/admin/backup',
+isLoggedInWithSession,
+isAdmin,
+async (req, res) => {
+  let file;
+  try {
+    file = await dbBackup.backup();
+  } catch (err) {
+    return res.status(503).json({ error: `Database error during the backup: ${err}` });
+  }
+
+  res.download(file, `hass-backup-${dayjs.utc().format('YYYYMMDDTHHmmss')}.db`, () => {
+    fs.unlink(file, () => {});  // the snapshot is not needed anymore (also if the download failed)
+  });
+});
+
+// POST /api/admin/restore
+// This route replaces all the data with the one of a backup (the SQLite file is the body, as application/octet-stream).
+// The backup must have the same schema of the database, otherwise nothing is changed.
+app.post('/api/admin/restore',
+isLoggedInWithSession,
+isAdmin,
+async (req, res) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0)
+    return res.status(415).json({ error: 'The backup must be uploaded as application/octet-stream' });
+
+  const file = dbBackup.tempFile();
+  try {
+    await fs.promises.writeFile(file, req.body);
+    const checked = await dbBackup.checkBackup(file);
+    if (checked.error)
+      return res.status(422).json(checked);
+
+    await dbBackup.restore(file);
+    await scheduler.refresh();  // the schedules have been replaced as well
+    res.status(200).json({});
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the restore: ${err}` });
+  } finally {
+    fs.unlink(file, () => {});
+  }
+});
+
+
+// GET /api/admin/retention
+// This route returns the retention policy of the temperatures (days each resolution is kept, null means forever) and the current cutoffs.
+app.get('/api/admin/retention',
+isLoggedInWithSession,
+isAdmin,
+(req, res) => {
+  const policy = retention.policy();
+  const cutoffs = {};
+  for (const resolution of retention.RESOLUTIONS)
+    cutoffs[resolution] = retention.cutoff(resolution);
+  res.json({ policy, cutoffs });
+});
+
+// POST /api/admin/retention/run
+// This route runs the retention job now (i.e., it updates the summaries and prunes the expired data), returning what was pruned.
+app.post('/api/admin/retention/run',
+isLoggedInWithSession,
+isAdmin,
+async (req, res) => {
+  try {
+    const pruned = await retention.run();
+    res.json({ pruned });
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the retention job: ${err}` });
+  }
+});
+
+
+/*** Simulator APIs ***/
+// NOTE: each user can run a simulation of virtual devices (see simulator), only if the simulator is enabled in the configuration
+
+// This middleware refuses the simulator routes when the simulator is not enabled (e.g., in production)
+const isSimulatorEnabled = (req, res, next) => {
+  if (settings.simulator.enabled) {
+    return next();
+  }
+  return res.status(404).json({ error: 'The simulator is not enabled (see simulator.enabled in the configuration)' });
+}
+
+// Validation chains of the options of a simulation that can be changed while it is running (see simulator.MUTABLE)
+const simulatorChecks = [
+  check('interval').optional().isInt({ min: 1, max: 86400 }).toInt(),  // seconds of simulated time between two ticks
+  check('speed').optional().isInt({ min: 1, max: 3600 }).toInt(),
+  check('sensors.mean').optional().isFloat({ min: -50, max: 100 }).toFloat(),
+  check('sensors.amplitude').optional().isFloat({ min: 0, max: 50 }).toFloat(),
+  check('sensors.peakHour').optional().isFloat({ min: 0, max: 24 }).toFloat(),
+  check('sensors.noise').optional().isFloat({ min: 0, max: 10 }).toFloat(),
+  check(['switches.changeRate', 'lights.changeRate']).optional().isFloat({ min: 0, max: 1 }).toFloat(),  // probability at each tick
+  check(['switches.latency', 'lights.latency']).optional().isInt({ min: 0, max: 30000 }).toInt(),  // milliseconds
+  check(['switches.failureRate', 'lights.failureRate']).optional().isFloat({ min: 0, max: 1 }).toFloat(),
+];
+
+// GET /api/simulator
+// This route returns the status of the simulation of the user: seed, start, clock, ticks, options, devices and stats.
+app.get('/api/simulator',
+isLoggedIn,
+tokenScope(allDevices),
+isSimulatorEnabled,
+(req, res) => {
+  const result = simulator.status(req.user.id);
+  if (result.error)
+    return res.status(404).json(result);
+  res.json(result);
+});
+
+// POST /api/simulator
+// This route starts a simulation, creating its sensors, switches and lights (count of each kind). The body contains the options
+// (all optional, see simulator.DEFAULTS), the seed to reproduce a run and the start of the simulated clock (in the past, default now).
+// It returns the status of the simulation, with the seed and the ids of the new devices.
+app.post('/api/simulator',
+isLoggedIn,
+tokenScope(allDevices),
+isSimulatorEnabled,
+[
+  ...simulatorChecks,
+  check('seed').optional().isInt({ min: 0, max: 2 ** 32 - 1 }).toInt(),
+  check('start').optional().isISO8601({ strict: true }).not().isAfter().withMessage('Must not be in the future'),
+  check(['sensors.count', 'switches.count', 'lights.count']).optional().isInt({ min: 0, max: 20 }).toInt(),
+],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const result = await simulator.start(req.user.id, req.body);
+    if (result.error)
+      return res.status(409).json(result);
+    res.status(201).json(result);
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the creation of the simulated devices: ${err}` });
+  }
+});
+
+// PUT /api/simulator
+// This route changes the options of the running simulation, from the next tick (e.g., the failure rate of the switches).
+// The seed, the start and the counts of the devices cannot be changed, the simulation must be started again.
+app.put('/api/simulator',
+isLoggedIn,
+tokenScope(allDevices),
+isSimulatorEnabled,
+[
+  ...simulatorChecks,
+  check(['seed', 'start', 'sensors.count', 'switches.count', 'lights.count']).not().exists()
+    .withMessage('Cannot be changed while the simulation is running'),
+],
+(req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  const result = simulator.update(req.user.id, req.body);
+  if (result.error)
+    return res.status(404).json(result);
+  res.json(result);
+});
+
+// DELETE /api/simulator
+// This route stops the simulation, returning its final status. With remove=true, its devices are deleted too
+// (except the ones used by a scene or by a group, listed in kept), otherwise they are left as ordinary devices.
+app.delete('/api/simulator',
+isLoggedIn,
+tokenScope(allDevices),
+isSimulatorEnabled,
+[ query('remove').optional().isBoolean().toBoolean() ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+
+  try {
+    const result = await simulator.stop(req.user.id, req.query.remove === true);
+    if (result.error)
+      return res.status(404).json(result);
+    res.json(result);
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the removal of the simulated devices: ${err}` });
+  }
+});
+
+
+/*** Metrics APIs ***/
+
+// GET /metrics
+// This route returns the metrics of the server in the Prometheus text format (see metrics): state of the devices,
+// last temperatures, stale sensors, HTTP requests, DAO queries and health of the process.
+// Prometheus authenticates with the API token of an administrator (e.g., a read-only one, as bearer_token of the scrape).
+app.get('/metrics',
+isLoggedIn,
+tokenScope(allDevices),
+isAdmin,
+async (req, res) => {
+  try {
+    const text = await metrics.render();
+    res.set('Content-Type', metrics.CONTENT_TYPE).send(text);
+  } catch (err) {
+    res.status(503).json({ error: `Database error during the collection of the metrics: ${err}` });
+  }
+});
+
+
+/*** Home Assistant compatible APIs ***/
+// NOTE: these routes follow the Home Assistant REST API, so its RESTful platforms can use this backend directly.
+// For the same reason, errors are returned as { message: <string> } instead of { error: <string> }.
+
+// GET /api/
+// This route tells that the API is running (used by Home Assistant to check the connection).
+app.get('/api/', (req, res) => {
+  res.json({ message: 'API running.' });
+});
+
+// GET /api/states
+// This route returns the states of all the entities (devices and temperature sensors) of the user.
+app.get('/api/states',
+isLoggedIn,                 // check: is the user logged-in?
+tokenScope(allDevices),
+async (req, res) => {
+  try {
+    const entities = await haEntities.listEntities(req.user.id);
+    res.json(entities);
+  } catch (err) {
+    res.status(500).json({ message: 'Database error' });
+  }
+});
+
+// GET /api/states/<entity_id>
+// Given an entity id (e.g., "switch.backend_1"), this route returns the state of the entity.
+app.get('/api/states/:entityId',
+isLoggedIn,                 // check: is the user logged-in?
+tokenScope((req) => entityDevices([req.params.entityId])),
+async (req, res) => {
+  try {
+    const entity = await haEntities.getEntity(req.user.id, req.params.entityId);
+    if (entity === null)
+      res.status(404).json({ message: 'Entity not found.' });
+    else
+      res.json(entity);
+  } catch (err) {
+    res.status(500).json({ message: 'Database error' });
+  }
+});
+
+// POST /api/services/<domain>/<service>
+// This route calls a service (e.g., turn_on, turn_off or toggle, see haEntities.SERVICES) on the entities in the body ({ entity_id, ... }),
+// where entity_id is a single entity id or a list of them. For the lights, the body may also contain
+// brightness, color_temp, hs_color, rgb_color, effect and transition, and position (0-100) for the covers.
+// It returns the new states of the entities.
+app.post('/api/services/:domain/:service',
+isLoggedIn,
+tokenScope((req) => entityDevices([].concat(req.body.entity_id))),
+[
+  param('domain').isIn(Object.keys(haEntities.SERVICES)),
+  param('service').custom((service, { req }) => (haEntities.SERVICES[req.params.domain] || []).includes(service))
+    .withMessage('Service not supported'),
+  body('entity_id').custom((e) => [].concat(e).every((id) => typeof id === 'string') && [].concat(e).length > 0)
+    .withMessage('Must be an entity id or a list of entity ids'),
+  body('brightness').optional().isInt({ min: 0, max: 255 }).toInt(),
+  body('color_temp').optional().isInt({ min: 1 }).toInt(),
+  body('hs_color').optional().custom(deviceTypes.isHsColor)
+    .withMessage('Must be [hue, saturation], with hue 0-360 and saturation 0-100'),
+  body('rgb_color').optional().custom(deviceTypes.isRgbColor)
+    .withMessage('Must be [red, green, blue], each 0-255'),
+  body('effect').optional().isString(),
+  body('transition').optional().isFloat({ min: 0, max: 300 }).toFloat(),
+  body('position').optional().isInt({ min: 0, max: 100 }).toInt(),
+],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: errors.array().join(", ") });
+  }
+
+  try {
+    const entityIds = [].concat(req.body.entity_id);
+    const result = await haEntities.callService(req.user.id, req.params.domain, req.params.service, entityIds, req.body);
+    if (result.error)
+      res.status(result.invalid ? 400 : result.unavailable ? 504 : 404).json({ message: result.error });
+    else
+      res.json(result);
+  } catch (err) {
+    res.status(503).json({ message: `Database error during the call of ${req.params.domain}.${req.params.service}` });
+  }
+});
+
+
+/*** Device events APIs ***/
+
+// This function builds the current state of the devices of a user that match a subscription filter (see deviceEvents.parseFilter).
+const buildSnapshot = async (user, filter) => {
+  const wanted = (type) => filter.types === null || filter.types.includes(type);
+  const byId = (d) => filter.ids === null || filter.ids.includes(d.id);
+
+  const snapshot = {};
+  for (const t of deviceTypes.list().filter((t) => wanted(t.name)))
+    snapshot[t.table] = (await deviceDao.listDevices(t.name, user)).filter(byId);  // e.g., snapshot.switches
+  if (wanted('temperature')) {
+    snapshot.temperatures = [];
+    for (const sensor of (await sensorDao.listSensors(user)).filter(byId)) {
+      const t = await temperatureDao.getLastTemperature(user, sensor.id);
+      if (!t.error)
+        snapshot.temperatures.push(t);
+    }
+  }
+  return snapshot;
+};
+
+/**
+ * This function starts streaming the device events of a user to a subscriber, calling send(id, event, data) for each of them.
+ * If lastEventId can be resumed, the missed events are replayed, otherwise a "snapshot" event with the current state is sent first.
+ * It returns a function to stop the stream.
+ */
+const openEventStream = async (user, filter, lastEventId, send) => {
+  let sent = null;  // id of the last event sent to the subscriber, events are queued until it is known
+  const queue = [];
+
+  const deliver = (e) => {
+    if (e.id > sent && deviceEvents.matches(e, user, filter)) {
+      send(e.id, e.type, { type: e.type, device: e.device, state: e.data });
+      sent = e.id;
+    }
+  };
+  // NOTE: subscribing before preparing the snapshot, so no event is lost in the meanwhile
+  const unsubscribe = deviceEvents.subscribe((e) => sent === null ? queue.push(e) : deliver(e));
+
+  try {
+    const replay = lastEventId === undefined ? null : deviceEvents.since(lastEventId);
+    if (replay === null) {
+      const id = deviceEvents.lastId();
+      send(id, 'snapshot', await buildSnapshot(user, filter));
+      sent = id;
+    } else {
+      sent = lastEventId;
+      replay.forEach(deliver);
+    }
+    queue.forEach(deliver);
+  } catch (err) {
+    unsubscribe();
+    throw err;
+  }
+  return unsubscribe;
+};
+
+// GET /api/events
+// This route streams the state changes of the devices as Server-Sent Events.
+// Optional query parameters: type (comma-separated list of switch, light, temperature), id (comma-separated list of device ids).
+// The stream starts with a "snapshot" event, unless the Last-Event-ID header (or the lastEventId parameter) allows to resume it.
+app.get('/api/events',
+isLoggedIn,                 // check: is the user logged-in?
+tokenScope(allDevices),
+[ query('lastEventId').optional().isInt() ],
+async (req, res) => {
+  const errors = validationResult(req).formatWith(errorFormatter); // format error message
+  if (!errors.isEmpty()) {
+    return res.status(422).json({ error: errors.array().join(", ")  }); // error message is a single string with all error joined together
+  }
+  const filter = deviceEvents.parseFilter(req.query);
+  if (filter.error)
+    return res.status(422).json(filter);
+
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (lastEventId !== undefined && !Number.isInteger(Number(lastEventId)))
+    return res.status(422).json({ error: 'header[Last-Event-ID]: Invalid value' });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+  });
+  res.flushHeaders();
+
+  let close = null;
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 30000);  // keeping the connection open through proxies
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    if (close)
+      close();
+    close = () => {};  // the subscriber is already gone
+  });
+
+  try {
+    const unsubscribe = await openEventStream(req.user.id, filter, lastEventId === undefined ? undefined : Number(lastEventId),
+      (id, event, data) => res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+    if (close)
+      unsubscribe();
+    else
+      close = unsubscribe;
+  } catch (err) {
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
+
+
+// Activating the server, once the schema of the DB is up to date (a fresh DB is created from nothing, see migrate)
+const PORT = settings.port;
+const server = http.createServer(app);
+
+// This function starts the background services, which access the DB
+const startServices = () => {
+  // Starting the schedules, the runs missed while the server was down are handled according to their misfire policy
+  scheduler.start();
+
+  // Applying the retention policy of the temperatures (days of readings, hourly and daily summaries to keep, forever if not set)
+  retention.start(settings.retention);
+
+  // Starting the evaluation of the automation rules for each new temperature reading
+  rulesEngine.start();
+
+  // Starting the evaluation of the temperature alerts for each new temperature reading
+  alertsEngine.start();
+
+  // Deleting periodically the expired counters of the login failures and of the rate limits
+  rateLimits.start();
+
+  /**
+   * The MQTT bridge is optional, and it is started only if the URL of the broker is given (see config), e.g.:
+   * MQTT_URL=mqtt://localhost:1883 MQTT_USERNAME=... MQTT_PASSWORD=... MQTT_PREFIX=hass-backend MQTT_USER=1 node server.js
+   */
+  if (settings.mqtt.url) {
+    const m = settings.mqtt;
+    mqttBridge.start({
+      url: m.url,
+      username: m.username || undefined,
+      password: m.password || undefined,
+      prefix: m.prefix || undefined,
+      discoveryPrefix: m.discoveryPrefix || undefined,
+      user: m.user === null ? undefined : m.user,
+    });
+  }
+};
+
+migrate.migrate()
+  .then((applied) => {
+    for (const m of applied)
+      console.log(`Applied migration ${m.version} (${m.name})`);
+    server.listen(PORT, ()=>console.log(`Server running on http://localhost:${PORT}/`));
+    startServices();
+  })
+  .catch((err) => {
+    console.error(`Cannot migrate the database: ${err.message}`);
+    process.exit(1);
+  });
+
+// This function returns the IP address of a request outside of express (e.g., the upgrade of a WebSocket), as req.ip.
+const addressOf = (req) => {
+  const forwarded = req.headers['x-forwarded-for'];
+  return settings.trustProxy && forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+};
+
+/**
+ * This function authenticates the upgrade request of a WebSocket, with the session cookie or with an API token
+ * (given in the Authorization header or in the access_token query parameter, since browsers cannot set the headers).
+ * It returns { user, requester } (see requesterOf), { wait } if the invalid tokens of the address are locked out
+ * (see verifyApiToken), or false if the request is not authenticated.
+ * NOTE: the tokens limited to some devices are not accepted, as for GET /api/events.
+ */
+const authenticateUpgrade = async (req, query) => {
+  const header = req.headers.authorization;
+  const value = header && header.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : query.access_token;
+  if (value) {
+    const auth = await verifyApiToken(value, addressOf(req));
+    if (!auth || auth.wait)
+      return auth;
+    return auth.token.devices === null ? { user: auth.user, requester: `token:${auth.token.id}` } : false;
+  }
+
+  await new Promise((resolve) => sessionMiddleware(req, {}, resolve));
+  if (!req.session || !req.session.passport || !req.session.passport.user)
+    return false;
+  // as passport.deserializeUser, the user must be still in the database (i.e., the account has not been deleted)
+  const user = await userDao.getUserById(req.session.passport.user.id);
+  return user.error ? false : { user: user, requester: `user:${user.id}` };
+};
+
+/**
+ * WebSocket /api/events/ws
+ * Same stream of GET /api/events, where each message is a JSON object { id, event, data }.
+ * The filter and the id of the last received event are given as query parameters (type, id, lastEventId).
+ * The upgrade requests are limited as the other reads (see rate-limits).
+ */
+const wss = new WebSocketServer({ server: server, path: '/api/events/ws' });
+wss.on('connection', async (ws, req) => {
+  const query = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+  let user;
+  try {
+    const auth = await authenticateUpgrade(req, query);
+    if (!auth)
+      return ws.close(1008, 'Not authorized');
+    const wait = auth.wait || await rateLimits.hit('read', auth.requester);
+    if (wait > 0)
+      return ws.close(1013, `Too many requests, retry in ${wait}s`);
+    user = auth.user;
+  } catch (err) {
+    return ws.close(1011, 'Database error');
+  }
+
+  const filter = deviceEvents.parseFilter(query);
+  if (filter.error)
+    return ws.close(1008, filter.error);
+  if (query.lastEventId !== undefined && !Number.isInteger(Number(query.lastEventId)))
+    return ws.close(1008, 'query[lastEventId]: Invalid value');
+
+  let close = null;
+  ws.on('close', () => {
+    if (close)
+      close();
+    close = () => {};  // the subscriber is already gone
+  });
+
+  try {
+    const unsubscribe = await openEventStream(user.id, filter, query.lastEventId === undefined ? undefined : Number(query.lastEventId),
+      (id, event, data) => ws.send(JSON.stringify({ id: id, event: event, data: data })));
+    if (close)
+      unsubscribe();
+    else
+      close = unsubscribe;
+  } catch (err) {
+    ws.close(1011, 'Database error');
+  }
+});
@@ -0,0 +1,298 @@
+'use strict';
+
+/**
+ * Module simulating virtual devices, for the development and the demos (see /api/simulator, enabled by simulator.enabled).
+ * Each user can run a simulation, which creates its own sensors, switches and lights, and runs a tick every interval seconds:
+ *  - each sensor reads a diurnal curve (mean ± amplitude °C, warmest at peakHour UTC) with a slow drift and a gaussian
+ *    noise, stored as a new temperature (thus it is published, and it triggers the rules and the alerts)
+ *  - each switch and light changes randomly (on/off, with a random brightness) with probability changeRate
+ * The commands for the simulated switches and lights (from the APIs, the schedules, the rules, the scenes, ...) are answered
+ * after their latency (milliseconds), and they fail with probability failureRate (see deviceControl.simulate).
+ *
+ * The readings are dated by a simulated clock (the changes of the devices are dated now, as all the other ones),
+ * which starts at start (default now) and advances by interval at each tick:
+ * while it is behind the real clock, the ticks run speed times faster (e.g., to fill a day of history in a few minutes).
+ * The random numbers come from a generator seeded by the seed of the simulation, so the runs with the same seed and the
+ * same options (also start) produce the same readings and changes. The failures of the commands have their own generator,
+ * since they depend on when the commands arrive.
+ * NOTE: the simulations are kept in memory, after a restart their devices are left as ordinary devices.
+ */
+
+const crypto = require('crypto');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+dayjs.extend(utc);
+
+const sensorDao = require('./dao-sensors');
+const temperatureDao = require('./dao-temperatures');
+const deviceDao = require('./dao-devices');
+const deviceTypes = require('./device-types');
+const deviceControl = require('./device-control');
+const sceneDao = require('./dao-scenes');
+const groupDao = require('./dao-groups');
+
+// Kinds of simulated devices (the keys of the options and of the devices) and their types (see device-types)
+const KINDS = { sensors: 'temperature', switches: 'switch', lights: 'light' };
+
+// Default options of a simulation
+exports.DEFAULTS = {
+  interval: 60,  // seconds of simulated time between two ticks
+  speed: 1,      // speed-up of the ticks while the simulated clock is behind the real one
+  sensors: { count: 1, mean: 20, amplitude: 4, peakHour: 15, noise: 0.2 },
+  switches: { count: 2, changeRate: 0.02, latency: 0, failureRate: 0 },
+  lights: { count: 1, changeRate: 0.02, latency: 0, failureRate: 0 },
+};
+
+// Options that can be changed while a simulation is running (see update), the other ones are chosen when it starts
+exports.MUTABLE = ['interval', 'speed', 'sensors.mean', 'sensors.amplitude', 'sensors.peakHour', 'sensors.noise',
+  'switches.changeRate', 'switches.latency', 'switches.failureRate', 'lights.changeRate', 'lights.latency', 'lights.failureRate'];
+
+// The running simulations, by user
+const simulations = new Map();
+
+
+/*** Random numbers ***/
+
+// This function returns a generator of uniform random numbers in [0, 1) given a 32-bit seed (mulberry32).
+const generator = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// This function returns a standard normal random number, from a uniform generator (Box-Muller transform).
+const gaussian = (random) => {
+  const u = 1 - random();  // in (0, 1], as log(0) is not finite
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+
+/*** Ticks ***/
+
+/**
+ * This function computes the next reading of a simulated sensor at a date, updating its drift.
+ * The drift is a mean-reverting random walk, so the readings of a sensor do not just jitter around the curve.
+ */
+const readSensor = (sim, sensor, date) => {
+  const o = sim.options.sensors;
+  const hours = date.hour() + date.minute() / 60 + date.second() / 3600;
+  sensor.drift = 0.95 * sensor.drift + gaussian(sim.random) * o.noise / 2;
+  const value = o.mean + sensor.offset + o.amplitude * Math.cos(2 * Math.PI * (hours - o.peakHour) / 24)
+    + sensor.drift + gaussian(sim.random) * o.noise;
+  return Math.round(value * 100) / 100;
+};
+
+/**
+ * This function runs a tick of a simulation, at the date of its clock.
+ * NOTE: the random numbers are drawn also for the devices that have been deleted meanwhile, so the sequence does not change.
+ */
+const tick = async (sim) => {
+  const date = sim.clock;
+
+  for (const sensor of sim.devices.sensors) {
+    const value = readSensor(sim, sensor, date);
+    if (sensor.deleted || (await sensorDao.getSensor(sim.user, sensor.id)).error) {
+      sensor.deleted = true;
+      continue;
+    }
+    await temperatureDao.createTemperature({ date: date.format(), value: value, sensor: sensor.id, user: sim.user });
+    sim.stats.readings++;
+  }
+
+  for (const kind of ['switches', 'lights']) {
+    const type = KINDS[kind];
+    for (const d of sim.devices[kind]) {
+      const change = sim.random() < sim.options[kind].changeRate;
+      const brightness = 1 + Math.floor(sim.random() * 255);
+      if (!change || d.deleted)
+        continue;
+      const device = await deviceDao.getDevice(type, sim.user, d.id);
+      if (device.error) {
+        d.deleted = true;
+        continue;
+      }
+      const on = !(device.value > 0);
+      const command = on && type === 'light' ? { on: true, brightness: brightness } : deviceTypes.get(type).turn(on);
+      const result = await deviceControl.setState(sim.user, type, d.id, command, { actor: null, source: 'simulator' });
+      if (!result.error)
+        sim.stats.changes++;
+    }
+  }
+
+  sim.ticks++;
+  sim.clock = date.add(sim.options.interval, 'second');
+};
+
+// This function schedules the next tick of a simulation: at once for the first one, then according to the clocks (see the top).
+const schedule = (sim) => {
+  const ahead = sim.clock.diff(dayjs.utc(), 'millisecond');
+  const delay = ahead > 0 ? ahead : sim.ticks === 0 ? 0 : sim.options.interval * 1000 / sim.options.speed;
+  sim.timer = setTimeout(() => {
+    sim.running = tick(sim)
+      .catch((err) => console.error(`Simulator of user ${sim.user}: ${err}`))
+      .then(() => {
+        sim.running = null;
+        if (simulations.get(sim.user) === sim)
+          schedule(sim);
+      });
+  }, delay);
+  sim.timer.unref();  // the simulation does not keep the server alive
+};
+
+
+/*** Commands ***/
+
+// This function answers a command for a device (see deviceControl.simulate), the changes of the simulator itself always succeed.
+const respond = async (user, type, id, context) => {
+  const sim = simulations.get(user);
+  if (!sim || (context && context.source === 'simulator'))
+    return null;
+  const kind = Object.keys(KINDS).find((k) => KINDS[k] === type);
+  if (!kind || !sim.devices[kind].some((d) => d.id === id))
+    return null;
+
+  const o = sim.options[kind];
+  const fails = sim.failures() < o.failureRate;
+  sim.stats.commands++;
+  if (o.latency > 0)
+    await new Promise((resolve) => setTimeout(resolve, o.latency));
+  if (!fails)
+    return null;
+  sim.stats.failures++;
+  return `${deviceTypes.get(type).label} ${id} did not respond (simulated failure)`;
+};
+
+
+/*** Simulations ***/
+
+// This function merges some options (e.g., the body of a request) into the given ones, section by section.
+const merge = (options, changes) => {
+  const merged = {};
+  for (const [key, value] of Object.entries(options)) {
+    if (typeof value === 'object')
+      merged[key] = Object.assign({}, value, changes[key]);
+    else
+      merged[key] = changes[key] !== undefined ? changes[key] : value;
+  }
+  return merged;
+};
+
+// This function returns the status of a simulation: { seed, start, clock, ticks, options, devices, stats }.
+const statusOf = (sim) => {
+  const devices = {};
+  for (const kind of Object.keys(KINDS))
+    devices[kind] = sim.devices[kind].filter((d) => !d.deleted).map((d) => d.id);
+  return {
+    seed: sim.seed, start: sim.start.format(), clock: sim.clock.format(), ticks: sim.ticks,
+    options: sim.options, devices: devices, stats: Object.assign({}, sim.stats),
+  };
+};
+
+// This function returns the status of the simulation of a user (see statusOf), or { error: <string> } if there is none.
+exports.status = (user) => {
+  const sim = simulations.get(user);
+  return sim ? statusOf(sim) : { error: 'No simulation is running.' };
+};
+
+/**
+ * This function starts a simulation for a user, creating its devices. The options are the ones of DEFAULTS, plus
+ * seed (a 32-bit unsigned integer, random if it is not given) and start (a date, default now).
+ * It returns the status of the simulation, or { error: <string> } if the user has already one.
+ */
+exports.start = async (user, options = {}) => {
+  if (simulations.has(user))
+    return { error: 'A simulation is already running, it must be stopped first.' };
+
+  const seed = options.seed !== undefined ? options.seed : crypto.randomInt(2 ** 32);
+  const start = dayjs.utc(options.start).startOf('second');
+  const sim = {
+    user: user, seed: seed, start: start, clock: start, ticks: 0,
+    options: merge(exports.DEFAULTS, options),
+    random: generator(seed), failures: generator(seed ^ 0x5EED),
+    devices: { sensors: [], switches: [], lights: [] },
+    stats: { readings: 0, changes: 0, commands: 0, failures: 0 },
+    timer: null, running: null,
+  };
+  simulations.set(user, sim);  // reserved meanwhile the devices are created
+
+  try {
+    const date = dayjs.utc().format();
+    for (let i = 1; i <= sim.options.sensors.count; i++) {
+      const s = await sensorDao.createSensor({ name: `Simulated sensor ${i}`, location: 'Simulator', unit: '°C', user: user });
+      sim.devices.sensors.push({ id: s.id, offset: gaussian(sim.random) / 2, drift: 0 });  // the sensors differ a bit
+    }
+    for (const kind of ['switches', 'lights']) {
+      for (let i = 1; i <= sim.options[kind].count; i++) {
+        const d = await deviceDao.createDevice(KINDS[kind], { value: 0, date: date, user: user });
+        sim.devices[kind].push({ id: d.id });
+      }
+    }
+  } catch (err) {
+    simulations.delete(user);
+    throw err;
+  }
+
+  deviceControl.simulate(respond);
+  schedule(sim);
+  return statusOf(sim);
+};
+
+/**
+ * This function changes the options of the running simulation of a user (only the MUTABLE ones), from the next tick.
+ * It returns the status of the simulation, or { error: <string> } if there is none.
+ */
+exports.update = (user, options) => {
+  const sim = simulations.get(user);
+  if (!sim)
+    return { error: 'No simulation is running.' };
+
+  sim.options = merge(sim.options, options);
+  if (sim.running === null) {  // otherwise the next tick is scheduled when the running one ends
+    clearTimeout(sim.timer);
+    schedule(sim);
+  }
+  return statusOf(sim);
+};
+
+/**
+ * This function stops the simulation of a user. If remove is true, its devices are deleted too (with their readings and
+ * history), except the ones used by a scene or by a group, which are kept.
+ * It returns the final status of the simulation with the kept devices ({ kept: ["switch:1", ...] }), or { error: <string> } if there is none.
+ */
+exports.stop = async (user, remove = false) => {
+  const sim = simulations.get(user);
+  if (!sim)
+    return { error: 'No simulation is running.' };
+  simulations.delete(user);
+  clearTimeout(sim.timer);
+  if (sim.running)
+    await sim.running;
+
+  const status = statusOf(sim);
+  const kept = [];
+  if (remove) {
+    for (const id of status.devices.sensors)
+      await sensorDao.deleteSensor(user, id);
+
+    const scenes = await sceneDao.listScenes(user);
+    const groups = await groupDao.listGroups(user);
+    for (const kind of ['switches', 'lights']) {
+      const type = KINDS[kind];
+      for (const id of status.devices[kind]) {
+        const used = scenes.some((s) => s.states.some((st) => st.type === type && st.device === id))
+          || groups.some((g) => g.type === type && g.devices.includes(id));
+        if (used)
+          kept.push(`${type}:${id}`);
+        else
+          await deviceDao.deleteDevice(type, user, id);
+      }
+    }
+  }
+  return Object.assign(status, { kept: kept });
+};
@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * Module parsing and checking the batches of temperature readings uploaded by the sensors
+ * (e.g., the readings buffered while a sensor was offline). A batch is one of:
+ *  - a JSON array of readings (application/json)
+ *  - one JSON reading per line (application/x-ndjson)
+ *  - a CSV with a header line naming the columns (text/csv), e.g., "sensor,date,value,key"
+ * where a reading is { sensor, date, value, key }: sensor is optional (see POST /api/temperatures/batch),
+ * date is an ISO 8601 timestamp with an explicit offset (e.g., "2023-04-07T14:01:04Z") and key is an optional idempotency key.
+ */
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+dayjs.extend(utc);
+
+exports.MAX_READINGS = 10000;
+exports.MAX_SIZE = '10mb';  // maximum size of the body of a batch
+
+// Content types of the batches
+exports.NDJSON_TYPES = ['application/x-ndjson', 'application/ndjson'];
+exports.CSV_TYPES = ['text/csv'];
+
+const CSV_COLUMNS = ['sensor', 'date', 'value', 'key'];
+const MAX_CLOCK_SKEW = 60;  // seconds a reading can be in the future, due to the clock of the sensor
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+
+// This function parses a CSV batch, the fields cannot contain commas (i.e., quotes are only stripped).
+const parseCsv = (text) => {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== '');
+  if (lines.length === 0)
+    return { error: 'Missing CSV header' };
+
+  const header = lines[0].split(',').map((c) => c.trim().replace(/^"(.*)"$/, '$1'));
+  const unknown = header.filter((c) => !CSV_COLUMNS.includes(c));
+  if (unknown.length > 0 || new Set(header).size !== header.length || !header.includes('date') || !header.includes('value'))
+    return { error: `Invalid CSV header, the columns must be date, value and optionally sensor and key` };
+
+  return {
+    readings: lines.slice(1).map((line) => {
+      const fields = line.split(',').map((f) => f.trim().replace(/^"(.*)"$/, '$1'));
+      if (fields.length !== header.length)
+        return { error: `Expected ${header.length} fields, found ${fields.length}` };
+
+      const reading = {};
+      header.forEach((c, i) => {
+        if (fields[i] !== '')
+          reading[c] = c === 'sensor' || c === 'value' ? Number(fields[i]) : fields[i];
+      });
+      return reading;
+    }),
+  };
+};
+
+// This function parses a NDJSON batch, a line that is not valid JSON is an invalid reading.
+const parseNdjson = (text) => ({
+  readings: text.split(/\r?\n/).filter((line) => line.trim() !== '').map((line) => {
+    try {
+      return JSON.parse(line);
+    } catch (err) {
+      return { error: 'Invalid JSON' };
+    }
+  }),
+});
+
+/**
+ * This function parses the body of a batch given its format ('json', 'ndjson' or 'csv').
+ * It returns { readings }, where each reading is still to be checked (the unparsable ones are { error: <string> }),
+ * or { error: <string> } if the batch as a whole is invalid.
+ */
+exports.parseBatch = (format, body) => {
+  let batch;
+  if (format === 'json')
+    batch = Array.isArray(body) ? { readings: body } : { error: 'The batch must be a JSON array of readings' };
+  else if (typeof body !== 'string')
+    batch = { error: 'Empty batch' };
+  else
+    batch = format === 'csv' ? parseCsv(body) : parseNdjson(body);
+
+  if (batch.error)
+    return batch;
+  if (batch.readings.length === 0)
+    return { error: 'Empty batch' };
+  if (batch.readings.length > exports.MAX_READINGS)
+    return { error: `Too many readings, the maximum is ${exports.MAX_READINGS}` };
+  return batch;
+};
+
+/**
+ * This function checks a reading of a batch (as parsed by parseBatch).
+ * It returns { reading: { sensor, date, value, key } }, with the date normalized as the other temperatures
+ * (i.e., in UTC, with second precision), or { error: <string> } if the reading is invalid.
+ */
+exports.checkReading = (raw) => {
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw))
+    return { error: 'The reading must be an object' };
+  if (raw.error)
+    return { error: raw.error };
+
+  if (raw.sensor !== undefined && !(Number.isInteger(raw.sensor) && raw.sensor > 0))
+    return { error: 'Invalid sensor' };
+  if (typeof raw.date !== 'string' || !ISO_DATE.test(raw.date) || !dayjs(raw.date).isValid())
+    return { error: 'Invalid date, it must be an ISO 8601 timestamp with offset' };
+  if (dayjs.utc(raw.date).isAfter(dayjs.utc().add(MAX_CLOCK_SKEW, 'second')))
+    return { error: 'Date in the future' };
+  if (typeof raw.value !== 'number' || !Number.isFinite(raw.value))
+    return { error: 'Invalid value' };
+  if (raw.key !== undefined && raw.key !== null && !(typeof raw.key === 'string' && raw.key.length > 0 && raw.key.length <= 128))
+    return { error: 'Invalid key, it must be a string of at most 128 characters' };
+
+  return {
+    reading: { sensor: raw.sensor, date: dayjs.utc(raw.date).format(), value: raw.value, key: raw.key || undefined },
+  };
+};
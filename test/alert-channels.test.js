@@ -0,0 +1,64 @@
+'use strict';
+
+/* Tests of the webhook channel of the alerts (see alert-channels) with a local stub of a webhook */
+
+const test = require('node:test');
+const assert = require('assert');
+const http = require('http');
+
+const alertChannels = require('../alert-channels');
+
+const NOTIFICATION = { event: 'test', date: '2023-01-01T10:00:00Z', message: 'Test', alert: { id: null, user: 1 },
+  definition: { id: 1, name: null }, sensor: { id: 1, name: 'Default sensor' } };
+
+let stub, url;
+let status = 204;
+const received = [];
+
+test.before(async () => {
+  stub = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body: JSON.parse(body) });
+      res.statusCode = status;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => stub.listen(0, resolve));
+  url = `http://localhost:${stub.address().port}/hook`;
+});
+
+test.after(() => new Promise((resolve) => stub.close(resolve)));
+
+test('the webhooks to private addresses are refused by default', async () => {
+  assert.strictEqual(alertChannels.check({ type: 'webhook', url: 'http://127.0.0.1:8080/' }), 'The url of a webhook cannot be a private address');
+  assert.strictEqual(alertChannels.check({ type: 'webhook', url: 'http://[::ffff:169.254.169.254]/' }), 'The url of a webhook cannot be a private address');
+  assert.strictEqual(alertChannels.check({ type: 'webhook', url }), null);  // the host is resolved only when sending
+
+  await assert.rejects(alertChannels.send({ type: 'webhook', url }, NOTIFICATION), (err) => {
+    assert.strictEqual(err.message, 'The host of the webhook resolves to a private address');
+    assert.match(err.cause.message, /localhost resolves to the private address/);
+    return true;
+  });
+  assert.strictEqual(received.length, 0);
+});
+
+test('a webhook receives the notification when the private addresses are allowed', async () => {
+  alertChannels.configure({ allowPrivateWebhooks: true });
+  await alertChannels.send({ type: 'webhook', url, headers: { 'X-Token': 'secret' } }, NOTIFICATION);
+  assert.strictEqual(received.length, 1);
+  assert.strictEqual(received[0].headers['x-token'], 'secret');
+  assert.deepStrictEqual(received[0].body, NOTIFICATION);
+});
+
+test('the failures of a webhook are reported without their details', async () => {
+  status = 500;
+  await assert.rejects(alertChannels.send({ type: 'webhook', url }, NOTIFICATION), { message: 'The webhook answered 500' });
+
+  await assert.rejects(alertChannels.send({ type: 'webhook', url: 'http://localhost:1/' }, NOTIFICATION), (err) => {
+    assert.strictEqual(err.message, 'The webhook cannot be reached');
+    assert.match(err.cause.message, /ECONNREFUSED/);
+    return true;
+  });
+});
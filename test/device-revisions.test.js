@@ -0,0 +1,66 @@
+'use strict';
+
+/* Tests of the revisions of the devices through the APIs: ETag, If-None-Match and If-Match (412), see PUT /api/<devices>/<id> */
+
+const test = require('node:test');
+const assert = require('assert');
+
+const { startServer, login } = require('./helpers');
+
+let server;
+let request;
+
+test.before(async () => {
+  server = await startServer();
+  request = await login(server.url, 'john.doe@polito.it');
+});
+
+test.after(() => server.stop());
+
+test('a device has the ETag of its revision', async () => {
+  const created = await request('POST', '/switches', { value: false });
+  assert.strictEqual(created.status, 201);
+  assert.strictEqual(created.body.revision, 0);
+
+  const response = await request('GET', '/switches/1');
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers.get('ETag'), '"0"');
+  // NOTE: fetch adds "Cache-Control: no-cache" to the conditional requests, unless they have their own Cache-Control
+  assert.strictEqual((await request('GET', '/switches/1', undefined, { 'If-None-Match': '"0"', 'Cache-Control': 'max-age=0' })).status, 304);
+});
+
+test('a change increments the revision', async () => {
+  const response = await request('PUT', '/switches/1', { id: 1, value: true }, { 'If-Match': '"0"' });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers.get('ETag'), '"1"');
+  assert.strictEqual((await request('GET', '/switches/1', undefined, { 'If-None-Match': '"0"', 'Cache-Control': 'max-age=0' })).status, 200);
+});
+
+test('a change of another revision is refused with 412 and the current ETag', async () => {
+  const response = await request('PUT', '/switches/1', { id: 1, value: false }, { 'If-Match': '"0"' });
+  assert.strictEqual(response.status, 412);
+  assert.strictEqual(response.headers.get('ETag'), '"1"');
+  assert.strictEqual((await request('GET', '/switches/1')).body.value, 1);
+});
+
+test('If-Match accepts a list of ETags and *, but not the weak ETags', async () => {
+  assert.strictEqual((await request('PUT', '/switches/1', { id: 1, value: false }, { 'If-Match': '"7", "1"' })).status, 200);
+  assert.strictEqual((await request('PUT', '/switches/1', { id: 1, value: true }, { 'If-Match': 'W/"2"' })).status, 412);
+  assert.strictEqual((await request('PUT', '/switches/1', { id: 1, value: true }, { 'If-Match': '*' })).status, 200);
+});
+
+test('only one of the concurrent changes of the same revision succeeds', async () => {
+  const revision = (await request('GET', '/switches/1')).body.revision;
+  const responses = await Promise.all([1, 2, 3, 4, 5].map((i) =>
+    request('PUT', '/switches/1', { id: 1, value: i % 2 === 0 }, { 'If-Match': `"${revision}"` })));
+  const statuses = responses.map((r) => r.status).sort();
+  assert.deepStrictEqual(statuses, [200, 412, 412, 412, 412]);
+  assert.strictEqual((await request('GET', '/switches/1')).body.revision, revision + 1);
+});
+
+test('the concurrent changes without If-Match are all applied', async () => {
+  const revision = (await request('GET', '/switches/1')).body.revision;
+  const responses = await Promise.all([1, 2, 3, 4, 5].map((i) => request('PUT', '/switches/1', { id: 1, value: i % 2 === 0 })));
+  assert.ok(responses.every((r) => r.status === 200));
+  assert.strictEqual((await request('GET', '/switches/1')).body.revision, revision + 5);
+});
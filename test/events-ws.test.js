@@ -0,0 +1,52 @@
+'use strict';
+
+/* Tests of the authentication of the WebSocket of the events, see /api/events/ws */
+
+const test = require('node:test');
+const assert = require('assert');
+const { WebSocket } = require('ws');
+
+const { startServer, login } = require('./helpers');
+
+let server;
+
+test.before(async () => {
+  server = await startServer();
+});
+
+test.after(() => server.stop());
+
+// This function logs in a user, it returns the cookie of the new session.
+const session = async (email) => {
+  const response = await fetch(`${server.url}/sessions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: email, password: 'password' }),
+  });
+  assert.strictEqual(response.status, 200);
+  return response.headers.get('set-cookie').split(';')[0];
+};
+
+// This function opens the WebSocket of the events, it resolves to its first message, or to the code of its closure.
+const firstMessage = (headers) => new Promise((resolve, reject) => {
+  const ws = new WebSocket(server.url.replace(/^http/, 'ws') + '/events/ws', { headers: headers });
+  ws.on('message', (data) => {
+    resolve(JSON.parse(data));
+    ws.close();
+  });
+  ws.on('close', (code) => resolve(code));
+  ws.on('error', reject);
+});
+
+test('a session opens the WebSocket of the events', async () => {
+  await login(server.url, 'john.doe@polito.it');
+  const message = await firstMessage({ Cookie: await session('john.doe@polito.it') });
+  assert.strictEqual(message.event, 'snapshot');
+});
+
+test('a session of a deleted user cannot open the WebSocket of the events', async () => {
+  const request = await login(server.url, 'jane.doe@polito.it');
+  const cookie = await session('jane.doe@polito.it');
+  assert.strictEqual((await request('DELETE', '/users/current', { password: 'password' })).status, 200);
+  assert.strictEqual(await firstMessage({ Cookie: cookie }), 1008);
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+/* Helpers of the tests: a server on an in-memory database (see startServer), and its users (see login) */
+
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// The environment of the servers of the tests: the limits of the requests are disabled, as they would slow down the tests
+const ENVIRONMENT = {
+  DB_PATH: ':memory:', REQUEST_LOG: 'false', LOGIN_MAX_FAILURES: '0', LOGIN_MAX_FAILURES_PER_IP: '0',
+  RATE_LIMIT_AUTH: '0', RATE_LIMIT_TEMPERATURES: '0', RATE_LIMIT_WRITE: '0', RATE_LIMIT_READ: '0',
+};
+
+// This function returns a free TCP port.
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer().listen(0, () => {
+    const port = server.address().port;
+    server.close(() => resolve(port));
+  });
+  server.on('error', reject);
+});
+
+/**
+ * This function starts the server (server.js) in a child process, on a new in-memory database and on a free port,
+ * with some more environment variables (e.g., { SIMULATOR_ENABLED: 'true' }).
+ * It returns { url, stop }, where url is the base url of the APIs (e.g., http://localhost:40123/api).
+ */
+exports.startServer = async (env = {}) => {
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: Object.assign({}, process.env, ENVIRONMENT, { PORT: String(port) }, env),
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      if (output.includes('Server running'))
+        resolve();
+    });
+    child.stderr.on('data', (chunk) => { output += chunk; });
+    child.on('exit', (code) => reject(new Error(`The server exited with code ${code}:\n${output}`)));
+  });
+
+  return {
+    url: `http://localhost:${port}/api`,
+    stop: () => new Promise((resolve) => {
+      child.removeAllListeners('exit');
+      child.on('exit', resolve);
+      child.kill();
+    }),
+  };
+};
+
+/**
+ * This function registers a new user on a server (see startServer) and logs it in.
+ * It returns a client of the APIs, request(method, path, body, headers), which resolves to { status, headers, body }
+ * (body is the parsed JSON, if any).
+ */
+exports.login = async (url, email, password = 'password') => {
+  const send = async (method, route, body, headers = {}, cookie) => {
+    const response = await fetch(url + route, {
+      method: method,
+      headers: Object.assign(body !== undefined ? { 'Content-Type': 'application/json' } : {}, cookie ? { Cookie: cookie } : {}, headers),
+      body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body),
+    });
+    const text = await response.text();
+    let json;
+    try {
+      json = text === '' ? undefined : JSON.parse(text);
+    } catch (err) {
+      json = text;
+    }
+    return { status: response.status, headers: response.headers, body: json };
+  };
+
+  const registered = await send('POST', '/users', { email: email, name: email.split('@')[0], password: password });
+  if (registered.status !== 201)
+    throw new Error(`Cannot register ${email}: ${JSON.stringify(registered.body)}`);
+  const response = await fetch(`${url}/sessions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: email, password: password }),
+  });
+  if (response.status !== 200)
+    throw new Error(`Cannot log in ${email}: ${response.status}`);
+  const cookie = response.headers.get('set-cookie').split(';')[0];
+
+  return (method, route, body, headers) => send(method, route, body, headers, cookie);
+};
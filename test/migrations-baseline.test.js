@@ -0,0 +1,77 @@
+'use strict';
+
+/*
+ * Tests of the upgrade of the baseline hass-test.db (the hand-edited one, without schema_version) by the migrations:
+ * its schema and some of its rows are created here as they were in that file.
+ */
+
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('assert');
+
+const db = require('../db');
+const migrate = require('../migrate');
+
+// These functions run some statements and a query on the database, as a Promise
+const exec = (sql) => new Promise((resolve, reject) => {
+  db.exec(sql, (err) => {
+    if (err) reject(err);
+    else resolve(null);
+  });
+});
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) reject(err);
+    else resolve(rows);
+  });
+});
+
+test.before(() => exec(`
+  CREATE TABLE "users" ("id" INTEGER NOT NULL, "email" TEXT NOT NULL, "name" TEXT, "hash" TEXT NOT NULL, "salt" TEXT NOT NULL,
+    PRIMARY KEY("id" AUTOINCREMENT));
+  CREATE TABLE "switches" ("id" INTEGER NOT NULL, "value" INTEGER NOT NULL DEFAULT 0, "date" TEXT NOT NULL, "user" INTEGER NOT NULL DEFAULT 1,
+    PRIMARY KEY("id" AUTOINCREMENT));
+  CREATE TABLE "temperatures" ("id" INTEGER, "date" TEXT NOT NULL, "value" REAL NOT NULL DEFAULT 0, "user" INTEGER NOT NULL DEFAULT 1,
+    PRIMARY KEY("id"), FOREIGN KEY("user") REFERENCES "users"("id"));
+  CREATE TABLE "lights" ("id" INTEGER NOT NULL UNIQUE, "value" INTEGER NOT NULL, "date" TEXT NOT NULL, "user" INTEGER NOT NULL,
+    PRIMARY KEY("id" AUTOINCREMENT));
+  CREATE TABLE "sqlb_temp_table_1" ("id" INTEGER);
+
+  INSERT INTO users (email, name, hash, salt) VALUES('john.doe@polito.it', 'John', 'e06a', '72e4'), ('mario.rossi@polito.it', 'Mario', 'ac28', 'a8b6');
+  INSERT INTO switches (value, date, user) VALUES(0, '2022-11-30T13:56:19Z', 1);
+  INSERT INTO lights (value, date, user) VALUES(233, '2023-04-07T14:01:04Z', 1);
+  INSERT INTO temperatures (date, value, user) VALUES('2022-03-11T12:12:12Z', 22.1, 1), ('2022-02-03T12:13:14Z', 25.2, 1),
+    ('2022-02-07T12:15:16Z', 20.4, 2);
+`));
+
+test('the baseline database is upgraded by all the migrations', async () => {
+  const applied = await migrate.migrate();
+  assert.strictEqual(applied.length, migrate.listMigrations().length);
+  assert.deepStrictEqual(await all("SELECT name FROM sqlite_master WHERE name LIKE 'sqlb_temp_table_%'"), []);
+  assert.deepStrictEqual(await all('PRAGMA foreign_key_check'), []);
+});
+
+test('each user gets a default sensor with its readings', async () => {
+  const sensors = await all('SELECT id, name, unit, user FROM sensors ORDER BY id');
+  assert.deepStrictEqual(sensors, [
+    { id: 1, name: 'Default sensor', unit: '°C', user: 1 },
+    { id: 2, name: 'Default sensor', unit: '°C', user: 2 },
+  ]);
+  const readings = await all('SELECT user, sensor, COUNT(*) AS count FROM temperatures GROUP BY user, sensor ORDER BY user');
+  assert.deepStrictEqual(readings, [{ user: 1, sensor: 1, count: 2 }, { user: 2, sensor: 2, count: 1 }]);
+});
+
+test('the existing rows get the defaults of the new columns', async () => {
+  const [light] = await all('SELECT brightness, colorMode, colorModes, revision FROM lights');
+  assert.deepStrictEqual(light, { brightness: 255, colorMode: 'brightness', colorModes: '["brightness"]', revision: 0 });
+  const users = await all('SELECT admin FROM users');
+  assert.ok(users.every((u) => u.admin === 0));
+});
+
+test('the keys of the readings are unique for each user', async () => {
+  await all("INSERT INTO temperatures (date, value, user, sensor, key) VALUES('2022-04-01T00:00:00Z', 20, 1, 1, 'k1')");
+  await all("INSERT INTO temperatures (date, value, user, sensor, key) VALUES('2022-04-01T00:00:00Z', 20, 2, 2, 'k1')");
+  await assert.rejects(all("INSERT INTO temperatures (date, value, user, sensor, key) VALUES('2022-04-02T00:00:00Z', 21, 1, 1, 'k1')"),
+    /UNIQUE constraint failed/);
+});
@@ -0,0 +1,46 @@
+'use strict';
+
+/* Tests of the migrations on a fresh (in-memory) database, see migrate */
+
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('assert');
+
+const db = require('../db');
+const migrate = require('../migrate');
+
+// This function returns the rows of a query, as a Promise
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) reject(err);
+    else resolve(rows);
+  });
+});
+
+test('a fresh database is created by all the migrations', async () => {
+  const migrations = migrate.listMigrations();
+  const applied = await migrate.migrate();
+  assert.deepStrictEqual(applied, migrations.map((m) => ({ version: m.version, name: m.name })));
+  assert.strictEqual(await migrate.currentVersion(), migrations[migrations.length - 1].version);
+
+  const tables = (await all("SELECT name FROM sqlite_master WHERE type = 'table'")).map((t) => t.name);
+  for (const table of ['users', 'sensors', 'temperatures', 'temperatureSummaries', 'switches', 'lights', 'covers', 'binarySensors', 'alertDefinitions'])
+    assert.ok(tables.includes(table), `table ${table} is missing`);
+});
+
+test('the migrations are applied only once', async () => {
+  assert.deepStrictEqual(await migrate.migrate(), []);
+});
+
+test('a database with other migrations is refused', async () => {
+  await all("UPDATE schema_version SET name = 'covers-and-binary-sensors' WHERE version = 2");
+  await assert.rejects(migrate.migrate(), /migration 2 applied to the database \(covers-and-binary-sensors\) is not the one of the code \(sensors\)/);
+  await all("UPDATE schema_version SET name = 'sensors' WHERE version = 2");
+});
+
+test('a database newer than the code is refused', async () => {
+  await all("INSERT INTO schema_version (version, name, applied) VALUES(1000, 'future', '2030-01-01T00:00:00Z')");
+  await assert.rejects(migrate.migrate(), /newer than the one of the code/);
+  await all('DELETE FROM schema_version WHERE version = 1000');
+});
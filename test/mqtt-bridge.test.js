@@ -0,0 +1,115 @@
+'use strict';
+
+/* Tests of the MQTT bridge (see mqtt-bridge) with an embedded broker: discovery, states and commands */
+
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('assert');
+const net = require('net');
+const mqtt = require('mqtt');
+const { Aedes } = require('aedes');
+
+const migrate = require('../migrate');
+const userDao = require('../dao-users');
+const sensorDao = require('../dao-sensors');
+const deviceDao = require('../dao-devices');
+const temperatureDao = require('../dao-temperatures');
+const mqttBridge = require('../mqtt-bridge');
+
+// NOTE: the prefix has the special characters of the regular expressions, which must match the topics as they are
+const PREFIX = 'home.hub(1)';
+
+let broker, server, bridge, client;
+const messages = new Map();  // the last message received by the client on each topic
+
+// This function waits until the last message on a topic satisfies a condition, it returns the message.
+const waitFor = async (topic, condition = () => true) => {
+  for (let i = 0; i < 100; i++) {
+    if (messages.has(topic) && condition(messages.get(topic)))
+      return messages.get(topic);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`No message on ${topic}, the last one is ${messages.get(topic)}`);
+};
+
+test.before(async () => {
+  await migrate.migrate();
+  const user = await userDao.createUser('john.doe@polito.it', 'John', 'password');
+  await sensorDao.createSensor({ name: 'Garden', unit: '°F', user: user.id });
+  await temperatureDao.createTemperature({ date: '2023-01-01T10:00:00Z', value: 68, sensor: 2, user: user.id });
+  await deviceDao.createDevice('switch', { value: 0, date: '2023-01-01T10:00:00Z', user: user.id });
+  await deviceDao.createDevice('light', { value: 0, date: '2023-01-01T10:00:00Z', user: user.id,
+    capabilities: { colorModes: ['hs', 'color_temp'], minMireds: 153, maxMireds: 500, effects: [] } });
+
+  broker = await Aedes.createBroker();
+  server = net.createServer(broker.handle);
+  await new Promise((resolve) => server.listen(0, resolve));
+  const url = `mqtt://localhost:${server.address().port}`;
+
+  client = await mqtt.connectAsync(url);
+  client.on('message', (topic, message) => messages.set(topic, message.toString()));
+  await client.subscribeAsync(['homeassistant/#', `${PREFIX}/#`]);
+
+  bridge = mqttBridge.start({ url: url, prefix: PREFIX, user: user.id });
+});
+
+test.after(async () => {
+  await bridge.stop();
+  await client.endAsync();
+  await new Promise((resolve) => broker.close(resolve));
+  await new Promise((resolve) => server.close(resolve));
+});
+
+test('the bridge is online', async () => {
+  await waitFor(`${PREFIX}/status`, (m) => m === 'online');
+});
+
+test('the devices are announced with the Home Assistant discovery', async () => {
+  const sw = JSON.parse(await waitFor(`homeassistant/switch/${PREFIX}/switch_1/config`));
+  assert.strictEqual(sw.command_topic, `${PREFIX}/switch/1/set`);
+  assert.strictEqual(sw.state_topic, `${PREFIX}/switch/1/state`);
+
+  const light = JSON.parse(await waitFor(`homeassistant/light/${PREFIX}/light_1/config`));
+  assert.strictEqual(light.schema, 'json');
+  assert.deepStrictEqual(light.supported_color_modes, ['hs', 'color_temp']);
+
+  const sensor = JSON.parse(await waitFor(`homeassistant/sensor/${PREFIX}/temperature_2/config`));
+  assert.strictEqual(sensor.name, 'Garden');
+  assert.strictEqual(sensor.unit_of_measurement, '°F');
+  assert.strictEqual(JSON.parse(await waitFor(`homeassistant/sensor/${PREFIX}/temperature_1/config`)).unit_of_measurement, '°C');
+});
+
+test('the states of the devices are published, also when they change', async () => {
+  assert.strictEqual(await waitFor(`${PREFIX}/switch/1/state`), 'OFF');
+  assert.deepStrictEqual(JSON.parse(await waitFor(`${PREFIX}/temperature/2/state`)), { value: 68, date: '2023-01-01T10:00:00Z' });
+
+  await temperatureDao.createTemperature({ date: '2023-01-01T11:00:00Z', value: 70, sensor: 2, user: 1 });
+  await waitFor(`${PREFIX}/temperature/2/state`, (m) => JSON.parse(m).value === 70);
+});
+
+test('the commands on the set topics change the devices', async () => {
+  await client.publishAsync(`${PREFIX}/switch/1/set`, 'ON');
+  await waitFor(`${PREFIX}/switch/1/state`, (m) => m === 'ON');
+  assert.strictEqual((await deviceDao.getDevice('switch', 1, 1)).value, 1);
+
+  await client.publishAsync(`${PREFIX}/light/1/set`, JSON.stringify({ state: 'ON', brightness: 100, color: { h: 30, s: 80 } }));
+  const state = JSON.parse(await waitFor(`${PREFIX}/light/1/state`, (m) => JSON.parse(m).state === 'ON'));
+  assert.deepStrictEqual(state, { state: 'ON', color_mode: 'hs', brightness: 100, color: { h: 30, s: 80 } });
+});
+
+test('the commands on other topics are ignored', async () => {
+  await client.publishAsync('homeXhub(1)/switch/1/set', 'OFF');
+  await client.publishAsync(`${PREFIX}/switch/1/set`, 'maybe');
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  assert.strictEqual((await deviceDao.getDevice('switch', 1, 1)).value, 1);
+});
+
+test('the invalid commands of the lights are refused', async () => {
+  for (const command of [{ color: { h: 400, s: 80 } }, { color: { h: 30, s: -1 } }, { color: { h: '30', s: 80 } }, { brightness: 300 }, 'null'])
+    await client.publishAsync(`${PREFIX}/light/1/set`, typeof command === 'string' ? command : JSON.stringify(command));
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  const light = await deviceDao.getDevice('light', 1, 1);
+  assert.deepStrictEqual(light.hs, [30, 80]);
+  assert.strictEqual(light.brightness, 100);
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+/* Tests of the protection from the brute-force attacks: the lockout of the failed logins and API tokens (429), see rate-limits */
+
+const test = require('node:test');
+const assert = require('assert');
+const { WebSocket } = require('ws');
+
+const { startServer, login } = require('./helpers');
+
+let server;
+
+test.before(async () => {
+  server = await startServer({ LOGIN_MAX_FAILURES: '3', LOGIN_MAX_FAILURES_PER_IP: '10' });
+});
+
+test.after(() => server.stop());
+
+// This function tries to log in, it returns the status of the response.
+const tryLogin = async (email, password) => {
+  const response = await fetch(`${server.url}/sessions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: email, password: password }),
+  });
+  await response.text();
+  return response.status;
+};
+
+test('the logins sent in parallel cannot pass the lockout of the account', async () => {
+  await login(server.url, 'john.doe@polito.it');
+
+  const statuses = await Promise.all(Array.from({ length: 10 }, () => tryLogin('john.doe@polito.it', 'wrong password')));
+  assert.strictEqual(statuses.filter((s) => s === 401).length, 3);
+  assert.strictEqual(statuses.filter((s) => s === 429).length, 7);
+  // the account is locked also for the right password
+  assert.strictEqual(await tryLogin('john.doe@polito.it', 'password'), 429);
+});
+
+test('the successful logins are not counted as failures of the address', async () => {
+  await login(server.url, 'jane.doe@polito.it');
+  for (let i = 0; i < 10; i++)
+    assert.strictEqual(await tryLogin('jane.doe@polito.it', 'password'), 200);
+});
+
+test('the invalid API tokens are locked out as the failed logins of the address', async () => {
+  const other = await startServer({ LOGIN_MAX_FAILURES_PER_IP: '3' });
+  try {
+    // the valid tokens are not counted as failures
+    const request = await login(other.url, 'john.doe@polito.it');
+    const created = await request('POST', '/tokens', { name: 'sensor' });
+    assert.strictEqual(created.status, 201);
+    for (let i = 0; i < 5; i++) {
+      const response = await fetch(`${other.url}/switches`, { headers: { Authorization: `Bearer ${created.body.token}` } });
+      await response.text();
+      assert.strictEqual(response.status, 200);
+    }
+
+    const statuses = [];
+    for (let i = 0; i < 5; i++) {
+      const response = await fetch(`${other.url}/switches`, { headers: { Authorization: `Bearer ${i + 1}.invalid-secret` } });
+      await response.text();
+      statuses.push(response.status);
+      if (response.status === 429)
+        assert.ok(Number(response.headers.get('Retry-After')) > 0);
+    }
+    assert.deepStrictEqual(statuses, [401, 401, 401, 429, 429]);
+
+    // the same on the WebSocket of the events
+    const code = await new Promise((resolve, reject) => {
+      const ws = new WebSocket(`${other.url.replace(/^http/, 'ws')}/events/ws?access_token=1.invalid-secret`);
+      ws.on('close', resolve);
+      ws.on('error', reject);
+    });
+    assert.strictEqual(code, 1013);
+  } finally {
+    await other.stop();
+  }
+});
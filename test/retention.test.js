@@ -0,0 +1,134 @@
+'use strict';
+
+/* Tests of the summaries of the temperatures, updated by the retention job only for the changed buckets (see retention and dao-summaries) */
+
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('assert');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+dayjs.extend(utc);
+
+const db = require('../db');
+const migrate = require('../migrate');
+const userDao = require('../dao-users');
+const temperatureDao = require('../dao-temperatures');
+const summaryDao = require('../dao-summaries');
+const retention = require('../retention');
+
+const NOW = dayjs.utc('2023-03-10T12:30:00Z');
+
+// These functions run a statement and a query on the database, as a Promise
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => {
+    if (err) reject(err);
+    else resolve(null);
+  });
+});
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) reject(err);
+    else resolve(rows);
+  });
+});
+
+// This function returns the summaries of the default sensor, as { <resolution> <start>: mean }
+const summaries = async () => {
+  const result = {};
+  for (const s of await all('SELECT resolution, start, mean FROM temperatureSummaries WHERE sensor = 1 ORDER BY resolution, start'))
+    result[`${s.resolution} ${s.start}`] = s.mean;
+  return result;
+};
+
+const reading = (date, value) => temperatureDao.createTemperature({ date: date, value: value, sensor: 1, user: 1 });
+
+test.before(async () => {
+  await migrate.migrate();
+  await userDao.createUser('john.doe@polito.it', 'John', 'password');
+});
+
+test('the complete hours and days are summarized', async () => {
+  await reading('2023-03-09T10:05:00Z', 20);
+  await reading('2023-03-09T10:35:00Z', 22);
+  await reading('2023-03-09T11:10:00Z', 24);
+  await reading('2023-03-10T12:10:00Z', 30);  // the current hour
+  await retention.run(NOW);
+
+  assert.deepStrictEqual(await summaries(), {
+    'day 2023-03-09T00:00:00Z': 22,
+    'hour 2023-03-09T10:00:00Z': 21,
+    'hour 2023-03-09T11:00:00Z': 24,
+  });
+  // the current hour is summarized when it is complete (then its day, when it is complete too)
+  assert.deepStrictEqual(await all('SELECT resolution, start FROM staleSummaries'), [{ resolution: 'hour', start: '2023-03-10T12:00:00Z' }]);
+});
+
+test('only the changed hours are summarized again', async () => {
+  await run("UPDATE temperatureSummaries SET mean = 99 WHERE resolution = 'hour' AND start = '2023-03-09T10:00:00Z'");
+  await reading('2023-03-09T11:50:00Z', 26);
+  await retention.run(NOW);
+
+  const s = await summaries();
+  assert.strictEqual(s['hour 2023-03-09T10:00:00Z'], 99);  // not changed, thus not computed again
+  assert.strictEqual(s['hour 2023-03-09T11:00:00Z'], 25);
+  assert.strictEqual(s['day 2023-03-09T00:00:00Z'], (99 * 2 + 25 * 2) / 4);
+  await run("UPDATE temperatureSummaries SET mean = 21 WHERE resolution = 'hour' AND start = '2023-03-09T10:00:00Z'");
+});
+
+test('the hours of the backfilled readings are summarized again', async () => {
+  await temperatureDao.ingestTemperatures(1, [{ sensor: 1, date: '2023-03-01T08:00:00Z', value: 10 }, { sensor: 1, date: '2023-03-09T10:55:00Z', value: 27 }]);
+  await retention.run(NOW);
+
+  const s = await summaries();
+  assert.strictEqual(s['hour 2023-03-01T08:00:00Z'], 10);
+  assert.strictEqual(s['day 2023-03-01T00:00:00Z'], 10);
+  assert.strictEqual(s['hour 2023-03-09T10:00:00Z'], 23);
+});
+
+test('the summaries of the hours without readings anymore are deleted', async () => {
+  await run("DELETE FROM temperatures WHERE date = '2023-03-01T08:00:00Z'");
+  await retention.run(NOW);
+
+  const s = await summaries();
+  assert.strictEqual(s['hour 2023-03-01T08:00:00Z'], undefined);
+  assert.strictEqual(s['day 2023-03-01T00:00:00Z'], undefined);
+});
+
+test('the summaries of the pruned readings are kept', async () => {
+  const before = await summaries();
+  retention.configure({ raw: 0 });
+  const later = NOW.add(2, 'day');
+  const pruned = await retention.run(later);
+  assert.ok(pruned.raw > 0);
+
+  const s = await summaries();
+  for (const [bucket, mean] of Object.entries(before))
+    assert.strictEqual(s[bucket], mean, bucket);
+  assert.strictEqual(s['hour 2023-03-10T12:00:00Z'], 30);
+  assert.strictEqual(s['day 2023-03-10T00:00:00Z'], 30);
+
+  await retention.run(later.add(1, 'hour'));
+  assert.deepStrictEqual(await summaries(), s);
+});
+
+test('the summaries include the readings not rolled up yet, as the ones of the current hour', async () => {
+  retention.configure({ raw: 0 });
+  const now = dayjs.utc().startOf('second');
+  await reading(now.startOf('hour').format(), 40);
+  await reading(now.format(), 42);
+
+  // without from, the readings are not available for the whole range
+  const resolution = await retention.chooseResolution(1, {});
+  assert.strictEqual(resolution, 'hour');
+  const list = await summaryDao.listSummaries(1, resolution, {});
+  assert.deepStrictEqual(list.slice(-2).map((s) => [s.date, s.value, s.count]),
+    [['2023-03-10T12:00:00Z', 30, 1], [now.startOf('hour').format(), 41, 2]]);
+  assert.strictEqual(await summaryDao.countSummaries(1, resolution, {}), list.length);
+
+  const days = await summaryDao.listSummaries(1, 'day', {});
+  assert.deepStrictEqual(days.slice(-1).map((s) => [s.date, s.value, s.count]), [[now.startOf('day').format(), 41, 2]]);
+
+  const stats = await temperatureDao.getTemperatureStats(1, { bucket: 'hour', resolution: retention.chooseStatsResolution({}) });
+  assert.deepStrictEqual(stats.slice(-1).map((b) => [b.start, b.count, b.first.value, b.last.value]), [[now.startOf('hour').format(), 2, 40, 42]]);
+});
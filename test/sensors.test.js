@@ -0,0 +1,37 @@
+'use strict';
+
+/* Tests of the deletion of the sensors, with the data that depends on them, see DELETE /api/sensors/<id> */
+
+const test = require('node:test');
+const assert = require('assert');
+
+const { startServer, login } = require('./helpers');
+
+let server;
+let request;
+
+test.before(async () => {
+  server = await startServer();
+  request = await login(server.url, 'john.doe@polito.it');
+});
+
+test.after(() => server.stop());
+
+test('the rules triggered by a deleted sensor are deleted', async () => {
+  const sensor = await request('POST', '/sensors', { name: 'Kitchen' });
+  assert.strictEqual(sensor.status, 201);
+  const device = await request('POST', '/switches', { value: false });
+  assert.strictEqual(device.status, 201);
+  const rule = {
+    trigger: { sensor: sensor.body.id },
+    condition: { operator: 'above', threshold: 25 },
+    action: { type: 'switch', device: device.body.id, value: true },
+  };
+  assert.strictEqual((await request('POST', '/rules', rule)).status, 201);
+  assert.strictEqual((await request('POST', '/rules', Object.assign({}, rule, { trigger: { sensor: 1 } }))).status, 201);
+
+  assert.strictEqual((await request('DELETE', `/sensors/${sensor.body.id}`)).status, 200);
+  const rules = await request('GET', '/rules');
+  assert.strictEqual(rules.status, 200);
+  assert.deepStrictEqual(rules.body.map((r) => r.trigger.sensor), [1]);
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+/* Tests of the batches of temperatures through the APIs (see POST /api/temperatures/batch and temperature-batch) */
+
+const test = require('node:test');
+const assert = require('assert');
+
+const { startServer, login } = require('./helpers');
+
+let server;
+let request;
+
+// This function waits for the readings to be evaluated by the engines (e.g., the alerts), which run after the responses
+const settle = () => new Promise((resolve) => setTimeout(resolve, 200));
+
+test.before(async () => {
+  server = await startServer();
+  request = await login(server.url, 'john.doe@polito.it');
+});
+
+test.after(() => server.stop());
+
+test('a JSON batch is stored, skipping the duplicates and reporting the invalid readings', async () => {
+  const response = await request('POST', '/temperatures/batch', [
+    { date: '2023-01-01T10:00:00Z', value: 20.5, key: 'a' },
+    { date: '2023-01-01T10:01:00+01:00', value: 21 },
+    { date: '2023-01-01T10:02:00Z', value: 22, key: 'a' },  // same key
+    { date: '2023-01-01T10:00:00Z', value: 23 },  // same sensor and date
+    { date: 'yesterday', value: 24 },
+    { date: '2023-01-01T10:03:00Z', value: 25, sensor: 99 },
+  ]);
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.accepted, 2);
+  assert.strictEqual(response.body.duplicates, 2);
+  assert.strictEqual(response.body.rejected, 2);
+  assert.deepStrictEqual(response.body.rows.map((r) => r.status), ['accepted', 'accepted', 'duplicate', 'duplicate', 'rejected', 'rejected']);
+  assert.strictEqual(response.body.rows[2].id, response.body.rows[0].id);
+
+  const readings = (await request('GET', '/temperatures')).body;
+  assert.deepStrictEqual(readings.map((t) => [t.date, t.value]), [['2023-01-01T09:01:00.000Z', 21], ['2023-01-01T10:00:00.000Z', 20.5]]);
+});
+
+test('a batch is idempotent', async () => {
+  const response = await request('POST', '/temperatures/batch', [{ date: '2023-01-01T10:00:00Z', value: 20.5, key: 'a' }]);
+  assert.strictEqual(response.body.accepted, 0);
+  assert.strictEqual(response.body.duplicates, 1);
+});
+
+test('NDJSON and CSV batches are stored too', async () => {
+  const ndjson = '{"date":"2023-01-02T10:00:00Z","value":19}\nnot json\n{"date":"2023-01-02T11:00:00Z","value":19.5}\n';
+  let response = await request('POST', '/temperatures/batch', ndjson, { 'Content-Type': 'application/x-ndjson' });
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(response.body.rows.map((r) => r.status), ['accepted', 'rejected', 'accepted']);
+
+  const csv = 'date,value,key\n2023-01-03T10:00:00Z,18,c1\n2023-01-03T11:00:00Z,18.5,\n';
+  response = await request('POST', '/temperatures/batch', csv, { 'Content-Type': 'text/csv' });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.accepted, 2);
+
+  assert.strictEqual((await request('POST', '/temperatures/batch', 'date,value', { 'Content-Type': 'text/plain' })).status, 415);
+  assert.strictEqual((await request('POST', '/temperatures/batch', 'time,value\n', { 'Content-Type': 'text/csv' })).status, 422);
+});
+
+test('the readings of a batch are assigned to the sensor of the query, if they have none', async () => {
+  const sensor = (await request('POST', '/sensors', { name: 'Kitchen' })).body;
+  const response = await request('POST', `/temperatures/batch?sensor=${sensor.id}`, [{ date: '2023-01-04T10:00:00Z', value: 17 }]);
+  assert.strictEqual(response.body.accepted, 1);
+  assert.strictEqual((await request('GET', `/sensors/${sensor.id}/temperatures`)).body.length, 1);
+  assert.strictEqual((await request('POST', '/temperatures/batch?sensor=99', [{ date: '2023-01-04T10:00:00Z', value: 17 }])).status, 404);
+});
+
+test('the alerts are evaluated on each new reading of a batch, in date order', async () => {
+  const definition = await request('POST', '/alerts/definitions', { trigger: { sensor: 1 }, condition: { operator: 'above', threshold: 30 }, channels: [] });
+  assert.strictEqual(definition.status, 201);
+
+  // a spike in the middle of a batch, whose last reading is below the threshold
+  await request('POST', '/temperatures/batch', [
+    { date: '2023-02-01T10:02:00Z', value: 20 },
+    { date: '2023-02-01T10:00:00Z', value: 20 },
+    { date: '2023-02-01T10:01:00Z', value: 35 },
+  ]);
+  await settle();
+  const alerts = (await request('GET', `/alerts?definition=${definition.body.id}`)).body;
+  assert.strictEqual(alerts.length, 1);
+  assert.strictEqual(alerts[0].value, 35);
+  assert.strictEqual(alerts[0].opened, '2023-02-01T10:01:00Z');
+  assert.strictEqual(alerts[0].resolved, '2023-02-01T10:02:00Z');
+});
+
+test('the past readings do not trigger the alerts', async () => {
+  await request('POST', '/temperatures/batch', [{ date: '2023-01-05T10:00:00Z', value: 40 }]);
+  await request('POST', '/temperatures', { date: '2023-01-05T11:00:00Z', value: 41 });
+  await settle();
+  assert.strictEqual((await request('GET', '/alerts')).body.length, 1);
+
+  await request('POST', '/temperatures', { value: 42 });
+  await settle();
+  assert.strictEqual((await request('GET', '/alerts?state=open')).body.length, 1);
+});
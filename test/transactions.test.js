@@ -0,0 +1,101 @@
+'use strict';
+
+/* Tests of the transactions on the connection shared by all the requests, see db */
+
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('assert');
+
+const db = require('../db');
+const migrate = require('../migrate');
+
+// These functions run a statement and a query on the database, as a Promise
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => {
+    if (err) reject(err);
+    else resolve(null);
+  });
+});
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => {
+    if (err) reject(err);
+    else resolve(row);
+  });
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test.before(async () => {
+  await migrate.migrate();
+  await run("INSERT INTO users (email, name, hash, salt) VALUES('john.doe@polito.it', 'John', 'x', 'y')");
+  await run("INSERT INTO switches (value, date, user) VALUES(0, '2022-11-30T13:56:19Z', 1)");
+});
+
+test('a transaction is committed if its function resolves', async () => {
+  const result = await db.transaction(async () => {
+    assert.ok(db.inTransaction());
+    await run('UPDATE switches SET value = 1 WHERE id = 1');
+    return 'done';
+  });
+  assert.strictEqual(result, 'done');
+  assert.ok(!db.inTransaction());
+  assert.strictEqual((await get('SELECT value FROM switches WHERE id = 1')).value, 1);
+});
+
+test('a transaction is rolled back if its function rejects', async () => {
+  await assert.rejects(db.transaction(async () => {
+    await run('UPDATE switches SET value = 0 WHERE id = 1');
+    throw new Error('failure');
+  }), /failure/);
+  assert.strictEqual((await get('SELECT value FROM switches WHERE id = 1')).value, 1);
+});
+
+test('the statements of other requests are neither part of a transaction nor rolled back with it', async () => {
+  const transaction = db.transaction(async () => {
+    await run("INSERT INTO switches (value, date, user) VALUES(1, '2022-12-01T00:00:00Z', 1)");
+    await sleep(100);
+    throw new Error('failure');
+  });
+  await sleep(20);  // the transaction is open meanwhile
+  const outside = run("UPDATE switches SET date = '2023-01-01T00:00:00Z' WHERE id = 1");
+
+  await assert.rejects(transaction, /failure/);
+  await outside;
+  assert.strictEqual((await get('SELECT date FROM switches WHERE id = 1')).date, '2023-01-01T00:00:00Z');
+  assert.strictEqual((await get('SELECT COUNT(*) AS count FROM switches')).count, 1);
+});
+
+test('a transaction waits for the statements issued before it', async () => {
+  const before = run('UPDATE switches SET value = 7 WHERE id = 1');
+  const value = await db.transaction(async () => (await get('SELECT value FROM switches WHERE id = 1')).value);
+  await before;
+  assert.strictEqual(value, 7);
+});
+
+test('the transactions run one at a time', async () => {
+  const order = [];
+  await Promise.all([1, 2, 3].map((i) => db.transaction(async () => {
+    order.push(`begin ${i}`);
+    await sleep(10);
+    await run('UPDATE switches SET value = ? WHERE id = 1', [i]);
+    order.push(`end ${i}`);
+  })));
+  assert.deepStrictEqual(order, ['begin 1', 'end 1', 'begin 2', 'end 2', 'begin 3', 'end 3']);
+  assert.strictEqual((await get('SELECT value FROM switches WHERE id = 1')).value, 3);
+});
+
+test('a transaction can be a part of an exclusive step', async () => {
+  const outside = [];
+  const step = db.exclusive(async () => {
+    await run('UPDATE switches SET value = 4 WHERE id = 1');
+    await db.transaction(() => run('UPDATE switches SET value = 5 WHERE id = 1'));
+    await sleep(50);
+    outside.push((await get('SELECT value FROM switches WHERE id = 1')).value);
+  });
+  await sleep(10);
+  await run('UPDATE switches SET value = 6 WHERE id = 1');  // it waits for the end of the step
+  await step;
+  assert.deepStrictEqual(outside, [5]);
+  assert.strictEqual((await get('SELECT value FROM switches WHERE id = 1')).value, 6);
+});
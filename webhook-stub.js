@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Local stub of a webhook, to try the webhook channel of the temperature alerts (see alert-channels) without a real service.
+ * It prints the notifications it receives, and it answers with the given status (e.g., 500 to try the delivery failures).
+ *
+ * Usage: node webhook-stub.js [--port 8080] [--status 204]
+ * then use http://localhost:8080/ as url of a webhook channel, e.g., with POST /api/alerts/definitions/<id>/test
+ * (the server must allow the webhooks to private addresses, i.e., ALERTS_ALLOW_PRIVATE_WEBHOOKS=true).
+ */
+
+const http = require('http');
+const { parseArgs } = require('util');
+
+const { values: options } = parseArgs({ options: { port: { type: 'string', default: '8080' }, status: { type: 'string', default: '204' } } });
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    let notification = body;
+    try {
+      notification = JSON.parse(body);
+    } catch (err) {
+      // printed as it is
+    }
+    console.log(`${new Date().toISOString()} ${req.method} ${req.url}`);
+    console.dir(notification, { depth: null });
+    res.statusCode = Number(options.status);
+    res.end();
+  });
+});
+
+server.listen(Number(options.port), () => {
+  console.log(`Webhook stub listening on http://localhost:${options.port}/, answering ${options.status}`);
+});